@@ -0,0 +1,611 @@
+/***********************************************************************
+* retro-g15/emulator Assembler.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Symbolic assembler for G-15 programs, producing paper-tape images in
+* the .pti format.
+*
+* Source text has one statement per line. A statement may begin with a
+* label, "NAME:", and text following a "#" is a comment. The statements
+* are (operands are separated by spaces or commas):
+*
+*       LINE n          assemble into long line n (0-19), starting at
+*                       word 0.
+*       ORG w           continue assembly at word-time w of the line.
+*       CMD di t n c s d [c1 [bp]]
+*                       a command, with its fields in the order of the
+*                       asm() helper in Processor.loadMemory(): D/I, T,
+*                       N, characteristic, S, D, C1 (double-precision),
+*                       and BP (breakpoint).
+*       DEC v           a data word in decimal: an integer, or a fraction
+*                       with the binary point at the high-order end.
+*       HEX v           a data word in G-15 hex (u-z for 10-15), with a
+*                       leading or trailing "-" for negative values.
+*       START name      begin execution at the command labeled "name",
+*                       which must be in line 0-5 or 19, once the tape
+*                       has been loaded.
+*
+* Word-times are written in decimal or as u0-w9 for 100-129. The T and N
+* fields may be expressions of terms joined by "+" or "-", where a term is
+* a word-time, a label, "*" (the word-time of the command itself), or "@"
+* (the word-time of the next statement in the line). The value of an
+* expression containing a label, "*", or "@" is reduced modulo 108, so
+* relative timing such as "*+3" wraps around the drum.
+*
+* If the optimize option is set, a command that directly follows another
+* command "floats": instead of taking the next word-time, it is placed at
+* the free word-time that minimizes the latency from the end of the prior
+* command's transfer through the end of its own. Data words and the other
+* commands are placed at the location counter, which floating commands do
+* not advance. The T field of a floating command, and of the command before
+* it, may not refer to a floating command later in the source, and the
+* N+1 branch of a test command must be placed explicitly.
+*
+* The tape image is bootable: RESET loads its first block as the number
+* track and its second block, the loader, into line 19, then executes
+* words 0-3 of the loader from line 23. These copy the loader to the
+* lowest of lines 0-5 that the program does not use and branch to it.
+* The loader reads the remaining blocks, one for each line assembled,
+* copying each from line 19 to its line, with line 19 itself last. It
+* then branches to the START command, or if there is none, halts.
+*
+* Each block is the 108 words of a line in the form that a paper tape
+* read leaves in line 19: 27 groups of four words, each group punched as
+* 29 hex digits followed by a reload code, starting from words 104-107 and
+* with a stop code ending the last group. Unless the checksum option is
+* false, the highest unused word of each line and of the loader is set so
+* that the words of the block sum to zero, as verified by software/tools/
+* Paper-Tape-Checksum.html.
+*
+* The listing has one line per source statement in the form
+*
+*       LL.WW  value  NAME: statement
+*
+* which can be loaded by SymbolTable.loadListing(). The labels are also
+* available directly as a SymbolTable.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+*   Encode the tape blocks with TapeCodec.js.
+*   Punch a bootable tape with the number track and a loader that moves
+*   each block to its line; add the START statement.
+***********************************************************************/
+
+export {Assembler};
+
+import * as Util from "./Util.js";
+import * as TapeCodec from "./TapeCodec.js";
+
+import {Disassembler} from "./Disassembler.js";
+import {Drum} from "./Drum.js";
+import {Processor} from "./Processor.js";
+import {SymbolTable} from "./SymbolTable.js";
+
+class Assembler {
+
+    // Static class properties
+
+    static maxLines = 20;               // lines that can be assembled (0-19)
+    static labelRex = /^([A-Za-z][A-Za-z0-9_$]*):/;
+    static termRex = /^([-+]?)([^-+]+)/;
+    static fieldRex = /^[0-9]{1,2}$/;
+    static wordOps = ["CMD", "DEC", "HEX"];     // statements that generate words
+    static loaderEntry = 4;             // word-time of the first loader command
+
+    // The standard number track, as in the first block of the PPR tape,
+    // emulator/PPRTapeImage.js.
+    static numberTrack = Array.from({length: Util.longLineSize},
+            (v, x) => (x < Util.longLineSize-1 ? 0x10000000 + (x+1)*0x202000 : 0x02828F29));
+
+
+    constructor(options={}) {
+        /* Constructs an assembler. "options" may contain:
+            optimize    place commands at minimum-latency locations (default false)
+            checksum    set a checksum word in each block (default true)
+        */
+
+        this.optimize = options.optimize ?? false;
+        this.checksum = options.checksum ?? true;
+        this.clear();
+    }
+
+    /**************************************/
+    clear() {
+        /* Discards the results of any prior assembly */
+
+        this.statements = [];           // parsed source statements
+        this.labels = new Map();        // statements keyed by upper-case label
+        this.lines = new Map();         // words of each line assembled, keyed by line number
+        this.used = new Map();          // arrays of statements by word-time, keyed by line number
+        this.checksums = new Map();     // word-time of the checksum word, keyed by line number
+        this.start = null;              // START statement, if any
+        this.symbols = new SymbolTable();
+    }
+
+    /**************************************/
+    static error(stmt, msg) {
+        /* Returns an Error for statement "stmt" with message "msg" */
+
+        return new Error(`${msg} at line ${stmt.srcLine}: ${stmt.text.trim()}`);
+    }
+
+    /**************************************/
+    parseStatement(text, srcLine) {
+        /* Parses one line of source text into a statement object */
+        const stmt = {srcLine, text, label: null, op: null, operands: [],
+                      line: null, loc: null, floating: false, prior: null, word: null};
+        let t = text.replace(/#.*$/, "").trim();
+
+        const m = t.match(Assembler.labelRex);
+        if (m) {
+            stmt.label = m[1];
+            t = t.substring(m[0].length).trim();
+        }
+
+        if (t.length) {
+            const fields = t.split(/[\s,]+/);
+            stmt.op = fields.shift().toUpperCase();
+            stmt.operands = fields;
+        }
+
+        if (stmt.label && !Assembler.wordOps.includes(stmt.op)) {
+            throw Assembler.error(stmt, `Label ${stmt.label} must be on a CMD, DEC, or HEX statement`);
+        }
+
+        return stmt;
+    }
+
+    /**************************************/
+    place(stmt, lineNr, loc) {
+        /* Assigns statement "stmt" to a word-time of line "lineNr" and
+        defines its label, if any */
+        const used = this.used.get(lineNr);
+
+        if (!(loc >= 0 && loc < Util.longLineSize)) {
+            throw Assembler.error(stmt, `Invalid word-time ${loc}`);
+        } else if (used[loc]) {
+            throw Assembler.error(stmt, `Word ${Util.lineHex[lineNr]}.${Util.lineHex[loc]} is already used by line ${used[loc].srcLine}`);
+        }
+
+        used[loc] = stmt;
+        stmt.line = lineNr;
+        stmt.loc = loc;
+        if (stmt.label) {
+            this.symbols.define(stmt.label, lineNr, loc);
+        }
+    }
+
+    /**************************************/
+    allocate() {
+        /* Pass 1: processes the LINE and ORG directives, assigns the data
+        words and the commands that do not float to the location counter,
+        and builds the table of labels */
+        let lineNr = null;              // current line
+        let loc = 0;                    // location counter
+        let prior = null;               // prior statement generating a word in the line
+
+        for (const stmt of this.statements) {
+            switch (stmt.op) {
+            case null:
+                break;
+            case "LINE":
+                lineNr = Util.parseLineLoc(stmt.operands[0] ?? "");
+                if (stmt.operands.length != 1 || !(lineNr < Assembler.maxLines)) {
+                    throw Assembler.error(stmt, "LINE requires a line number 0-19");
+                }
+
+                if (!this.used.has(lineNr)) {
+                    this.used.set(lineNr, new Array(Util.longLineSize).fill(null));
+                }
+
+                loc = 0;
+                prior = null;
+                break;
+            case "ORG":
+                loc = Util.parseLineLoc(stmt.operands[0] ?? "");
+                if (stmt.operands.length != 1 || !(loc < Util.longLineSize)) {
+                    throw Assembler.error(stmt, "ORG requires a word-time 0-107");
+                }
+
+                prior = null;
+                break;
+            case "START":
+                if (stmt.operands.length != 1) {
+                    throw Assembler.error(stmt, "START requires the label of a command");
+                } else if (this.start) {
+                    throw Assembler.error(stmt, `Duplicate START, see line ${this.start.srcLine}`);
+                }
+
+                this.start = stmt;
+                break;
+            case "CMD":
+            case "DEC":
+            case "HEX":
+                if (lineNr === null) {
+                    throw Assembler.error(stmt, "No LINE statement precedes this statement");
+                } else if (stmt.label) {
+                    if (this.labels.has(stmt.label.toUpperCase())) {
+                        throw Assembler.error(stmt, `Duplicate label ${stmt.label}`);
+                    }
+
+                    this.labels.set(stmt.label.toUpperCase(), stmt);
+                }
+
+                stmt.line = lineNr;
+                if (this.optimize && stmt.op == "CMD" && prior?.op == "CMD") {
+                    stmt.floating = true;
+                } else {
+                    this.place(stmt, lineNr, loc);
+                    loc = (loc+1) % Util.longLineSize;
+                }
+
+                stmt.prior = prior;
+                prior = stmt;
+                break;
+            default:
+                throw Assembler.error(stmt, `Unknown statement ${stmt.op}`);
+            }
+        }
+    }
+
+    /**************************************/
+    nextStatement(stmt) {
+        /* Returns the statement generating a word that follows "stmt" in the
+        same line, or null if there is none */
+
+        for (let x=this.statements.indexOf(stmt)+1; x<this.statements.length; ++x) {
+            const next = this.statements[x];
+            if (next.op == "LINE") {
+                break;
+            } else if (Assembler.wordOps.includes(next.op)) {
+                return next;
+            }
+        }
+
+        return null;
+    }
+
+    /**************************************/
+    evaluate(expr, stmt) {
+        /* Evaluates the T or N expression "expr" of statement "stmt".
+        Throws an Error if a term is not valid or refers to a statement that
+        has not been placed */
+        let rest = expr;
+        let symbolic = false;
+        let value = 0;
+
+        while (rest.length) {
+            const m = rest.match(Assembler.termRex);
+            if (!m || (m[1] == "" && rest != expr)) {
+                throw Assembler.error(stmt, `Invalid expression "${expr}"`);
+            }
+
+            const term = m[2];
+            let v = Util.parseLineLoc(term);
+            if (isNaN(v)) {
+                let target = null;
+                symbolic = true;
+                if (term == "*") {
+                    target = stmt;
+                } else if (term == "@") {
+                    target = this.nextStatement(stmt);
+                    if (!target) {
+                        throw Assembler.error(stmt, "No statement follows for @");
+                    }
+                } else {
+                    target = this.labels.get(term.toUpperCase());
+                    if (!target) {
+                        throw Assembler.error(stmt, `Undefined label ${term}`);
+                    }
+                }
+
+                if (target.loc === null) {
+                    throw Assembler.error(stmt, `"${term}" refers to a command not yet placed by the optimizer`);
+                }
+
+                v = target.loc;
+            }
+
+            value += (m[1] == "-" ? -v : v);
+            rest = rest.substring(m[0].length);
+        }
+
+        if (symbolic) {
+            return ((value % Util.longLineSize) + Util.longLineSize) % Util.longLineSize;
+        } else if (expr.length && value >= 0 && value < 128) {
+            return value;
+        } else {
+            throw Assembler.error(stmt, `Invalid expression "${expr}"`);
+        }
+    }
+
+    /**************************************/
+    field(stmt, x, limit) {
+        /* Returns the value of numeric operand "x" of a CMD statement, which
+        must be less than "limit". Missing optional operands are zero */
+        const text = stmt.operands[x] ?? "0";
+
+        if (!Assembler.fieldRex.test(text) || parseInt(text, 10) >= limit) {
+            throw Assembler.error(stmt, `Invalid command field "${text}"`);
+        }
+
+        return parseInt(text, 10);
+    }
+
+    /**************************************/
+    encode(stmt, withN=true) {
+        /* Generates the word for a statement that has been placed. If
+        "withN" is false, the N field of a command is left zero so that the
+        command can be timed before its successor is placed */
+
+        switch (stmt.op) {
+        case "CMD":
+            if (stmt.operands.length < 6 || stmt.operands.length > 8) {
+                throw Assembler.error(stmt, "CMD requires the fields D/I T N C S D [C1 [BP]]");
+            }
+
+            return Util.encodeCommand(this.field(stmt, 0, 2),
+                    this.evaluate(stmt.operands[1], stmt),
+                    (withN ? this.evaluate(stmt.operands[2], stmt) : 0),
+                    this.field(stmt, 3, 4), this.field(stmt, 4, 32), this.field(stmt, 5, 32),
+                    this.field(stmt, 6, 2), this.field(stmt, 7, 2));
+        case "DEC":
+        case "HEX":
+            const word = (stmt.operands.length != 1 ? NaN : stmt.op == "DEC" ?
+                    Util.parseDecimalWord(stmt.operands[0]) : Util.parseG15SignedHex(stmt.operands[0]));
+            if (isNaN(word)) {
+                throw Assembler.error(stmt, `Invalid ${stmt.op} value`);
+            }
+
+            return word;
+        }
+    }
+
+    /**************************************/
+    static transferEnd(loc, cmd) {
+        /* Returns the word-time at which the command "cmd" at word-time "loc"
+        leaves transfer state, and the word-times from "loc" to that point */
+        const t = Disassembler.commandTiming(loc, cmd);
+        const time = t.total - t.next;
+
+        return {end: (loc + time) % Util.longLineSize, time};
+    }
+
+    /**************************************/
+    optimizeCommands() {
+        /* Pass 2: places the floating commands in source order, each at the
+        free word-time that minimizes the time from the end of the prior
+        command's transfer state to the end of its own */
+
+        for (const stmt of this.statements) {
+            if (stmt.floating) {
+                const used = this.used.get(stmt.line);
+                const start = Assembler.transferEnd(stmt.prior.loc, this.encode(stmt.prior, false)).end;
+                let bestLoc = -1;
+                let bestCost = Infinity;
+
+                for (let x=0; x<Util.longLineSize; ++x) {
+                    const loc = (start + x) % Util.longLineSize;
+                    if (!used[loc]) {
+                        stmt.loc = loc;         // for "*" terms in the T field
+                        const cost = Drum.computeDrumCount(start, loc) +
+                                     Assembler.transferEnd(loc, this.encode(stmt, false)).time;
+                        if (cost < bestCost) {
+                            bestCost = cost;
+                            bestLoc = loc;
+                        }
+                    }
+                }
+
+                stmt.loc = null;
+                if (bestLoc < 0) {
+                    throw Assembler.error(stmt, `Line ${stmt.line} is full`);
+                }
+
+                this.place(stmt, stmt.line, bestLoc);
+            }
+        }
+    }
+
+    /**************************************/
+    static checksumWord(words) {
+        /* Returns the word that, added to "words" under G-15 addition, makes
+        them sum to zero, or NaN if there is no such word */
+        let sum = 0;
+
+        for (const word of words) {
+            sum += Util.wordToInteger(word);
+        }
+
+        // The adder works modulo 2**29 in complement form, so the checksum
+        // must be congruent to -sum and have a magnitude that fits in 28 bits.
+        let check = ((-sum % Util.two29) + Util.two29) % Util.two29;
+        if (check >= Util.two28) {
+            check -= Util.two29;
+        }
+
+        if (check <= -Util.two28) {
+            return NaN;
+        }
+
+        return (check < 0 ? ((-check) << 1) | Util.wordSignMask : check << 1);
+    }
+
+    /**************************************/
+    setChecksum(lineNr, words) {
+        /* Sets the highest unused word of line "lineNr" so that the words of
+        the line sum to zero under G-15 addition */
+        const used = this.used.get(lineNr);
+        let loc = Util.longLineSize-1;
+
+        while (loc >= 0 && used[loc]) {
+            --loc;
+        }
+
+        if (loc < 0) {
+            throw new Error(`Line ${lineNr} has no unused word for the checksum`);
+        }
+
+        words[loc] = Assembler.checksumWord(words);
+        if (isNaN(words[loc])) {
+            throw new Error(`Line ${lineNr} cannot be checksummed`);
+        }
+
+        this.checksums.set(lineNr, loc);
+    }
+
+    /**************************************/
+    assemble(source) {
+        /* Assembles the source text "source". Throws an Error describing the
+        first error found. Returns this assembler, from which the results may
+        be obtained through the lines and symbols properties, toPTI(), and
+        getListing() */
+        const text = source.split(/\r?\n|\r/);
+
+        this.clear();
+        for (let x=0; x<text.length; ++x) {
+            this.statements.push(this.parseStatement(text[x], x+1));
+        }
+
+        this.allocate();
+        if (this.optimize) {
+            this.optimizeCommands();
+        }
+
+        for (const stmt of this.statements) {
+            if (Assembler.wordOps.includes(stmt.op)) {
+                stmt.word = this.encode(stmt);
+            }
+        }
+
+        if (this.start) {
+            const target = this.labels.get(this.start.operands[0].toUpperCase());
+            if (target?.op != "CMD") {
+                throw Assembler.error(this.start, "START requires the label of a command");
+            } else if (!Processor.CDXlate.includes(target.line)) {
+                throw Assembler.error(this.start, "START command must be in line 0-5 or 19");
+            }
+        }
+
+        for (const lineNr of Array.from(this.used.keys()).sort((a, b) => a - b)) {
+            const words = new Array(Util.longLineSize).fill(0);
+            for (const stmt of this.used.get(lineNr)) {
+                if (stmt) {
+                    words[stmt.loc] = stmt.word;
+                }
+            }
+
+            if (this.checksum) {
+                this.setChecksum(lineNr, words);
+            }
+
+            this.lines.set(lineNr, words);
+        }
+
+        return this;
+    }
+
+    /**************************************/
+    loaderWords(loaderLine, order) {
+        /* Returns the words of the loader block for the lines in "order",
+        which the loader is to execute from line "loaderLine" */
+        const words = new Array(Util.longLineSize).fill(0);
+        let loc = Assembler.loaderEntry;
+
+        const asm = (loc, di, t, n, ca, s, d, c1=0) => {
+            words[loc] = Util.encodeCommand(di, t % Util.longLineSize, n % Util.longLineSize, ca, s, d, c1);
+        };
+
+        const selector = (lineNr) => Processor.CDXlate.indexOf(lineNr);
+
+        // Words 0-3 are executed from line 23 after RESET loads the block:
+        // copy the loader from line 19 to its line and branch to it there.
+        const sel = selector(loaderLine);
+        asm(0, 0, 1, 1, 0, 19, loaderLine);
+        asm(1, 0, 3, Assembler.loaderEntry, sel & 3, 21, 31, sel >> 2);
+
+        for (const lineNr of order) {
+            asm(loc,   0, loc+2, loc+2, 0, 15, 31);             // read the next block to line 19
+            asm(loc+2, 0, loc+4, loc+2, 0, 28, 31);             // loop until the read is done
+            if (lineNr == 19) {
+                loc += 3;
+            } else {
+                asm(loc+3, 0, loc+4, loc+4, 0, 19, lineNr);     // copy line 19 to the block's line
+                loc += 4;
+            }
+        }
+
+        if (this.start) {
+            const target = this.labels.get(this.start.operands[0].toUpperCase());
+            const startSel = selector(target.line);
+            asm(loc, 0, loc+2, target.loc, startSel & 3, 21, 31, startSel >> 2);   // go to START
+        } else {
+            asm(loc, 0, loc+2, loc, 0, 16, 31);                 // halt
+        }
+
+        if (this.checksum) {
+            words[Util.longLineSize-1] = Assembler.checksumWord(words);
+        }
+
+        return words;
+    }
+
+    /**************************************/
+    toPTI() {
+        /* Returns the assembled lines as the text of a bootable .pti tape
+        image: the number track, the loader, and one block per line */
+        const order = Array.from(this.lines.keys()).filter((lineNr) => lineNr != 19);
+        let loaderLine = 0;
+
+        while (loaderLine < 6 && this.lines.has(loaderLine)) {
+            ++loaderLine;
+        }
+
+        if (loaderLine >= 6) {
+            throw new Error("The loader requires one of lines 0-5 to be unused");
+        }
+
+        if (this.lines.has(19)) {
+            order.push(19);
+        }
+
+        let text = "# number track\n" + TapeCodec.encodePTI(TapeCodec.encodeBlock(Assembler.numberTrack)) +
+                `# loader, runs in line ${Util.lineHex[loaderLine]}\n` +
+                TapeCodec.encodePTI(TapeCodec.encodeBlock(this.loaderWords(loaderLine, order)));
+
+        for (const lineNr of order) {
+            text += `# line ${Util.lineHex[lineNr]}\n` +
+                    TapeCodec.encodePTI(TapeCodec.encodeBlock(this.lines.get(lineNr)));
+        }
+
+        return text;
+    }
+
+    /**************************************/
+    getListing() {
+        /* Returns the listing of the last assembly as text, with the
+        checksum word of each line following the statements for the line */
+        let text = "";
+
+        for (const stmt of this.statements) {
+            if (stmt.word === null) {
+                text += (stmt.text.trim() ? " ".repeat(16) + stmt.text.trimEnd() : "") + "\n";
+            } else {
+                text += `${Util.lineHex[stmt.line]}.${Util.lineHex[stmt.loc]}  ` +
+                        `${Util.g15SignedHex(stmt.word)}  ${stmt.text.trimEnd()}\n`;
+            }
+        }
+
+        for (const [lineNr, loc] of this.checksums) {
+            text += `${Util.lineHex[lineNr]}.${Util.lineHex[loc]}  ` +
+                    `${Util.g15SignedHex(this.lines.get(lineNr)[loc])}  # checksum\n`;
+        }
+
+        return text;
+    }
+
+} // class Assembler
@@ -0,0 +1,195 @@
+/***********************************************************************
+* retro-g15/emulator ConfigData.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 Emulator configuration data.
+*
+* Defines the default system configuration and the functions that create,
+* update, and navigate a configuration data object. These have no DOM or
+* storage dependencies, so they are shared by webUI/SystemConfig.js and
+* headless/HeadlessConfig.js.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/SystemConfig.js.
+***********************************************************************/
+
+export const configVersion = 1;
+
+export const defaultConfig = {
+    configName: "Default",
+    version: configVersion,
+    persistentWindows: 0,
+    multiScreen: 0,
+
+    ControlPanel: {
+    },
+
+    Typewriter: {
+        marginLeft: 0,
+        columns: 132,
+        tabs: "6,11,16,21,26,31,36,41,46,51,56,61,66,71,76,81,86,91,96,101,106,111,116,121,126"
+    },
+
+    Plotter: {
+        hasPlotter: 0,
+        plotterModel : 0,
+        scale: 1,
+        maxHeight: 4096,
+        visibleCarriage: 1
+    },
+
+    MagTape: {
+        hasMagTape: 0
+    },
+
+    CardReader: {
+        hasCardReader: 0
+    },
+
+    CardPunch: {
+        hasCardPunch: 0
+    },
+
+    DA1: {
+        hasDA1: 0
+    },
+
+    WindowConfig: {
+        mode: "Auto",
+        modes: {
+            Auto: {
+                ControlPanel: {
+                    screenX: 0,             // dummy initial values
+                    screenY: 0,
+                    innerWidth: 400,
+                    innerHeight: 250
+                }
+            }
+        }
+    }
+
+};
+
+
+/**************************************/
+export function createConfig() {
+    /* Returns a new configuration data object initialized from the default
+    configuration */
+
+    return structuredClone(defaultConfig);
+}
+
+/**************************************/
+function sortaDeepMerge(destNode, sourceNode) {
+    /* Both destNode and sourceNode must be non-null Objects and not
+    Functions. Recursively merges into destNode any properties of
+    sourceNode missing in destNode. Does not alter any existing elementary
+    properties of destNode or its sub-objects. If either parameter is not
+    an Object or Array, does nothing. This isn't a complete recursive merge,
+    but it's good enough for configuration data */
+
+    for (let key in sourceNode) {
+        if (!(key in destNode)) {
+            destNode[key] = structuredClone(sourceNode[key]);
+        } else {
+            let d = destNode[key];
+            let s = sourceNode[key];
+            if (Array.isArray(s) && Array.isArray(d)) {
+                for (let i=0; i<s.length; ++i) {
+                    if (s[i] !== undefined) {
+                        if (d[i] === undefined) {
+                            d[i] = structuredClone(s[i]);
+                        } else {
+                            sortaDeepMerge(d[i], s[i]);
+                        }
+                    }
+                }
+            } else if (d !== null && typeof d == "object" && !Array.isArray(d) &&
+                    Object.isExtensible(d) && !(Object.isSealed(d) || Object.isFrozen(d))) {
+                if (s !== null && typeof s == "object" && !Array.isArray(s)) {
+                    sortaDeepMerge(d, s);
+                }
+            }
+        }
+    }
+}
+
+/**************************************/
+export function mergeDefaults(configData) {
+    /* Recursively merges into configData any properties of the default
+    configuration that it lacks, e.g., after loading a configuration saved
+    by an older version of the emulator */
+
+    sortaDeepMerge(configData, defaultConfig);
+}
+
+/**************************************/
+export function getNode(configData, nodeName, index) {
+    /* Retrieves a specified node of the configuration data object tree.
+    "nodeName" specifies the node using dotted-path format. A blank name
+    retrieves the entire tree. If the "index" parameter is specified, the
+    final node in the path is assumed to be an array or object, and "index"
+    used to return that element of the array or object. If a node does not
+    exist, returns undefined */
+    let node = configData;
+
+    const name = nodeName.trim();
+    if (name.length > 0) {
+        const names = name.split(".");
+        for (let name of names) {
+            if (name in node) {
+                node = node[name];
+            } else {
+                node = undefined;
+                break; // out of for loop
+            }
+        }
+    }
+
+    if (index === undefined) {
+        return node;
+    } else {
+        return node[index];
+    }
+}
+
+/**************************************/
+export function putNode(configData, nodeName, data, index) {
+    /* Creates or replaces a specified node of the configuration data object tree.
+    "nodeName" specifies the node using dotted.path format. A blank name
+    results in nothing being set. If a node does not exist, it and any necessary
+    parent nodes are created. If the "index" parameter is specified, the final
+    node in the path is assumed to be an array, and "index" is used to access
+    that element of the array. Returns true if a node was set */
+    let node = configData;
+
+    const name = nodeName.trim();
+    if (name.length == 0) {
+        return false;
+    }
+
+    let lastName = name;
+    let lastNode = node;
+    const names = name.split(".");
+    for (let name of names) {
+        lastName = name;
+        lastNode = node;
+        if (name in node) {
+            node = node[name];
+        } else {
+            node = node[name] = {};
+        }
+    } // for x
+
+    if (index === undefined) {
+        lastNode[lastName] = data;
+    } else {
+        lastNode[lastName][index] = data;
+    }
+
+    return true;
+}
@@ -0,0 +1,328 @@
+/***********************************************************************
+* retro-g15/emulator DifferentialAnalyzer.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* JavaScript class module for the DA-1 Digital Differential Analyzer.
+*
+* The DA-1 was an accessory to the G-15 that solved systems of ordinary
+* differential equations by incremental integration. It had no memory
+* of its own; its integrators were held on the G-15 drum, one per word-
+* time, and it was set up and started under program control, D=31, S=19
+* (C=0 to start, C=1 to stop). While it runs, it makes one iteration of
+* all integrators per drum cycle, independently of the Processor. The
+* Processor can test whether it has stopped with D=31, S=28, C=3.
+*
+* The Processor passes each drum word-time to the DA-1, which processes
+* integrator n at word-time n and completes the iteration at word-time
+* 107, so iterations keep time with the rest of the emulator. Y and R are
+* stored through Drum.write() at their word-times, where data watchpoints
+* and the execution history see them. Note that the emulated drum turns
+* only while the Processor or an I/O is active, so the DA-1 pauses while
+* both are idle.
+*
+* The integrator layout described below is this emulator's own. It is
+* not the setup format of the Bendix DA-1, for which no documentation was
+* available when this module was written, so DDA programs prepared for a
+* real DA-1 will not run on it unchanged. The layout is confined to the
+* static line properties and integrate(), so that it can be replaced by
+* the documented format once a source for it is found.
+*
+* In this emulation, the integrators occupy three long lines, word n of
+* each line belonging to integrator n:
+*
+*   Line 13 (codeLine): the interconnection code for the integrator.
+*   Bit numbers are from the low-order end of the word; bit 0 (the sign
+*   position) is not used.
+*       bits 1-7    dX source: integrator 0-106, 127 = the independent
+*                   variable (+1 each iteration), others = no dX.
+*       bit 8       complement the dX increment.
+*       bits 9-15   first dY source, coded the same as the dX source.
+*       bit 16      complement the first dY increment.
+*       bits 17-23  second dY source, coded the same as the dX source.
+*       bit 24      complement the second dY increment.
+*       bits 25-26  output coupling: 0 = none, 1 = plotter X, 2 = plotter
+*                   Y, 3 = plotter pen (+1 lowers the pen, -1 raises it).
+*       bits 27-28  not used.
+*   A code word of zero makes the integrator inactive.
+*   Line 14 (yLine): the Y (integrand) register, a signed integer in
+*       G-15 sign-magnitude form.
+*   Line 15 (rLine): the R (remainder) register, same form as Y.
+*
+* Word 107 of the code line holds the register length, n, in bits 1-5. It
+* must be in the range 8-28; any other value is taken as 28. Thus there
+* are 107 integrators, numbered 0-106.
+*
+* Each iteration, every active integrator first adds to Y the dY
+* increments output by its sources on the prior iteration, then adds
+* Y*dX to R. If the magnitude of R reaches 2**n, the integrator outputs
+* an increment of +1 or -1 and R is reduced by 2**n. If the magnitude of
+* Y reaches 2**n, the DA-1 stops and reports an overflow.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+*   Iterate from drum word-times instead of a separate timer loop, and
+*   store Y and R through Drum.write().
+*   Add checkState() to verify a snapshot before restoring it.
+*   Note that the integrator layout is not the DA-1's documented format.
+***********************************************************************/
+
+export {DifferentialAnalyzer}
+
+import * as Util from "./Util.js";
+
+import {FlipFlop} from "./FlipFlop.js";
+
+class DifferentialAnalyzer {
+
+    // Static class properties
+
+    static codeLine = 13;               // drum line for integrator interconnection codes
+    static yLine = 14;                  // drum line for integrator Y registers
+    static rLine = 15;                  // drum line for integrator R registers
+    static integrators = 107;           // number of integrators (word 107 is the length word)
+    static independentVar = 127;        // source code for the independent variable
+    static maxLength = 28;              // maximum register length, bits
+    static minLength = 8;               // minimum register length, bits
+    static plotterCodes = [             // plotter command codes for coupling 1 & 2, by increment sign
+        [7, 3],                         // coupling 1: -X, +X
+        [5, 1]];                        // coupling 2: -Y, +Y
+
+
+    constructor(drum, context) {
+        /* Constructor for the DA-1 object. "drum" is the Drum object that holds
+        the integrators; "context" supplies the I/O device objects, in
+        particular the Plotter, from the global environment */
+
+        this.drum = drum;
+        this.context = context;
+
+        this.GO = new FlipFlop(this.drum, false);       // GO-DA: DA-1 running FF
+        this.outputs = new Int8Array(DifferentialAnalyzer.integrators);     // increments from the prior iteration
+        this.nextOutputs = new Int8Array(DifferentialAnalyzer.integrators); // increments from this iteration
+        this.iterations = 0;            // iterations since the last start
+        this.overflow = false;          // a Y register overflowed
+        this.iterating = false;         // an iteration is in progress on the drum
+        this.iterationOverflow = false; // a Y register overflowed in the current iteration
+        this.stopping = false;          // stop at the end of the current iteration
+    }
+
+    /**************************************/
+    get length() {
+        /* Returns the current register length from the code line */
+        const n = (this.drum.line[DifferentialAnalyzer.codeLine][Util.longLineSize-1] >> 1) & 0x1F;
+
+        return (n < DifferentialAnalyzer.minLength || n > DifferentialAnalyzer.maxLength ?
+                DifferentialAnalyzer.maxLength : n);
+    }
+
+    /**************************************/
+    static toValue(word) {
+        /* Converts a G-15 sign-magnitude word to a signed integer */
+        const mag = word >> 1;
+
+        return (word & Util.wordSignMask ? -mag : mag);
+    }
+
+    /**************************************/
+    static toWord(value) {
+        /* Converts a signed integer to a G-15 sign-magnitude word */
+
+        return (value < 0 ? ((-value) << 1) | Util.wordSignMask : value << 1);
+    }
+
+    /**************************************/
+    sourceIncrement(code, shift) {
+        /* Extracts the source field of "code" starting at bit "shift" and
+        returns the increment it supplies: the prior output of an integrator,
+        +1 for the independent variable, or 0. The bit following the source
+        field complements the increment */
+        const source = (code >> shift) & 0x7F;
+        let incr = 0;
+
+        if (source < DifferentialAnalyzer.integrators) {
+            incr = this.outputs[source];
+        } else if (source == DifferentialAnalyzer.independentVar) {
+            incr = 1;
+        }
+
+        return ((code >> (shift+7)) & 1 ? -incr : incr);
+    }
+
+    /**************************************/
+    integrate(x) {
+        /* Processes integrator "x" at its word-time: adds to Y the dY
+        increments output by its sources on the prior iteration, then adds
+        Y*dX to R, outputting an increment if R overflows. The drum must be
+        positioned at word-time x */
+        const code = this.drum.read(DifferentialAnalyzer.codeLine);
+        const modulus = 2**this.length;
+
+        if (code) {
+            let y = DifferentialAnalyzer.toValue(this.drum.read(DifferentialAnalyzer.yLine)) +
+                    this.sourceIncrement(code, 9) + this.sourceIncrement(code, 17);
+            if (Math.abs(y) >= modulus) {
+                this.iterationOverflow = true;
+                y = Math.sign(y)*(modulus-1);
+            }
+
+            let r = DifferentialAnalyzer.toValue(this.drum.read(DifferentialAnalyzer.rLine)) +
+                    y*this.sourceIncrement(code, 1);
+            if (r >= modulus) {
+                r -= modulus;
+                this.nextOutputs[x] = 1;
+            } else if (r <= -modulus) {
+                r += modulus;
+                this.nextOutputs[x] = -1;
+            }
+
+            this.drum.write(DifferentialAnalyzer.yLine, DifferentialAnalyzer.toWord(y));
+            this.drum.write(DifferentialAnalyzer.rLine, DifferentialAnalyzer.toWord(r));
+        }
+    }
+
+    /**************************************/
+    finishIteration() {
+        /* Completes an iteration at word-time 107: makes this iteration's
+        increments available to the next one, drives any plotter couplings,
+        and stops the DA-1 if a Y register overflowed or a stop is pending.
+        The plotter throttles itself, so its Promises are not awaited */
+        const codes = this.drum.line[DifferentialAnalyzer.codeLine];
+        const plotter = this.context.devices?.plotter;
+
+        [this.outputs, this.nextOutputs] = [this.nextOutputs, this.outputs];
+        ++this.iterations;
+        this.iterating = false;
+
+        // Drive the plotter from any coupled integrators.
+        if (plotter) {
+            for (let x=0; x<DifferentialAnalyzer.integrators; ++x) {
+                const incr = this.outputs[x];
+                if (incr) {
+                    const coupling = (codes[x] >> 25) & 0b11;
+                    switch (coupling) {
+                    case 1:
+                    case 2:
+                        plotter.write(DifferentialAnalyzer.plotterCodes[coupling-1][incr > 0 ? 1 : 0]);
+                        break;
+                    case 3:
+                        plotter.write(incr > 0 ? 0 : 9);    // pen down/up
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (this.iterationOverflow) {
+            this.overflow = true;
+            this.GO.value = 0;
+        } else if (this.stopping) {
+            this.GO.value = 0;
+        }
+    }
+
+    /**************************************/
+    wordTime(L) {
+        /* Called by the Processor as the drum steps to word-time L while the
+        DA-1 is running. Iterations begin at word-time 0, so after a start the
+        DA-1 idles until the drum reaches it */
+
+        if (L == 0) {
+            this.iterating = true;
+            this.iterationOverflow = false;
+            this.nextOutputs.fill(0);
+        }
+
+        if (this.iterating) {
+            if (L < DifferentialAnalyzer.integrators) {
+                this.integrate(L);
+            } else {
+                this.finishIteration();
+            }
+        }
+    }
+
+    /**************************************/
+    start() {
+        /* Starts the DA-1 if it is not already running. The increments from
+        any prior run are discarded. Starting the DA-1 while a stop is pending
+        cancels the stop */
+
+        this.stopping = false;
+        if (!this.GO.value) {
+            this.outputs.fill(0);
+            this.iterations = 0;
+            this.overflow = false;
+            this.iterating = false;
+            this.GO.value = 1;
+        }
+    }
+
+    /**************************************/
+    stop() {
+        /* Stops the DA-1 at the end of the current iteration */
+
+        if (this.iterating) {
+            this.stopping = true;
+        } else {
+            this.GO.value = 0;
+        }
+    }
+
+    /**************************************/
+    getState() {
+        /* Returns an object containing the state of the DA-1 not held on the
+        drum, for machine-state snapshots */
+
+        return {
+            GO: this.GO.value,
+            outputs: Array.from(this.outputs),
+            iterations: this.iterations,
+            overflow: this.overflow,
+            stopping: this.stopping
+        };
+    }
+
+    /**************************************/
+    checkState(state) {
+        /* Verifies that "state" has the layout of an object created by
+        getState(). Throws an Error if it does not; changes nothing */
+
+        if (!(state?.GO === 0 || state?.GO === 1)) {
+            throw new Error("DA-1 GO is invalid");
+        } else if (!Array.isArray(state.outputs) || state.outputs.length != DifferentialAnalyzer.integrators ||
+                !state.outputs.every((incr) => incr === -1 || incr === 0 || incr === 1)) {
+            throw new Error(`DA-1 outputs must have ${DifferentialAnalyzer.integrators} increments of -1, 0, or 1`);
+        } else if (!Number.isInteger(state.iterations) || state.iterations < 0) {
+            throw new Error("DA-1 iterations is invalid");
+        } else if (typeof state.overflow != "boolean") {
+            throw new Error("DA-1 overflow is invalid");
+        }
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the DA-1 from an object created by getState(), starting
+        or stopping it to match the state. A running DA-1 resumes with the
+        next iteration */
+
+        this.outputs.set(state.outputs);
+        this.iterations = state.iterations;
+        this.overflow = state.overflow;
+        this.stopping = state.stopping ?? false;
+        this.iterating = false;
+        this.GO.value = state.GO;
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Stops the DA-1 immediately, abandoning any iteration in progress */
+
+        this.iterating = false;
+        this.GO.value = 0;
+    }
+
+} // class DifferentialAnalyzer
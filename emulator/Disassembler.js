@@ -0,0 +1,165 @@
+/***********************************************************************
+* retro-g15/emulator Disassembler.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Whole-line disassembler for G-15 drum lines.
+*
+* Lists every word of a long (108-word) drum line in signed hex and as a
+* command in PPR-like format, marks the words that are reachable as
+* commands by following the N fields from one or more entry points, and
+* annotates each reachable command with its timing in word-times:
+*
+*   wait    word-times a deferred command waits for its operand at T.
+*   xfer    word-times in transfer state.
+*   next    word-times from the end of transfer to the next command at N.
+*   total   word-times from the command word to the next command.
+*
+* Reachability follows N within the line. Commands that can skip to N+1
+* (transfers to TEST and the D=31 test commands) have both N and N+1 as
+* successors. Select Command Line (D=31, S=20/21) commands that select a
+* different line end the path. The timing follows the Processor's rules
+* for normal transfers; the N and T adjustment for commands at word 107 is
+* not modeled, and the timing of the special commands that use T as a
+* count (multiply, divide, shift, normalize) is approximate.
+*
+* If a SymbolTable is supplied, the listing includes a column with the
+* symbol defined for each word.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+*   Add the symbol column.
+***********************************************************************/
+
+export {Disassembler};
+
+import * as Util from "./Util.js";
+
+import {Drum} from "./Drum.js";
+import {Processor} from "./Processor.js";
+
+class Disassembler {
+
+    /**************************************/
+    static decode(cmd) {
+        /* Decodes the fields of a command word */
+
+        return {
+            C1: cmd & 0x01,                 // single/double mode
+            D:  (cmd >> 1) & 0x1F,          // destination line
+            S:  (cmd >> 6) & 0x1F,          // source line
+            C:  (cmd >> 11) & 0x03,         // characteristic code
+            N:  (cmd >> 13) & 0x7F,         // next command location
+            T:  (cmd >> 21) & 0x7F,         // operand timing number
+            DI: (cmd >> 28) & 0x01          // immediate/deferred execution bit
+        };
+    }
+
+    /**************************************/
+    static commandTiming(loc, cmd) {
+        /* Computes the timing in word-times of the command "cmd" located at
+        word-time "loc". Returns an object with wait, xfer, next, and total
+        properties as described above */
+        const f = Disassembler.decode(cmd);
+        const size = Util.longLineSize;
+        const start = (loc + 1 + f.DI) % size;  // drum location after reading the command
+        let wait = 0;
+        let xfer = 1;
+
+        if (f.D == 31 && f.S == 21) {           // mark exit: always one word-time
+            if (f.DI) {
+                wait = Drum.computeDrumCount(start, f.T);
+            }
+        } else if (f.DI) {                      // deferred: one or two words at T
+            wait = Drum.computeDrumCount(start, f.T);
+            xfer = (f.C1 && f.T % 2 == 0 ? 2 : 1);
+        } else {                                // immediate: through T-1
+            xfer = Drum.computeDrumCount(start, f.T) || size;
+        }
+
+        const end = (start + wait + xfer) % size;
+        const next = Drum.computeDrumCount(end, f.N);
+
+        return {wait, xfer, next, total: 1 + f.DI + wait + xfer + next};
+    }
+
+    /**************************************/
+    static successors(lineNr, cmd) {
+        /* Returns an array of the word-times on line "lineNr" where the next
+        command may be found after executing "cmd" */
+        const f = Disassembler.decode(cmd);
+        const n1 = (f.N + 1) % Util.longLineSize;
+
+        if (f.D == 27) {                        // TEST: N or N+1
+            return [f.N, n1];
+        } else if (f.D == 31) {
+            switch (f.S) {
+            case 20:                            // select command line & return exit
+            case 21:                            // select command line & mark exit
+                return (Processor.CDXlate[(f.C1 << 2) | f.C] == lineNr ? [f.N] : []);
+            case 22:                            // sign of AR to TEST
+            case 28:                            // ready, etc. to TEST
+            case 29:                            // test for overflow
+                return [f.N, n1];
+            }
+        }
+
+        return [f.N];
+    }
+
+    /**************************************/
+    static findReachable(words, lineNr, entries) {
+        /* Returns a Set of the word-times on a long line reachable as commands
+        from the array of word-times "entries" */
+        const reached = new Set();
+        const pending = [...entries];
+
+        while (pending.length) {
+            const loc = pending.pop();
+            if (loc >= 0 && loc < Util.longLineSize && !reached.has(loc)) {
+                reached.add(loc);
+                pending.push(...Disassembler.successors(lineNr, words[loc]));
+            }
+        }
+
+        return reached;
+    }
+
+    /**************************************/
+    static listLine(words, lineNr, entries, symbols=null) {
+        /* Returns the listing of long line "lineNr" having contents "words"
+        as text, one line per word. "entries" is an array of word-times where
+        execution may enter the line. Entries are flagged with ">", other
+        reachable commands with "*". If the SymbolTable "symbols" has any
+        symbols, a column of symbol names is included */
+        const reached = Disassembler.findReachable(words, lineNr, entries);
+        const labeled = (symbols?.size > 0);
+        let text = (labeled ? "loc  label       value     command             wait xfer next total\n" :
+                              "loc  value     command             wait xfer next total\n");
+
+        for (let loc=0; loc<Util.longLineSize; ++loc) {
+            const word = words[loc];
+            const flag = (entries.includes(loc) ? ">" : (reached.has(loc) ? "*" : " "));
+
+            text += `${Util.lineHex[loc]} ${flag} `;
+            if (labeled) {
+                text += `${(symbols.symbolAt(lineNr, loc)?.name ?? "").padEnd(11)} `;
+            }
+
+            text += `${Util.g15SignedHex(word)}  ${Util.disassembleCommand(word)}`;
+            if (reached.has(loc)) {
+                const t = Disassembler.commandTiming(loc, word);
+                text += `${t.wait.toString().padStart(6)}${t.xfer.toString().padStart(5)}` +
+                        `${t.next.toString().padStart(5)}${t.total.toString().padStart(6)}`;
+            }
+
+            text += "\n";
+        }
+
+        return text;
+    }
+
+} // class Disassembler
@@ -15,6 +15,13 @@
 ************************************************************************
 * 2021-12-08  P.Kimpel
 *   Original version.
+* 2026-10-19  P.Kimpel
+*   Support unrestricted-speed mode in stepDrum(). Add getState() and
+*   setState() for machine-state snapshots. Add onWrite callback for
+*   data watchpoints. Add getRegisterState() and setRegisterState() for
+*   execution history.
+*   Add checkState() to verify a snapshot before restoring it.
+*   Add overlapped MZ precession to ioPrecessMZToCode() for FAST PUNCH 19.
 ***********************************************************************/
 
 export {Drum}
@@ -29,6 +36,8 @@ class Drum {
     static minThrottleDelay =           // minimum time to accumulate throttling delay, >= 4ms
             Util.minTimeout+1;
     static cmMask = 0x7F;               // mask for the 7-bit counters in the CM register
+    static unrestrictedCheckSteps = 1024;       // word-times between real-time checks at unrestricted speed
+    static unrestrictedSliceTime = 50;          // real time between event-loop yields at unrestricted speed, ms
 
     static computeDrumCount(L, T) {
         /* Computes and returns the number of word-times the drum must traverse
@@ -79,12 +88,15 @@ class Drum {
         // System timing and synchronization variables.
         this.eTime = 0;                 // current emulation time, ms
         this.eTimeSliceEnd = 0;         // current timeslice end emulation time, ms
+        this.nextYieldStamp = 0;        // real time of next event-loop yield at unrestricted speed, ms
         this.runTime = 0;               // total accumulated run time, ms
         this.drumTime = 0;              // drum clock in word-times
         this.timingActive = false;      // true if the timing mechanism is active
         this.stepWait = null;           // Promise used by stepDrum() to serialize stepping
         this.drumTimer = new Util.Timer();
-        this.line19Timer = new Util.Timer();
+        this.line19Timer = new Util.Timer(true);
+        this.onWordTime = null;         // optional callback(L) for each word-time step
+        this.onWrite = null;            // optional callback(lineNr, loc, word) before write() to lines 0-23
 
         this.procActive = false;        // true if the Processor is currently running
         this.procSync = new WaitSignal();
@@ -208,7 +220,9 @@ class Drum {
         to catch up with the emulation clock, this.eTime. Since most browsers
         will force a setTimeout() to wait for a minimum of 4ms, this routine
         will not delay if emulation time has not yet reached the end of its
-        time slice */
+        time slice. At unrestricted speed, emulation time is not synchronized
+        with real time, but the routine periodically yields to the event loop
+        so that the UI and timers can run */
 
         // If a step is already in progress, complain.
         if (this.stepWait) {
@@ -216,7 +230,16 @@ class Drum {
         }
 
         // Determine if it's time slow things down to real time.
-        if ((this.eTime += Util.wordTime) < this.eTimeSliceEnd) {
+        if (Util.unrestrictedSpeed) {
+            this.eTime += Util.wordTime;
+            if (this.drumTime % Drum.unrestrictedCheckSteps == 0 &&
+                    performance.now() >= this.nextYieldStamp) {
+                this.nextYieldStamp = performance.now() + Drum.unrestrictedSliceTime;
+                this.stepWait = Util.yieldToEventLoop();
+            } else {
+                this.stepWait = Promise.resolve();
+            }
+        } else if ((this.eTime += Util.wordTime) < this.eTimeSliceEnd) {
             this.stepWait = Promise.resolve();  // i.e., don't wait at all
         } else {
             this.eTimeSliceEnd += Drum.minThrottleDelay;
@@ -225,6 +248,9 @@ class Drum {
 
         ++this.drumTime;
         this.L.value = (this.L.value + 1) % Util.longLineSize;
+        if (this.onWordTime) {
+            this.onWordTime(this.L.value);
+        }
 
         await this.stepWait;
         this.stepWait = null;
@@ -239,6 +265,104 @@ class Drum {
                     `${this.drumTime.toFixed().padStart(9)}: ${drumLoc}  ${code.toString(16)}, ${Util.g15SignedHex(word)} ${caption}`);
     }
 
+    /**************************************/
+    getRegisterState() {
+        /* Returns an object containing the values of the drum-based registers,
+        and the drum position and word-time count */
+
+        return {
+            AR: this.AR.value,
+            CM: this.CM.value,
+            ID: this.ID.map((reg) => reg.value),
+            MQ: this.MQ.map((reg) => reg.value),
+            PN: this.PN.map((reg) => reg.value),
+            L: this.L.value,
+            drumTime: this.drumTime
+        };
+    }
+
+    /**************************************/
+    setRegisterState(state) {
+        /* Restores the drum-based registers from an object created by
+        getRegisterState() or getState(). Note that the drum position will be
+        recomputed from the emulation clock the next time drum timing is
+        started */
+
+        this.AR.value = state.AR;
+        this.CM.value = state.CM;
+        for (let x=0; x<2; ++x) {
+            this.ID[x].value = state.ID[x];
+            this.MQ[x].value = state.MQ[x];
+            this.PN[x].value = state.PN[x];
+        }
+
+        this.L.value = state.L;
+        this.drumTime = state.drumTime;
+    }
+
+    /**************************************/
+    getState() {
+        /* Returns an object containing the contents of the drum lines, the
+        number track, the MZ buffer, the drum-based registers, and the drum
+        position and word-time count, suitable for conversion to JSON */
+
+        return {
+            lines: this.line.slice(0, 24).map((line) => Array.from(line)),
+            CN: Array.from(this.CN),
+            MZ: Array.from(this.MZ),
+            ...this.getRegisterState()
+        };
+    }
+
+    /**************************************/
+    checkState(state) {
+        /* Verifies that "state" has the layout of an object created by
+        getState(), with every line, register, and position in range. Throws
+        an Error describing the first problem found. Changes nothing, so that
+        a snapshot can be checked completely before any of it is restored */
+        const checkWords = (name, words, length, max=Util.wordMask) => {
+            if (!Array.isArray(words) || words.length != length) {
+                throw new Error(`drum ${name} must have ${length} word${length == 1 ? "" : "s"}`);
+            } else if (!words.every((word) => Number.isInteger(word) && word >= 0 && word <= max)) {
+                throw new Error(`drum ${name} has an invalid word`);
+            }
+        };
+
+        if (!Array.isArray(state?.lines) || state.lines.length != 24) {
+            throw new Error("drum must have 24 lines");
+        }
+
+        for (let x=0; x<24; ++x) {
+            checkWords(`line ${x}`, state.lines[x], this.line[x].length);
+        }
+
+        checkWords("CN", state.CN, this.CN.length);
+        checkWords("MZ", state.MZ, this.MZ.length);
+        checkWords("AR", [state.AR], 1);
+        checkWords("CM", [state.CM], 1);
+        checkWords("ID", state.ID, 2);
+        checkWords("MQ", state.MQ, 2);
+        checkWords("PN", state.PN, 2);
+        checkWords("L", [state.L], 1, Util.longLineSize-1);
+        if (!Number.isInteger(state.drumTime) || state.drumTime < 0) {
+            throw new Error("drum drumTime is invalid");
+        }
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the drum from an object created by getState(). The state
+        should first be verified with checkState() */
+
+        for (let x=0; x<24; ++x) {
+            this.line[x].set(state.lines[x]);
+        }
+
+        this.CN.set(state.CN);
+        this.MZ.set(state.MZ);
+        this.setRegisterState(state);
+    }
+
 
     /*******************************************************************
     *  Processor Drum Methods                                          *
@@ -369,8 +493,16 @@ class Drum {
         }
 
         if (lineNr < 20) {
+            if (this.onWrite) {
+                this.onWrite(lineNr, this.L.value, word);
+            }
+
             this.line[lineNr][this.L.value] = word;
         } else if (lineNr < 24) {
+            if (this.onWrite) {
+                this.onWrite(lineNr, this.L4, word);
+            }
+
             this.line[lineNr][this.L4] = word;
         } else {
             switch (lineNr) {
@@ -716,17 +848,31 @@ class Drum {
     }
 
     /**************************************/
-    async ioPrecessMZToCode(bits) {
+    async ioPrecessMZToCode(bits, overlapped=false) {
         /* Precesses the original contents of MZ by "bits" bits to higher
         word numbers, inserting zero in the "bits" low-order bits of word 0,
         and returning the original "bits" high order bits of word 3. Always
         starts a precession at T0. This is normally used to get the next 3-bit
-        format code for slow output */
+        format code for slow output. If "overlapped" is true, the precession
+        takes no drum time, as MZ is precessed concurrently with the prior
+        data precession from line 19 (used by FAST PUNCH 19) */
         let keepBits = Util.wordBits - bits;
         let keepMask = Util.wordMask >> bits;
         let code = 0;
         let word = 0;
 
+        if (overlapped) {
+            if (!this.ioCanceled) {
+                for (let x=0; x<Util.fastLineSize; ++x) {
+                    word = this.MZ[x];
+                    this.MZ[x] = ((word & keepMask) << bits) | code;
+                    code = word >> keepBits;
+                }
+            }
+
+            return code;
+        }
+
         await this.ioWaitUntil(0);      // start precession at T0
         for (let x=0; x<Util.fastLineSize; ++x) {
             if (this.ioCanceled) {
@@ -0,0 +1,197 @@
+/***********************************************************************
+* retro-g15/emulator ExecutionHistory.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Execution history for reverse stepping of the G-15 Processor.
+*
+* While recording is on, the Processor calls startCommand() before each
+* command executes and finishCommand() after it completes. For each command
+* the history keeps an undo record holding the Processor and drum-based
+* register state before the command, and the prior contents of each drum
+* word the command stored into through Drum.write(). If I/O is active or
+* the command is a D=31 special command, the prior contents of lines 19
+* and 23 and the MZ buffer are kept as well, since the I/O subsystem
+* changes them without going through Drum.write().
+*
+* Every checkpointInterval commands, the history also takes a checkpoint
+* of the complete drum and register state. Undo records are discarded
+* once more than maxCommands have accumulated, so stepping back is limited
+* to that many commands, but the Processor can be returned to one of the
+* last maxCheckpoints checkpoints from further back.
+*
+* The history restores only the Processor and drum. The positions of I/O
+* devices are not reversed.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+***********************************************************************/
+
+export {ExecutionHistory};
+
+import * as IOCodes from "./IOCodes.js";
+
+class ExecutionHistory {
+
+    // Static class properties
+
+    static defaultCheckpointInterval = 1000;    // commands between checkpoints
+    static defaultMaxCommands = 10000;          // maximum undo records kept
+    static maxCheckpoints = 10;                 // maximum checkpoints kept
+
+
+    constructor(checkpointInterval=ExecutionHistory.defaultCheckpointInterval,
+                maxCommands=ExecutionHistory.defaultMaxCommands) {
+        /* Constructs an empty history */
+
+        this.checkpointInterval = checkpointInterval;
+        this.maxCommands = maxCommands;
+        this.recording = false;         // true if commands are being recorded
+        this.current = null;            // undo record for the command being executed
+        this.clear();
+    }
+
+    /**************************************/
+    get length() {
+        /* Returns the number of commands that can be stepped back */
+
+        return this.undoLog.length;
+    }
+
+    /**************************************/
+    clear() {
+        /* Discards all undo records and checkpoints */
+
+        this.undoLog = [];              // undo records, oldest first
+        this.checkpoints = [];          // checkpoints, oldest first
+        this.commandCount = 0;          // commands executed since the history was cleared
+        this.current = null;
+    }
+
+    /**************************************/
+    startCommand(p) {
+        /* Starts the undo record for the command Processor "p" is about to
+        execute, taking a checkpoint first if one is due */
+
+        if (this.commandCount % this.checkpointInterval == 0) {
+            if (this.checkpoints.length &&
+                    this.checkpoints[this.checkpoints.length-1].commandCount == this.commandCount) {
+                this.checkpoints.pop();         // replace one left by stepBack()
+            }
+
+            this.checkpoints.push({
+                commandCount: this.commandCount,
+                drum: p.drum.getState(),
+                registers: p.getRegisterState()});
+            if (this.checkpoints.length > ExecutionHistory.maxCheckpoints) {
+                this.checkpoints.shift();
+            }
+        }
+
+        this.current = {
+            drum: p.drum.getRegisterState(),
+            registers: p.getRegisterState(),
+            writes: [],                 // triples of line, word, prior value
+            ioLines: null};
+
+        if (p.OC.value != IOCodes.ioCmdReady || p.D.value == 31) {
+            this.current.ioLines = {
+                line19: p.drum.line[19].slice(),
+                line23: p.drum.line[23].slice(),
+                MZ: p.drum.MZ.slice()};
+        }
+    }
+
+    /**************************************/
+    recordWrite(lineNr, loc, word) {
+        /* Records the prior value "word" of a drum word about to be stored
+        into by the current command */
+
+        this.current?.writes.push(lineNr, loc, word);
+    }
+
+    /**************************************/
+    finishCommand() {
+        /* Completes the undo record for the current command */
+
+        if (this.current) {
+            this.undoLog.push(this.current);
+            this.current = null;
+            ++this.commandCount;
+
+            // Trim the undo log in chunks to avoid shifting it every command.
+            if (this.undoLog.length > this.maxCommands + this.checkpointInterval) {
+                this.undoLog.splice(0, this.undoLog.length - this.maxCommands);
+            }
+        }
+    }
+
+    /**************************************/
+    stepBack(p) {
+        /* Undoes the last command recorded, restoring Processor "p" to its
+        state before that command executed. Returns false if there is no
+        command to undo */
+        const rec = this.undoLog.pop();
+
+        if (!rec) {
+            return false;
+        }
+
+        const drum = p.drum;
+        const writes = rec.writes;
+        for (let x=writes.length-3; x>=0; x-=3) {
+            drum.line[writes[x]][writes[x+1]] = writes[x+2];
+        }
+
+        if (rec.ioLines) {
+            drum.line[19].set(rec.ioLines.line19);
+            drum.line[23].set(rec.ioLines.line23);
+            drum.MZ.set(rec.ioLines.MZ);
+        }
+
+        drum.setRegisterState(rec.drum);
+        p.setRegisterState(rec.registers);
+        --this.commandCount;
+        while (this.checkpoints.length &&
+                this.checkpoints[this.checkpoints.length-1].commandCount > this.commandCount) {
+            this.checkpoints.pop();
+        }
+
+        return true;
+    }
+
+    /**************************************/
+    backToCheckpoint(p) {
+        /* Restores Processor "p" to the most recent checkpoint taken before
+        the last command recorded, discarding the undo records after it.
+        Returns the number of commands stepped back, or 0 if there is no
+        such checkpoint */
+        let cp = null;
+
+        while (this.checkpoints.length) {
+            cp = this.checkpoints[this.checkpoints.length-1];
+            if (cp.commandCount < this.commandCount) {
+                break;
+            } else {
+                this.checkpoints.pop();
+                cp = null;
+            }
+        }
+
+        if (!cp) {
+            return 0;
+        }
+
+        const steps = this.commandCount - cp.commandCount;
+        this.undoLog.splice(Math.max(this.undoLog.length - steps, 0));
+        this.commandCount = cp.commandCount;
+        p.drum.setState(cp.drum);
+        p.setRegisterState(cp.registers);
+        this.checkpoints.pop();         // taken again when the next command starts
+        return steps;
+    }
+
+} // class ExecutionHistory
@@ -0,0 +1,157 @@
+/***********************************************************************
+* retro-g15/emulator ExecutionProfiler.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Per-location execution profiler for the G-15 Processor.
+*
+* While profiling is on, the Processor reports each command it reads from
+* lines 0-19 and the drum counts it waits during execution. For each
+* command location (line x word-time), the profiler accumulates:
+*
+*   count       number of times the command was executed.
+*   operandWait word-times a deferred command waited for the drum to
+*               reach its operand at T.
+*   nextWait    word-times spent after the command's transfer state
+*               waiting for the drum to reach the next command at N.
+*
+* The sum of the two waits is the latency the command's placement costs,
+* which is what optimum coding tries to minimize. Commands executed from
+* AR or from line 23 are not profiled, and the wait for the command that
+* follows one of them is not counted.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+***********************************************************************/
+
+export {ExecutionProfiler};
+
+import * as Util from "./Util.js";
+
+class ExecutionProfiler {
+
+    // Static class properties
+
+    static lines = 20;                  // number of drum lines profiled (0-19)
+
+
+    constructor() {
+        /* Constructs an empty profile */
+        const size = ExecutionProfiler.lines*Util.longLineSize;
+
+        this.profiling = false;         // true if commands are being profiled
+        this.counts = new Float64Array(size);       // executions by location
+        this.operandWaits = new Float64Array(size); // operand wait word-times by location
+        this.nextWaits = new Float64Array(size);    // next-command wait word-times by location
+        this.clear();
+    }
+
+    /**************************************/
+    clear() {
+        /* Discards the profile */
+
+        this.counts.fill(0);
+        this.operandWaits.fill(0);
+        this.nextWaits.fill(0);
+        this.current = -1;              // index of the command being executed, or -1
+        this.commands = 0;              // total commands profiled
+    }
+
+    /**************************************/
+    setProfiling(profiling) {
+        /* Turns profiling on or off. The profile is kept, but the wait for
+        the next command is not counted until a command has been profiled */
+
+        this.profiling = profiling;
+        this.current = -1;
+    }
+
+    /**************************************/
+    startCommand(lineNr, loc) {
+        /* Counts the command at word-time "loc" of line "lineNr" as the one
+        now executing. "lineNr" is null for a command executed from AR */
+
+        if (lineNr !== null && lineNr < ExecutionProfiler.lines) {
+            this.current = lineNr*Util.longLineSize + loc;
+            ++this.counts[this.current];
+            ++this.commands;
+        } else {
+            this.current = -1;
+        }
+    }
+
+    /**************************************/
+    addOperandWait(wordTimes) {
+        /* Accumulates the wait for the operand of the current command */
+
+        if (this.current >= 0) {
+            this.operandWaits[this.current] += wordTimes;
+        }
+    }
+
+    /**************************************/
+    addNextWait(wordTimes) {
+        /* Accumulates the wait for the next command to the command that
+        has just completed */
+
+        if (this.current >= 0) {
+            this.nextWaits[this.current] += wordTimes;
+            this.current = -1;
+        }
+    }
+
+    /**************************************/
+    totalWait(index) {
+        /* Returns the total wait word-times accumulated at a location index */
+
+        return this.operandWaits[index] + this.nextWaits[index];
+    }
+
+    /**************************************/
+    maxWait() {
+        /* Returns the largest total wait accumulated at any location */
+        let max = 0;
+
+        for (let x=0; x<this.counts.length; ++x) {
+            max = Math.max(max, this.totalWait(x));
+        }
+
+        return max;
+    }
+
+    /**************************************/
+    getEntry(lineNr, loc) {
+        /* Returns an object describing the profile of one location */
+        const x = lineNr*Util.longLineSize + loc;
+
+        return {
+            line: lineNr,
+            word: loc,
+            count: this.counts[x],
+            operandWait: this.operandWaits[x],
+            nextWait: this.nextWaits[x],
+            total: this.totalWait(x)
+        };
+    }
+
+    /**************************************/
+    getHottest(limit) {
+        /* Returns an array of entries for up to "limit" executed locations,
+        those with the largest total wait first */
+        const indexes = [];
+
+        for (let x=0; x<this.counts.length; ++x) {
+            if (this.counts[x]) {
+                indexes.push(x);
+            }
+        }
+
+        indexes.sort((a, b) => this.totalWait(b) - this.totalWait(a));
+        return indexes.slice(0, limit).map((x) =>
+                this.getEntry(Math.trunc(x/Util.longLineSize), x % Util.longLineSize));
+    }
+
+} // class ExecutionProfiler
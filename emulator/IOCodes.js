@@ -9,6 +9,10 @@
 ************************************************************************
 * 2022-03-17  P.Kimpel
 *   Original version.
+* 2026-10-19  P.Kimpel
+*   Add Hollerith card codes for the CA-2 card reader and punch.
+*   Add the typewriter print characters and Type-O-Matic rate, from
+*   webUI/Typewriter.js.
 ***********************************************************************/
 
 // Peripheral device data codes
@@ -41,6 +45,13 @@ export const ioCmdCardRead =    0b01110;        // card read
 export const ioCmdPTRead =      0b01111;        // paper tape read
 export const ioCmdReady =       0b10000;        // set I/O ready status
 
+// Typewriter characters printed for the I/O frame codes.
+export const printCodes = [
+        " ", "-", "\n", "\t", "$", "!", ".", "~", " ", "-", "\n", "\t", "$", "!", ".", "~",
+        "0", "1",  "2",  "3", "4", "5", "6", "7", "8", "9",  "u",  "v", "w", "x", "y", "z"];
+
+export const typeOMaticRate = 8.6*10;           // default max Type-O-Matic input rate, chars/sec
+
 // Filter ASCII character values to I/O frame code values.
 export const ioCodeFilter = [
         // 0    1    2    3    4    5    6    7    8    9   10   11   12   13   14   15
@@ -59,3 +70,18 @@ export const rev5Bits = [
         0b00010, 0b10010, 0b01010, 0b11010, 0b00110, 0b10110, 0b01110, 0b11110,
         0b00001, 0b10001, 0b01001, 0b11001, 0b00101, 0b10101, 0b01101, 0b11101,
         0b00011, 0b10011, 0b01011, 0b11011, 0b00111, 0b10111, 0b01111, 0b11111];
+
+// Hollerith card punches for the characters used by the CA-2 card adapter.
+// Bits 11-0 of each value represent card rows 12, 11, 0, 1, 2, ..., 9,
+// which is the row order of a column-binary card image. The punches are
+// those of the IBM 026/029 for the same characters, so the G-15 hex digits
+// u-z are punched as the letters A-F. Since "C" is therefore the digit w,
+// carriage-return is punched as its alternate image character "K".
+export const cardHollerith = {
+        " ": 0x000,     "-": 0x400,     ".": 0x842,     "/": 0x300,
+        "0": 0x200,     "1": 0x100,     "2": 0x080,     "3": 0x040,
+        "4": 0x020,     "5": 0x010,     "6": 0x008,     "7": 0x004,
+        "8": 0x002,     "9": 0x001,     "u": 0x900,     "v": 0x880,
+        "w": 0x840,     "x": 0x820,     "y": 0x810,     "z": 0x808,
+        "H": 0x802,     "K": 0x480,     "R": 0x401,     "S": 0x280,
+        "T": 0x240};
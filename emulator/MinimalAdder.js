@@ -1,5 +1,5 @@
 /***********************************************************************
-* retro-g15/software/tools MinimalAdder.js
+* retro-g15/emulator MinimalAdder.js
 ************************************************************************
 * Copyright (c) 2025, Paul Kimpel.
 * Licensed under the MIT License, see
@@ -11,6 +11,8 @@
 ************************************************************************
 * 2023-03-26  P.Kimpel
 *   Original version, from retro-g15/Processor.js v1.06.
+* 2026-10-19  P.Kimpel
+*   Moved from software/tools so that emulator modules can use it.
 ***********************************************************************/
 
 export {MinimalAdder}
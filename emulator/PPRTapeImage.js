@@ -14,6 +14,8 @@
 ************************************************************************
 * 2022-03-18  P.Kimpel
 *   Original version.
+* 2026-10-19  P.Kimpel
+*   Move from webUI/resources/ to emulator/ for use by the headless reader.
 ***********************************************************************/
 
 export const pprTapeImage = `
@@ -0,0 +1,206 @@
+/***********************************************************************
+* retro-g15/emulator PaperTapeTransport.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Tape transport of the G-15 paper (photo) tape reader, shared by the
+* browser reader (webUI/PaperTapeReader.js) and the headless one
+* (headless/HeadlessTapeReader.js).
+*
+* The functions move the tape of a reader "unit", an object having the
+* properties:
+*       processor       the Processor object
+*       timer           a Util.Timer used to time the tape frames
+*       buffer          frame codes of the mounted tape
+*       bufLength       number of frames in buffer
+*       bufIndex        0-relative offset to the next frame to be read
+*       dataEnd         offset after the last non-blank frame in buffer
+*       blockNr         current tape block number
+*       canceled        set by the unit to cancel the I/O in progress
+*       nextStartStamp  earliest time the next read can start
+* and the methods:
+*       makeBusy(busy)          marks the unit busy or idle
+*       setBlockNr(blockNr)     sets unit.blockNr
+*       showPosition(x)         reports that the tape is at buffer offset x
+*       nextTape()              mounts the next tape at its beginning,
+*                               returning true if there was one
+*       priorTape()             mounts the prior tape at its end,
+*                               returning true if there was one
+* setSpeed() sets the unit's speed, framePeriod, and startStopTime
+* properties.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/PaperTapeReader.js.
+***********************************************************************/
+
+import * as Util from "./Util.js";
+import * as IOCodes from "./IOCodes.js";
+
+export const averageSpeed = 250;        // frames/sec
+export const framesPerInch = 10;        // frame pitch on the tape
+export const midpointDiameter = 3.6;    // spool diameter at midpoint of max-length tape, in
+export const startStopFrames = 35;      // 3.5 inches of tape
+export const tapeThickness = 0.1/25.4;  // 0.100mm = 0.003937in
+export const hubDiameter = 1.0          // diameter of take-up reel hub, inch
+export const hubCircumference = hubDiameter*Math.PI;
+export const hubRPS =                   // take-up hub speed, rev/sec
+        averageSpeed/hubCircumference/framesPerInch;
+
+export const tapeWords = 2500;          // max words in a tape cartridge, about 170 feet of tape
+                                        // (see https://en.wikipedia.org/wiki/Bendix_G-15)
+export const spoolAlpha = Math.PI*(1 + 2*tapeThickness);        // spool diameter growth factor
+export const tapeFrames = tapeWords*Util.wordBits/4;            // max frames in a tape cartridge
+
+
+/**************************************/
+export function setSpeed(unit, bufIndex) {
+    /* Configures the unit to match the current drum rotational speed and
+    length of tape wound on the take-up hub. "bufIndex" is the offset into
+    the tape buffer */
+    const tapeLen = bufIndex/framesPerInch;                                     // in
+    const spoolDiameter = tapeLen/spoolAlpha*2*tapeThickness + hubDiameter;     // in
+    const tapeSpeed = Math.PI*spoolDiameter*hubRPS*framesPerInch;               // frames/sec
+
+    unit.speed = Math.min(tapeSpeed*Util.timingFactor, 2500);                   // frames/sec
+    unit.framePeriod = 1000/unit.speed;                                         // ms/frame
+    unit.startStopTime = unit.framePeriod*startStopFrames;                      // ms
+}
+
+/**************************************/
+export async function read(unit) {
+    /* Sends frame codes from the unit's tape to the Processor's I/O subsystem
+    until a STOP code or the end of the tape buffer is encountered. Tapes are
+    changed only between blocks: if the mounted tape has no data left, the read
+    starts on the next tape, and a tape is replaced by the next one as soon as
+    a block is read to its end. Returns true if an attempt is made to read past
+    the end of the buffer, leaving the I/O hanging. Delays for the reader
+    startup time, but not for the stop time, so that the I/O can finish as
+    soon as possible. Takes the stop time into account at the beginning of the
+    next read, if necessary */
+    let bufLength = 0;                  // current buffer length
+    let code = 0;                       // current G-15 tape code
+    let eob = false;                    // end-of-block flag
+    let nextFrameStamp = performance.now();             // time of next character frame
+    let precessionComplete = Promise.resolve();         // signals drum is ready for next char
+    let result = false;                 // true if reader left hung at end-of-buffer
+    let x = 0;                          // current buffer index
+
+    if (unit.bufIndex >= unit.dataEnd) {
+        unit.nextTape();                // start on the next tape, if any
+    }
+
+    bufLength = unit.bufLength;
+    x = unit.bufIndex;
+    unit.canceled = false;
+    unit.makeBusy(true);
+    unit.setBlockNr(unit.blockNr+1);
+    setSpeed(unit, x);
+
+    // Simulate the reader start/stop time.
+    if (unit.nextStartStamp > nextFrameStamp) {
+        nextFrameStamp = unit.nextStartStamp + unit.startStopTime;  // reader is still stopping
+    } else {
+        nextFrameStamp += unit.startStopTime;                       // reader is ready to start
+    }
+
+    // Read the next block.
+    do {
+        unit.showPosition(x);
+        if (x >= bufLength) {           // end of buffer
+            unit.canceled = false;
+            result = eob = true;        // just quit and leave the I/O hanging
+            break;
+        } else {
+            code = unit.buffer[x];
+            ++x;
+
+            // Wait for the next frame time.
+            await unit.timer.delayUntil(nextFrameStamp);
+            nextFrameStamp += unit.framePeriod;
+
+            // Wait for any line 23 precession to complete.
+            if (unit.canceled) {
+                await precessionComplete;
+                unit.canceled = false;
+                eob = true;             // definitely canceled -- quit
+            } else if (await precessionComplete) {
+                eob = true;             // some error detected by Processor -- quit
+            } else {
+                // Send the tape code to the Processor.
+                precessionComplete = unit.processor.receiveInputCode(code);
+                switch (code) {
+                case IOCodes.ioCodeReload:
+                    setSpeed(unit, x);
+                    break;
+                case IOCodes.ioCodeStop:
+                    await precessionComplete;
+                    eob = true;         // end of block -- quit
+                    break;
+                }
+            }
+        }
+    } while (!eob);
+
+    unit.bufIndex = x;
+    unit.makeBusy(false);
+    unit.nextStartStamp = unit.startStopTime + nextFrameStamp;      // simulate reader stop time
+    if (x >= unit.dataEnd) {
+        unit.nextTape();                // tape read to its end: mount the next one, if any
+    }
+
+    return result;
+}
+
+/**************************************/
+export async function reverseBlock(unit) {
+    /* Reverses the unit's tape until the prior stop code is detected and
+    exits. At the beginning of a tape, the prior tape is mounted at its end
+    and reversing continues on it. If we encounter the beginning of the first
+    tape, just exit with the buffer index pointing to the beginning of the
+    buffer. Returns true if an attempt is made to reverse past the beginning
+    of the first tape, leaving the I/O hanging */
+    let bufLength = unit.bufLength;     // current buffer length
+    let nextFrameStamp = 0;             // time of next character frame
+    let x = unit.bufIndex;              // point to current buffer position
+
+    unit.canceled = false;
+    unit.makeBusy(true);
+    setSpeed(unit, bufLength-x);
+    nextFrameStamp = performance.now() + unit.startStopTime;        // simulate startup time
+
+    do {
+        if (x <= 0 && unit.priorTape()) {
+            bufLength = unit.bufLength; // continue on the end of the prior tape
+            x = bufLength;
+        } else if (x <= 0) {
+            unit.bufIndex = 0;          // reset the buffer index to beginning
+            unit.setBlockNr(0);
+            unit.makeBusy(false);
+            unit.canceled = false;
+            return true;                // and just quit, leaving the I/O hanging
+        } else {
+            --x;                        // examine prior character
+            if (unit.buffer[x] == IOCodes.ioCodeStop) {
+                break;                  // out of do loop
+            } else {
+                unit.showPosition(x);
+                await unit.timer.delayUntil(nextFrameStamp);
+                nextFrameStamp += unit.framePeriod;
+                if (unit.canceled) {
+                    unit.canceled = false;
+                    break;              // out of do loop
+                }
+            }
+        }
+    } while (true);
+
+    unit.bufIndex = x;
+    unit.makeBusy(false);
+    await unit.timer.set(unit.startStopTime);       // simulate stop time
+    unit.setBlockNr(x > 0 ? unit.blockNr-1 : 0);
+
+    return false;
+}
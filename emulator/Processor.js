@@ -21,9 +21,14 @@ export {Processor}
 import * as Util from "./Util.js";
 import * as IOCodes from "./IOCodes.js";
 
+import {DifferentialAnalyzer} from "./DifferentialAnalyzer.js";
 import {Drum} from "./Drum.js";
+import {ExecutionHistory} from "./ExecutionHistory.js";
+import {ExecutionProfiler} from "./ExecutionProfiler.js";
 import {FlipFlop} from "./FlipFlop.js";
 import {Register} from "./Register.js";
+import {SymbolTable} from "./SymbolTable.js";
+import {TraceRecorder} from "./TraceRecorder.js";
 
 const regMQ = 24;                          // MQ register drum line
 const regID = 25;                          // ID register drum line
@@ -34,6 +39,29 @@ const regAR = 28;                          // AR register drum line
 class Processor {
 
     static CDXlate = [0, 1, 2, 3, 4, 5, 19, 23];        // translate CD register to drum line numbers
+    static punchLeaderFrames = 120;                     // blank frames for FAST PUNCH LEADER (12 inches)
+
+    static snapshotFormat = "retro-g15-snapshot";       // identifies a snapshot object
+    static snapshotVersion = 1;                         // snapshot object layout version
+    static snapshotFlipFlops = [                        // flip-flops saved in a snapshot
+        "AS", "BP", "C1", "CG", "CH", "CJ", "CQ", "CS", "CZ", "DI", "FO", "IP", "IS", "OS", "RC", "SA", "TR"];
+    static snapshotRegisters = [                        // registers saved in a snapshot
+        "C", "CD", "D", "IR", "N", "OC", "OR", "S", "T", "cmdLoc"];
+    static snapshotVariables = [                        // state variables saved in a snapshot
+        "cmdLine", "cmdWord", "deferredBP", "isNCAR", "dpCarry", "dpEvenMag", "dpEvenSign",
+        "lastRCWordTime", "mqShiftCarry", "pnAddCarry", "pnAddendSign", "pnAugendSign",
+        "pnEvenSum", "pnSign"];
+    static watchRegisters = ["AR", "ID", "MQ", "PN", "FO"];     // registers that can be watched
+    static watchConditions = ["any", "==", "!=", "<", ">"];     // drum watchpoint value conditions
+    static breakpointConditions = {                     // breakpoint conditions on the registers
+        "always":       (p) => true,
+        "AR neg":       (p) => (p.drum.AR.value & Util.wordSignMask) != 0,
+        "AR pos":       (p) => (p.drum.AR.value & Util.wordSignMask) == 0,
+        "AR zero":      (p) => (p.drum.AR.value & Util.absWordMask) == 0,
+        "AR nonzero":   (p) => (p.drum.AR.value & Util.absWordMask) != 0,
+        "PN neg":       (p) => (p.drum.PN[0].value & Util.wordSignMask) != 0,
+        "FO set":       (p) => p.FO.value != 0,
+        "FO reset":     (p) => p.FO.value == 0};
 
     constructor(context) {
         /* Constructor for the G-15 processor object. The "context" object
@@ -66,11 +94,11 @@ class Processor {
         this.CD = new Register( 3, this.drum, false);   // current command-line designator
         this.D  = new Register( 5, this.drum, false);   // destination line in command
         this.IR = new Register(Util.wordBits, this.drum, true);
-                                                        // input register (zero unless external circuit exists)
+                                                        // input register (zero unless external circuit attached)
         this.N  = new Register( 7, this.drum, false);   // next cmd location in command
         this.OC = new Register( 5, this.drum, false);   // I/O operation code register (bit 5 = READY)
         this.OR = new Register(Util.wordBits, this.drum, true);
-                                                        // output register (a sink unless external circuit exists)
+                                                        // output register (a sink unless external circuit attached)
         this.S  = new Register( 5, this.drum, false);   // source line in command
         this.T  = new Register( 7, this.drum, false);   // timing number from command
         this.cmdLoc = new Register(7, this.drum, false);// current command word-time
@@ -106,9 +134,45 @@ class Processor {
         this.canceledIO = false;                        // current I/O has been canceled
         this.duplicateIO = false;                       // second I/O of same type initiated while first in progress
         this.hungIO = false;                            // current I/O is intentionally hung, awaiting cancel
+        this.formatLine = 0;                            // line holding the current output format (2 or 3), else 0
+        this.formatIndex = 0;                           // index of the current format code in that format
+        this.formatBits = 0;                            // data bits precessed for output since the I/O started
+        this.hasMagTape = context.config.getNode("MagTape.hasMagTape");
+        this.hasCardReader = context.config.getNode("CardReader.hasCardReader");
+        this.hasCardPunch = context.config.getNode("CardPunch.hasCardPunch");
         this.hasPlotter =  context.config.getNode("Plotter.hasPlotter");
+        this.hasDA1 = context.config.getNode("DA1.hasDA1");
+        this.da = (this.hasDA1 ? new DifferentialAnalyzer(this.drum, context) : null);
         this.ioPrecession = Promise.resolve();          // Promise for I/O line 19 precession
 
+        // External circuits
+        this.externalCircuits = [];                     // attached external circuit objects
+        this.boundDrumWordTime = this.drumWordTime.bind(this);
+        this.updateWordTimeHook();
+
+        // Data watchpoints
+        this.watchpoints = [];                          // active watchpoint objects, see addWatchpoint()
+        this.watchpointHit = null;                      // watchpoint that halted the Processor
+        this.watchRegValues = {};                       // watched register values at start of command
+        this.boundDrumWrite = this.drumWrite.bind(this);
+
+        // Execution breakpoints
+        this.breakpoints = new Map();                   // breakpoint objects keyed by drum location
+        this.breakpointHit = null;                      // breakpoint that halted the Processor
+
+        // Execution trace recording
+        this.traceRecorder = new TraceRecorder();       // ring buffer of executed commands
+        this.traceEntry = null;                         // trace entry for the current command
+
+        // Execution history for reverse stepping
+        this.history = new ExecutionHistory();
+
+        // Per-location execution profiling
+        this.profiler = new ExecutionProfiler();
+
+        // Symbolic names for drum locations
+        this.symbols = new SymbolTable();
+
         // Bound methods
         this.boundIOPrecess19ToCode = this.drum.ioPrecess19ToCode.bind(this.drum);
         this.boundIOPrecessARToCode = this.drum.ioPrecessARToCode.bind(this.drum);
@@ -168,9 +232,11 @@ class Processor {
         /* Log current processor state to the console using a PPR-like format */
         const drumLoc = this.isNCAR ?
                 "NCAR   " : Util.formatDrumLoc(this.cmdLine, this.cmdLoc.value, true);
+        const sym = (this.isNCAR ? null : this.symbols.symbolAt(this.cmdLine, this.cmdLoc.value));
 
         console.log(`<TRACE${this.devices.paperTapeReader.blockNr.toString().padStart(3, " ")}>` +
-                    `${this.lastRCWordTime.toFixed().padStart(9)}: ${drumLoc}  ${Util.disassembleCommand(this.cmdWord)}`);
+                    `${this.lastRCWordTime.toFixed().padStart(9)}: ${drumLoc}  ${Util.disassembleCommand(this.cmdWord)}` +
+                    (sym ? `  ${sym.name}` : ""));
     }
 
     /**************************************/
@@ -213,6 +279,7 @@ class Processor {
         this.RC.updateLampGlow(gamma);
         this.SA.updateLampGlow(gamma);
         this.TR.updateLampGlow(gamma);
+        this.da?.GO.updateLampGlow(gamma);
 
         // Processor Registers
         this.C.updateLampGlow(gamma);
@@ -511,6 +578,7 @@ class Processor {
             return this.drum.read(regAR);
             break;
         case 29:        // 20.(INPUT REGISTER)
+            this.sampleInputRegister();
             return this.drum.read(20) & this.IR.value;
             break;
         case 30:        // 20/.21
@@ -542,6 +610,16 @@ class Processor {
         }
     }
 
+    /**************************************/
+    profileOperandWait() {
+        /* Reports the word-times a deferred command will wait for the drum
+        to reach T to the execution profiler */
+
+        if (this.profiler.profiling) {
+            this.profiler.addOperandWait(Drum.computeDrumCount(this.drum.L.value, this.T.value));
+        }
+    }
+
     /**************************************/
     async transferDriver(transform, arg) {
         /* Executes a transfer to a destination under control of the "transform"
@@ -553,6 +631,7 @@ class Processor {
 
         if (this.DI.value) {
             // Deferred execution: transfer one or two words at time T.
+            this.profileOperandWait();
             await this.drum.waitUntil(this.T.value);
             if (this.C1.value && this.drum.CE) {
                 ++count;                // DP operand: two-word transfer state
@@ -569,10 +648,19 @@ class Processor {
         ////    this.warning("DP transfer starting on ODD word");
         ////}
 
-        do {
+        if (this.traceEntry) {          // record the first source and destination words
+            this.traceEntry.source = this.drum.read(this.S.value);
             transform.call(this, arg);
+            this.traceEntry.dest = this.drum.read(this.D.value);
             await this.drum.waitFor(1);
-        } while (--count > 0);
+            --count;
+        }
+
+        while (count > 0) {
+            transform.call(this, arg);
+            await this.drum.waitFor(1);
+            --count;
+        }
     }
 
     /**************************************/
@@ -1215,6 +1303,7 @@ class Processor {
         this.pnSign = 0;
 
         if (this.DI.value) {
+            this.profileOperandWait();
             await this.drum.waitUntil(this.T.value);
         }
 
@@ -1313,6 +1402,7 @@ class Processor {
         this.pnSign = 0;
 
         if (this.DI.value) {
+            this.profileOperandWait();
             await this.drum.waitUntil(this.T.value);
         }
 
@@ -1421,6 +1511,7 @@ class Processor {
         this.mqShiftCarry = this.drum.getMQ0T29Bit();
 
         if (this.DI.value) {
+            this.profileOperandWait();
             await this.drum.waitUntil(this.T.value);
         }
 
@@ -1473,6 +1564,7 @@ class Processor {
         this.mqShiftCarry = this.drum.getMQ0T29Bit();
 
         if (this.DI.value) {
+            this.profileOperandWait();
             await this.drum.waitUntil(this.T.value);
         }
 
@@ -1713,6 +1805,7 @@ class Processor {
         switch (fmt) {
         case 0b000:     // digit
             [code, zeroed] = await precessor(4);
+            this.formatBits += 4;
             if (zeroed && this.AS.value) {
                 code = IOCodes.ioCodeStop;      // AN auto stop
             } else {
@@ -1725,6 +1818,7 @@ class Processor {
             break;
         case 0b010:     // carriage return - precess and discard the sign bit
             [code, zeroed] = await precessor(1);
+            ++this.formatBits;
             if (zeroed && this.AS.value) {
                 code = IOCodes.ioCodeStop;      // AN auto stop
             } else {
@@ -1745,6 +1839,7 @@ class Processor {
             break;
         case 0b110:     // tab - precess and discard the sign bit
             [code, zeroed] = await precessor(1);
+            ++this.formatBits;
             if (zeroed && this.AS.value) {
                 code = IOCodes.ioCodeStop;      // AN auto stop
             } else {
@@ -1753,6 +1848,7 @@ class Processor {
             break;
         case 0b111:     // wait - precess and discard the digit
             [code, zeroed] = await precessor(4);
+            this.formatBits += 4;
             if (zeroed && this.AS.value) {
                 code = IOCodes.ioCodeStop;      // AN auto stop
             } else {
@@ -1765,26 +1861,23 @@ class Processor {
     }
 
     /**************************************/
-    async punchLine19() {
-        /* Punches the contents of line 19, starting with the four high-order
-        bits of of word 107, and precessing the line with each character until
-        the line is all zeroes. One character is output every two drum cycles.
-        The first cycle gets the format character; the second gets the data */
+    async outputLine19(write, fast=false) {
+        /* Generates the Slow-Out output characters for the contents of line
+        19, starting with the four high-order bits of word 107, and precessing
+        the line with each character until the line is all zeroes. Each
+        character is passed to the device output callback "write". One
+        character is generated every two drum cycles. The first cycle gets the
+        format character; the second gets the data. If "fast" is true, the next
+        format code is precessed from MZ during the last data cycle, so one
+        character is generated every drum cycle. Used by PUNCH 19, FAST PUNCH
+        19, MT WRITE, and CARD PUNCH 19 */
         let code = 0;                   // output character code
         let fmt = 0;                    // format code
         let line19Empty = false;        // line 19 is now empty
-        let punching = true;            // true until STOP or I/O cancel
+        let outputting = true;          // true until STOP or I/O cancel
         let reloadMZ = false;           // true if long-line -> MZ reload needed
         let zeroed = false;             // precessor function reports line 19 all zeroes
 
-        this.OC.value = IOCodes.ioCmdPunch19;
-        this.activeIODevice = this.devices.paperTapePunch;
-        this.devices.paperTapePunch.makeBusy(true);
-        await this.drum.ioStart("PUNCH 19");
-
-        // Output an initial SPACE code (a quirk of the Slow-Out logic)
-        this.devices.paperTapePunch.write(IOCodes.ioCodeSpace);
-
         // Start a MZ reload cycle.
         do {
             reloadMZ = true;
@@ -1794,14 +1887,19 @@ class Processor {
             // line 19 will always start at T0, which will finish the format
             // code's drum  cycle, and itself will take a full drum cycle, so we
             // are assured that each character cycle will take two drum cycles
-            // for proper timing.
+            // for proper timing. For FAST PUNCH 19, the MZ precession overlaps
+            // the prior character's data cycle, so after the first character
+            // of a format, each character cycle takes one drum cycle.
             do {
                 if (!this.canceledIO) {
                     if (reloadMZ) {
                         reloadMZ = false;
+                        this.formatLine = 2;
+                        this.formatIndex = 0;
                         fmt = await this.drum.ioPrecessLongLineToMZ(2, 3);  // get initial format code for line 19
                     } else {
-                        fmt = await this.drum.ioPrecessMZToCode(3);         // get next 3-bit format code from MZ
+                        ++this.formatIndex;
+                        fmt = await this.drum.ioPrecessMZToCode(3, fast);   // get next 3-bit format code from MZ
                     }
                 }
 
@@ -1815,7 +1913,7 @@ class Processor {
                     switch (code) {
                     case IOCodes.ioCodeStop:
                         if (line19Empty) {
-                            punching = false;
+                            outputting = false;
                         } else {
                             code = IOCodes.ioCodeReload;
                         }
@@ -1824,11 +1922,11 @@ class Processor {
                 }
 
                 if (this.canceledIO) {
-                    punching = false;                                   // I/O canceled
+                    outputting = false;                                 // I/O canceled
                 } else {
-                    this.devices.paperTapePunch.write(code);
-                    // The following forces a format reload when a second PUNCH
-                    // 19 command is executed while a prior one is still in
+                    write(code);
+                    // The following forces a format reload when a second output
+                    // command is executed while a prior one is still in
                     // progress. It is specifically intended to aid in punching
                     // blank leader. See Technical Applications Memo 33.
                     if (this.duplicateIO) {
@@ -1836,10 +1934,55 @@ class Processor {
                         code = IOCodes.ioCodeReload;                    // trigger a reload to restart the format
                     }
                 }
-            } while (code != IOCodes.ioCodeReload && punching);
-        } while (punching);
+            } while (code != IOCodes.ioCodeReload && outputting);
+        } while (outputting);
+    }
+
+    /**************************************/
+    async punchLine19(fast=false) {
+        /* Punches the contents of line 19 on the paper tape punch -- see
+        outputLine19(). If "fast" is true, this is a FAST PUNCH 19 (S=3) rather
+        than PUNCH 19 (S=10). The output is the same, but one character is
+        punched every drum cycle, about 34.4 characters per second at 1800 RPM,
+        instead of every two drum cycles */
+        const punch = this.devices.paperTapePunch;
+
+        this.OC.value = (fast ? IOCodes.ioCmdFastPunch : IOCodes.ioCmdPunch19);
+        this.activeIODevice = punch;
+        punch.makeBusy(true);
+        await this.drum.ioStart(fast ? "FAST PUNCH 19" : "PUNCH 19");
+
+        // Output an initial SPACE code (a quirk of the Slow-Out logic)
+        punch.write(IOCodes.ioCodeSpace);
+        await this.outputLine19((code) => punch.write(code), fast);
 
-        this.drum.ioStop("PUNCH 19");
+        this.drum.ioStop(fast ? "FAST PUNCH 19" : "PUNCH 19");
+        this.finishIO();
+        punch.makeBusy(false);
+    }
+
+    /**************************************/
+    async punchLeader() {
+        /* Punches a length of blank leader on the paper tape punch, FAST PUNCH
+        LEADER (S=2). Blank frames are punched at the FAST PUNCH 19 rate, one
+        every drum cycle, until Processor.punchLeaderFrames frames have been
+        punched or the I/O is canceled */
+
+        this.OC.value = IOCodes.ioCmdPunchLeader;
+        this.activeIODevice = this.devices.paperTapePunch;
+        this.devices.paperTapePunch.makeBusy(true);
+        await this.drum.ioStart("PUNCH LEADER");
+
+        for (let x=Processor.punchLeaderFrames; x>0; --x) {
+            await this.drum.ioWaitFor(Util.longLineSize);
+            if (this.canceledIO) {
+                break;                  // I/O canceled
+            } else {
+                this.devices.paperTapePunch.write(IOCodes.ioCodeSpace);
+            }
+        }
+
+        this.drum.ioStop("PUNCH LEADER");
         this.finishIO();
         this.devices.paperTapePunch.makeBusy(false);
     }
@@ -1881,8 +2024,11 @@ class Processor {
                 if (!this.canceledIO) {
                     if (reloadMZ) {
                         reloadMZ = false;
+                        this.formatLine = 3;
+                        this.formatIndex = 0;
                         fmt = await this.drum.ioPrecessLongLineToMZ(3, 3);  // get initial format code for AR
                     } else {
+                        ++this.formatIndex;
                         fmt = await this.drum.ioPrecessMZToCode(3);         // get next 3-bit format code from MZ
                     }
                 }
@@ -1994,8 +2140,11 @@ class Processor {
                 if (!this.canceledIO) {
                     if (reloadMZ) {
                         reloadMZ = false;
+                        this.formatLine = 2;
+                        this.formatIndex = 0;
                         fmt = await this.drum.ioPrecessLongLineToMZ(2, 3);  // get initial format code for line 19
                     } else {
+                        ++this.formatIndex;
                         fmt = await this.drum.ioPrecessMZToCode(3);         // get next 3-bit format code from MZ
                     }
                 }
@@ -2129,6 +2278,111 @@ class Processor {
         }
     }
 
+    /**************************************/
+    async writeMagTape() {
+        /* Writes the contents of line 19 to magnetic tape as one block,
+        starting with the four high-order bits of word 107, and precessing the
+        line with each character until the line is all zeroes. The MTA-2 uses
+        the same Slow-Out format logic as the paper tape punch, outputLine19(),
+        so characters are generated every two drum cycles, the first cycle for
+        the format code and the second for the data. If no tape is mounted or the tape is
+        not write-enabled, the I/O is left hanging */
+        const magTape = this.devices.magTape;
+
+        this.OC.value = IOCodes.ioCmdMTWrite;
+        this.activeIODevice = magTape;
+        if (magTape.startWrite()) {
+            this.hungIO = true;         // no tape or write not enabled -- leave I/O hanging
+            return;
+        }
+
+        await this.drum.ioStart("MT WRITE");
+        await this.outputLine19((code) => magTape.write(code));
+
+        this.drum.ioStop("MT WRITE");
+        magTape.finishWrite();
+        this.finishIO();
+    }
+
+    /**************************************/
+    async readMagTape() {
+        /* Reads one block from magnetic tape to line 19 via line 23. If the
+        block is a file code, the read terminates without altering line 19 */
+
+        this.OC.value = IOCodes.ioCmdMTRead;
+        this.activeIODevice = this.devices.magTape;
+        if (await this.devices.magTape.read()) {
+            this.hungIO = true;         // no tape or end of tape -- leave I/O hanging
+        } else {
+            this.finishIO();
+        }
+    }
+
+    /**************************************/
+    async searchMagTape(reverse) {
+        /* Searches magnetic tape forward or reverse without transferring any
+        data. The number of blocks to be passed over is taken from the
+        magnitude of AR at the time the search is initiated. If that number is
+        zero, the search continues until a file code is encountered */
+        const count = this.drum.read(regAR) >> 1;
+
+        this.OC.value = reverse ? IOCodes.ioCmdMTSearchRev : IOCodes.ioCmdMTSearchFwd;
+        this.activeIODevice = this.devices.magTape;
+        if (await this.devices.magTape.search(count, reverse)) {
+            this.hungIO = true;         // no tape or ran off end of tape -- leave I/O hanging
+        } else {
+            this.finishIO();
+        }
+    }
+
+    /**************************************/
+    async writeMagTapeFileCode() {
+        /* Writes a file code (tape mark) on magnetic tape, D=31, S=30. The
+        I/O subsystem is busy with the MT WRITE code while this takes place */
+
+        this.OC.value = IOCodes.ioCmdMTWrite;
+        this.activeIODevice = this.devices.magTape;
+        if (await this.devices.magTape.writeFileCode()) {
+            this.hungIO = true;         // no tape or write not enabled -- leave I/O hanging
+        } else {
+            this.finishIO();
+        }
+    }
+
+    /**************************************/
+    async readCard() {
+        /* Reads one card from the CA-2 Card Reader to line 19 via line 23 */
+
+        this.OC.value = IOCodes.ioCmdCardRead;
+        this.activeIODevice = this.devices.cardReader;
+        if (await this.devices.cardReader.read()) {
+            this.hungIO = true;         // hopper empty -- leave I/O hanging
+        } else {
+            this.finishIO();
+        }
+    }
+
+    /**************************************/
+    async punchCard() {
+        /* Punches the contents of line 19 on the CA-2 Card Punch, starting
+        with the four high-order bits of word 107, and precessing the line
+        with each character until the line is all zeroes. The card punch uses
+        the same Slow-Out format logic and timing as the paper tape punch --
+        see outputLine19() -- but without the initial SPACE code, which would
+        otherwise occupy the first column of the card */
+        const cardPunch = this.devices.cardPunch;
+
+        this.OC.value = IOCodes.ioCmdCardPunch19;
+        this.activeIODevice = cardPunch;
+        cardPunch.startPunch();
+        await this.drum.ioStart("CARD PUNCH 19");
+        await this.outputLine19((code) => cardPunch.write(code));
+
+        this.drum.ioStop("CARD PUNCH 19");
+        cardPunch.finishPunch();
+        this.finishIO();
+    }
+
     /**************************************/
     enableTypeIn() {
         /* Enables input for one block from the Typewriter keyboard to line 19
@@ -2183,6 +2437,9 @@ class Processor {
         this.activeIODevice = null;
         this.duplicateIO = false;
         this.hungIO = false;
+        this.formatLine = 0;
+        this.formatIndex = 0;
+        this.formatBits = 0;
     }
 
     /**************************************/
@@ -2220,28 +2477,38 @@ class Processor {
             break;
 
         case IOCodes.ioCmdMTWrite:      // 0001 magnetic tape write
-            this.warning(`D=31 S=${sCode} Mag Tape Write not implemented`);
-            this.cancelIO();
+            if (this.hasMagTape) {
+                this.writeMagTape();            // async -- no wait
+            } else {
+                this.warning(`D=31 S=${sCode} Mag Tape Write: no Mag Tape unit`);
+                this.cancelIO();
+            }
             break;
 
         case IOCodes.ioCmdPunchLeader:  // 0010 fast punch leader, etc.
-            this.warning(`D=31 S=${sCode} Fast Punch Leader not implemented`);
-            this.cancelIO();
+            this.punchLeader();                 // async -- no wait
             break;
 
         case IOCodes.ioCmdFastPunch:    // 0011 fast punch line 19, etc.
-            this.warning(`D=31 S=${sCode} Fast Punch Line 19 not implemented`);
-            this.cancelIO();
+            this.punchLine19(true);             // async -- no wait
             break;
 
         case IOCodes.ioCmdMTSearchRev:  // 0100 magnetic tape search, reverse
-            this.warning(`D=31 S=${sCode} Mag Tape Search Reverse not implemented`);
-            this.cancelIO();
+            if (this.hasMagTape) {
+                this.searchMagTape(true);       // async -- no wait
+            } else {
+                this.warning(`D=31 S=${sCode} Mag Tape Search Reverse: no Mag Tape unit`);
+                this.cancelIO();
+            }
             break;
 
         case IOCodes.ioCmdMTSearchFwd:  // 0101 magnetic tape search, forward
-            this.warning(`D=31 S=${sCode} Mag Tape Search Forward not implemented`);
-            this.cancelIO();
+            if (this.hasMagTape) {
+                this.searchMagTape(false);      // async -- no wait
+            } else {
+                this.warning(`D=31 S=${sCode} Mag Tape Search Forward: no Mag Tape unit`);
+                this.cancelIO();
+            }
             break;
 
         case IOCodes.ioCmdPTRev1:       // 0110 paper tape reverse, phase 1
@@ -2265,8 +2532,12 @@ class Processor {
             break;
 
         case IOCodes.ioCmdCardPunch19:  // 1011 card punch line 19
-            this.warning(`D=31 S=${sCode} Card Punch not implemented`);
-            this.cancelIO();
+            if (this.hasCardPunch) {
+                this.punchCard();               // async -- no wait
+            } else {
+                this.warning(`D=31 S=${sCode} Card Punch: no Card Punch`);
+                this.cancelIO();
+            }
             break;
 
         case IOCodes.ioCmdTypeIn:       // 1100 type in
@@ -2274,13 +2545,21 @@ class Processor {
             break;
 
         case IOCodes.ioCmdMTRead:       // 1101 magnetic tape read
-            this.warning(`D=31 S=${sCode} Mag Tape Read not implemented`);
-            this.cancelIO();
+            if (this.hasMagTape) {
+                this.readMagTape();             // async -- no wait
+            } else {
+                this.warning(`D=31 S=${sCode} Mag Tape Read: no Mag Tape unit`);
+                this.cancelIO();
+            }
             break;
 
         case IOCodes.ioCmdCardRead:     // 1110 card read, etc.
-            this.warning(`D=31 S=${sCode} Card Read not implemented`);
-            this.cancelIO();
+            if (this.hasCardReader) {
+                this.readCard();                // async -- no wait
+            } else {
+                this.warning(`D=31 S=${sCode} Card Read: no Card Reader`);
+                this.cancelIO();
+            }
             break;
 
         case IOCodes.ioCmdPTRead:       // 1111 paper tape read
@@ -2297,6 +2576,112 @@ class Processor {
     }
 
 
+    /*******************************************************************
+    *  External Circuit Interface                                      *
+    *******************************************************************/
+
+    /* The Input Register (IR) and Output Register (OR) connected the G-15
+    to customer-built external circuits. An external circuit is attached
+    to the Processor as a Javascript object that implements any of the
+    following optional methods:
+
+        readIR(L)           Returns the 29-bit word the circuit presents to
+                            the IR at word-time L. The IR is the logical OR
+                            of the values from all attached circuits. Called
+                            each word-time the IR is read (S=29).
+        writeOR(word, L)    Receives each word transferred to the OR at
+                            word-time L (D=31, S=18).
+        startInput()        Called by D=31, S=17, C=2.
+        stopInput()         Called by D=31, S=17, C=3.
+        inputReady()        Returns true if the IR is ready, D=31, S=28, C=1.
+        outputReady()       Returns true if the OR is ready, D=31, S=28, C=2.
+        wordTime(L)         Called as the drum steps to each word-time L,
+                            whether or not the Processor is running.
+
+    The TEST conditions are true if any attached circuit reports true. */
+
+    /**************************************/
+    attachExternalCircuit(circuit) {
+        /* Attaches an external circuit object to the Processor's IR and OR */
+
+        if (!this.externalCircuits.includes(circuit)) {
+            this.externalCircuits.push(circuit);
+            this.updateWordTimeHook();
+        }
+    }
+
+    /**************************************/
+    detachExternalCircuit(circuit) {
+        /* Detaches an external circuit object from the Processor */
+        const x = this.externalCircuits.indexOf(circuit);
+
+        if (x >= 0) {
+            this.externalCircuits.splice(x, 1);
+            this.updateWordTimeHook();
+
+            if (!this.externalCircuits.length) {
+                this.IR.value = 0;
+            }
+        }
+    }
+
+    /**************************************/
+    notifyCircuits(method, ...args) {
+        /* Calls "method" with "args" on each attached circuit that implements it */
+
+        for (const circuit of this.externalCircuits) {
+            circuit[method]?.(...args);
+        }
+    }
+
+    /**************************************/
+    testCircuits(method) {
+        /* Returns true if any attached circuit implementing "method" returns
+        true from it */
+
+        return this.externalCircuits.some((circuit) => circuit[method]?.());
+    }
+
+    /**************************************/
+    sampleInputRegister() {
+        /* Sets the IR from the values presented by the attached circuits at
+        the current word-time */
+        let ir = 0;
+
+        for (const circuit of this.externalCircuits) {
+            if (circuit.readIR) {
+                ir |= circuit.readIR(this.drum.L.value);
+            }
+        }
+
+        this.IR.value = ir & Util.wordMask;
+    }
+
+    /**************************************/
+    updateWordTimeHook() {
+        /* Attaches drumWordTime() to the Drum's onWordTime callback if the
+        DA-1 is present or any attached circuit wants word-times, and detaches
+        it otherwise */
+
+        if (this.da || this.externalCircuits.some((c) => c.wordTime)) {
+            this.drum.onWordTime = this.boundDrumWordTime;
+        } else {
+            this.drum.onWordTime = null;
+        }
+    }
+
+    /**************************************/
+    drumWordTime(L) {
+        /* Drum word-time callback: passes the word-time to attached circuits
+        and to the DA-1 while it is running */
+
+        this.notifyCircuits("wordTime", L);
+        if (this.da?.GO.value) {
+            this.da.wordTime(L);
+        }
+    }
+
+
     /*******************************************************************
     *  Special (D=31) Commands                                         *
     *******************************************************************/
@@ -2316,11 +2701,17 @@ class Processor {
             }
             break;
         case 2:     // ring bell & start INPUT REGISTER
-            this.warning("Start INPUT REGISTER not implemented");
+            if (!this.externalCircuits.length) {
+                this.warning("Start INPUT REGISTER: no external circuit");
+            }
+            this.notifyCircuits("startInput");
             await this.transferDriver(this.transferNothing);
             break;
         case 3:     // ring bell & stop INPUT REGISTER
-            this.warning("Stop INPUT REGISTER not implemented");
+            if (!this.externalCircuits.length) {
+                this.warning("Stop INPUT REGISTER: no external circuit");
+            }
+            this.notifyCircuits("stopInput");
             await this.transferDriver(this.transferNothing);
             break;
         default:
@@ -2332,14 +2723,14 @@ class Processor {
     /**************************************/
     async transferToOR() {
         /* Transfers M20.ID to the Output Register. The OR is a customizable
-        output interface and is not currently implemented. This routine simply
-        stores the result in a dummy register at present. This routine will
-        require modification if/when an actual output interface is implemented */
+        output interface; each word transferred is passed to any attached
+        external circuits. If none are attached, the OR is simply a sink */
 
         await this.transferDriver(() => {
             let m20 = this.drum.read(20);
             let id  = this.drum.read(regID);
-            this.OR.value = m20 & ID;
+            this.OR.value = m20 & id;
+            this.notifyCircuits("writeOR", this.OR.value, this.drum.L.value);
             if (this.tracing) {
                 console.log("      M20&ID=>OR: L=%s: M20=%s, ID.%s=%s => %s",
                         Util.formatDrumLoc(20, this.drum.L.value, true),
@@ -2495,17 +2886,28 @@ class Processor {
             }
             break;
         case 1:                     // test Input Register ready
-            this.warning("TEST INPUT REGISTER READY not implemented");
+            if (!this.externalCircuits.length) {
+                this.warning("TEST INPUT REGISTER READY: no external circuit");
+            }
             await this.transferDriver(this.transferNothing);
+            if (this.testCircuits("inputReady")) {
+                this.CQ.value = 1;
+            }
             break;
         case 2:                     // test Output Register ready
-            this.warning("TEST OUTPUT REGISTER READY not implemented");
+            if (!this.externalCircuits.length) {
+                this.warning("TEST OUTPUT REGISTER READY: no external circuit");
+            }
             await this.transferDriver(this.transferNothing);
+            if (this.testCircuits("outputReady")) {
+                this.CQ.value = 1;
+            }
             break;
         case 3:                     // test Differential Analyzer off
-            this.warning("TEST DIFFERENTIAL ANALYZER OFF not implemented");
             await this.transferDriver(this.transferNothing);
-            this.CQ.value = 1;      // DA not implemented, always off
+            if (!this.da?.GO.value) {
+                this.CQ.value = 1;  // DA-1 not present or not running
+            }
             break;
         }
     }
@@ -2580,7 +2982,13 @@ class Processor {
             break;
 
         case 19:        // start/stop DA-1
-            this.warning(`D=31 S=19 Start/Stop DA-1 not implemented`);
+            if (!this.hasDA1) {
+                this.warning(`D=31 S=19 Start/Stop DA-1: no DA-1`);
+            } else if (this.C.value == 0) {
+                this.da.start();
+            } else if (this.C.value == 1) {
+                this.da.stop();
+            }
             await this.transferDriver(this.transferNothing);
             break;
 
@@ -2650,7 +3058,13 @@ class Processor {
             break;
 
         case 30:        // magnetic tape write file code
-            this.warning(`D=31 S=${this.S.value} Mag Tape Write File Code not implemented`);
+            if (!this.hasMagTape) {
+                this.warning(`D=31 S=${this.S.value} Mag Tape Write File Code: no Mag Tape unit`);
+            } else if (this.OC.value != IOCodes.ioCmdReady) {
+                this.warning(`>>Mag Tape Write File Code with I/O active: OC=${this.OC.value.toString(2)}`);
+            } else {
+                this.writeMagTapeFileCode();    // async -- no wait
+            }
             await this.transferDriver(this.transferNothing);
             break;
 
@@ -2681,6 +3095,10 @@ class Processor {
             ++wt;                       // Delay RC by one word-time
         }
 
+        if (this.profiler.profiling) {
+            this.profiler.addNextWait(wt);
+        }
+
         await this.drum.waitFor(wt);    // delay to the command location
 
         wt = this.cmdLoc.value = this.drum.L.value;     // for convience and the Diag Panel
@@ -2734,6 +3152,10 @@ class Processor {
         this.RC.value = 0;                      // end of read-command state
         this.TR.value = 1;                      // start of transfer state
 
+        if (this.breakpoints.size && !this.isNCAR) {
+            this.checkBreakpoint();
+        }
+
         // Advance drum past the command.
         if (this.DI.value) {
             await this.drum.waitFor(2); // deferred commands delay at least one word before transfer
@@ -2831,6 +3253,537 @@ class Processor {
     }
 
 
+    /*******************************************************************
+    *  Data Watchpoints                                                *
+    *******************************************************************/
+
+    /* A watchpoint halts the Processor at the end of a command that either
+    stores into a drum word or changes a register. Watchpoints are objects
+    with these properties:
+
+        line        Drum line 0-23 for a drum-word watchpoint.
+        word        Word number on the line, 0-107 for long lines, 0-3 for
+                    fast lines.
+        cond        Condition on the stored value: "any" (the default) for
+                    any store, "==", "!=", "<", or ">" to compare the stored
+                    value with "value". The comparisons are signed.
+        value       Word value (G-15 sign-magnitude) for "cond".
+        register    Instead of line/word, one of the names in
+                    Processor.watchRegisters. The watchpoint fires if any
+                    word of the register changes value during the command.
+
+    The watchpoint that fired is left in this.watchpointHit until the
+    Processor is started again. */
+
+    /**************************************/
+    static formatWatchpoint(wp, symbols=null) {
+        /* Returns a description of a watchpoint for display, naming its
+        location with the SymbolTable "symbols" if it has any symbols */
+
+        if (wp.register) {
+            return `${wp.register} changes`;
+        } else {
+            const loc = (symbols?.size ? symbols.formatLoc(wp.line, wp.word) :
+                    `${Util.lineHex[wp.line]}.${Util.lineHex[wp.word]}`);
+            return (wp.cond == "any" ? `store to ${loc}` :
+                    `store to ${loc} ${wp.cond} ${Util.g15SignedHex(wp.value).trim()}`);
+        }
+    }
+
+    /**************************************/
+    addWatchpoint(spec) {
+        /* Adds a watchpoint as described by the "spec" object (see above).
+        Returns the new watchpoint object, or throws an Error if "spec" is not
+        valid */
+        let wp = null;
+
+        if (spec.register !== undefined) {
+            if (!Processor.watchRegisters.includes(spec.register)) {
+                throw new Error(`Invalid watchpoint register "${spec.register}"`);
+            }
+
+            wp = {register: spec.register};
+        } else {
+            const line = spec.line;
+            const word = spec.word;
+            const cond = spec.cond ?? "any";
+            if (!(line >= 0 && line < 24)) {
+                throw new Error(`Invalid watchpoint line ${line}`);
+            } else if (!(word >= 0 && word < (line < 20 ? Util.longLineSize : Util.fastLineSize))) {
+                throw new Error(`Invalid watchpoint word ${word} for line ${line}`);
+            } else if (!Processor.watchConditions.includes(cond)) {
+                throw new Error(`Invalid watchpoint condition "${cond}"`);
+            }
+
+            wp = {line, word, cond, value: spec.value ?? 0};
+        }
+
+        wp.text = Processor.formatWatchpoint(wp, this.symbols);
+        this.watchpoints.push(wp);
+        this.updateDrumWriteHook();
+        return wp;
+    }
+
+    /**************************************/
+    removeWatchpoint(wp) {
+        /* Removes a watchpoint object returned by addWatchpoint() */
+        const x = this.watchpoints.indexOf(wp);
+
+        if (x >= 0) {
+            this.watchpoints.splice(x, 1);
+            this.updateDrumWriteHook();
+        }
+    }
+
+    /**************************************/
+    clearWatchpoints() {
+        /* Removes all watchpoints */
+
+        this.watchpoints = [];
+        this.watchpointHit = null;
+        this.updateDrumWriteHook();
+    }
+
+    /**************************************/
+    updateDrumWriteHook() {
+        /* Attaches drumWrite() to the Drum's onWrite callback if any drum
+        watchpoints are active or execution history is being recorded, and
+        detaches it otherwise */
+
+        if (this.history.recording || this.watchpoints.some((wp) => !wp.register)) {
+            this.drum.onWrite = this.boundDrumWrite;
+        } else {
+            this.drum.onWrite = null;
+        }
+    }
+
+    /**************************************/
+    drumWrite(lineNr, loc, word) {
+        /* Called by Drum.write() before each word is stored in lines 0-23 while
+        the hook is attached. Passes the store to the execution history and
+        the drum watchpoints */
+
+        if (this.history.current) {
+            this.history.recordWrite(lineNr, loc, this.drum.line[lineNr][loc]);
+        }
+
+        if (this.watchpoints.length) {
+            this.watchWrite(lineNr, loc, word);
+        }
+    }
+
+    /**************************************/
+    watchRegisterValue(name) {
+        /* Returns the current value of a watched register as a string, so
+        that one- and two-word registers can be compared the same way */
+
+        switch (name) {
+        case "AR":
+            return this.drum.AR.value.toString();
+        case "FO":
+            return this.FO.value.toString();
+        default:
+            return `${this.drum[name][1].value},${this.drum[name][0].value}`;
+        }
+    }
+
+    /**************************************/
+    watchWrite(lineNr, loc, word) {
+        /* Called by drumWrite() for each word stored in lines 0-23 while any
+        watchpoints are active. Records the first drum watchpoint that fires */
+
+        if (!this.watchpointHit) {
+            const value = (word & Util.wordSignMask ? -(word >> 1) : word >> 1);
+            for (const wp of this.watchpoints) {
+                if (wp.line === lineNr && wp.word == loc) {
+                    const wpValue = (wp.value & Util.wordSignMask ? -(wp.value >> 1) : wp.value >> 1);
+                    let fired = false;
+                    switch (wp.cond) {
+                    case "==":
+                        fired = (value == wpValue);
+                        break;
+                    case "!=":
+                        fired = (value != wpValue);
+                        break;
+                    case "<":
+                        fired = (value < wpValue);
+                        break;
+                    case ">":
+                        fired = (value > wpValue);
+                        break;
+                    default:
+                        fired = true;
+                        break;
+                    }
+
+                    if (fired) {
+                        this.watchpointHit = wp;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    /**************************************/
+    startWatch() {
+        /* Records the values of any watched registers before a command
+        executes */
+
+        for (const wp of this.watchpoints) {
+            if (wp.register) {
+                this.watchRegValues[wp.register] = this.watchRegisterValue(wp.register);
+            }
+        }
+    }
+
+    /**************************************/
+    checkWatch() {
+        /* Checks the watched registers for changes after a command executes.
+        Returns true if a watchpoint has fired */
+
+        if (!this.watchpointHit) {
+            for (const wp of this.watchpoints) {
+                if (wp.register &&
+                        this.watchRegValues[wp.register] != this.watchRegisterValue(wp.register)) {
+                    this.watchpointHit = wp;
+                    break;
+                }
+            }
+        }
+
+        return (this.watchpointHit !== null);
+    }
+
+
+    /*******************************************************************
+    *  Execution Breakpoints                                           *
+    *******************************************************************/
+
+    /* Execution breakpoints halt the Processor in read-command state, before
+    the command at a drum location executes, without setting the BP bit in
+    the command word. They work regardless of the COMPUTE switch setting.
+    Commands executed from AR are never checked. Breakpoints are objects
+    with these properties:
+
+        line        Command line: 0-5, 19, or 23.
+        word        Word-time of the command, 0-107.
+        cond        Name of a condition in Processor.breakpointConditions
+                    that must be true for the breakpoint to count a hit
+                    ("always" by default).
+        count       Number of hits before the breakpoint takes effect; it
+                    takes effect on that hit and every one after (1 by
+                    default).
+        log         If true, the breakpoint is a tracepoint: it logs the
+                    command and registers to the console instead of
+                    halting.
+        hits        Number of hits so far.
+
+    The breakpoint that halted the Processor is left in this.breakpointHit
+    until the Processor is started again. */
+
+    /**************************************/
+    static breakpointKey(line, word) {
+        /* Returns the breakpoint table key for a drum location */
+
+        return line*Util.longLineSize + word;
+    }
+
+    /**************************************/
+    static formatBreakpoint(bp, symbols=null) {
+        /* Returns a description of a breakpoint for display, naming its
+        location with the SymbolTable "symbols" if it has any symbols */
+        let text = `${bp.log ? "trace" : "break"} ` + (symbols?.size ? symbols.formatLoc(bp.line, bp.word) :
+                `${Util.lineHex[bp.line]}.${Util.lineHex[bp.word]}`);
+
+        if (bp.cond != "always") {
+            text += ` if ${bp.cond}`;
+        }
+
+        if (bp.count > 1) {
+            text += ` after ${bp.count}`;
+        }
+
+        return text;
+    }
+
+    /**************************************/
+    setBreakpoint(spec) {
+        /* Sets a breakpoint as described by the "spec" object (see above),
+        replacing any existing breakpoint at that location. Returns the new
+        breakpoint object, or throws an Error if "spec" is not valid */
+        const cond = spec.cond ?? "always";
+        const count = spec.count ?? 1;
+
+        if (!Processor.CDXlate.includes(spec.line)) {
+            throw new Error(`Invalid breakpoint line ${spec.line}`);
+        } else if (!(spec.word >= 0 && spec.word < Util.longLineSize)) {
+            throw new Error(`Invalid breakpoint word ${spec.word}`);
+        } else if (!(cond in Processor.breakpointConditions)) {
+            throw new Error(`Invalid breakpoint condition "${cond}"`);
+        } else if (!(Number.isInteger(count) && count >= 1)) {
+            throw new Error(`Invalid breakpoint count ${count}`);
+        }
+
+        const bp = {line: spec.line, word: spec.word, cond, count, log: !!spec.log, hits: 0};
+        bp.text = Processor.formatBreakpoint(bp, this.symbols);
+        this.breakpoints.set(Processor.breakpointKey(bp.line, bp.word), bp);
+        return bp;
+    }
+
+    /**************************************/
+    clearBreakpoint(line, word) {
+        /* Removes any breakpoint at a drum location */
+
+        this.breakpoints.delete(Processor.breakpointKey(line, word));
+    }
+
+    /**************************************/
+    clearBreakpoints() {
+        /* Removes all breakpoints */
+
+        this.breakpoints.clear();
+        this.breakpointHit = null;
+    }
+
+    /**************************************/
+    checkBreakpoint() {
+        /* Called from readCommand() after the command has been loaded.
+        Counts a hit on any breakpoint at the command's location whose
+        condition is true, then either logs the command or halts the
+        Processor */
+        const bp = this.breakpoints.get(Processor.breakpointKey(this.cmdLine, this.cmdLoc.value));
+
+        if (bp && Processor.breakpointConditions[bp.cond](this)) {
+            ++bp.hits;
+            if (bp.hits >= bp.count) {
+                if (bp.log) {
+                    console.log(`<TRACEPT>${this.lastRCWordTime.toFixed().padStart(9)}: ` +
+                            `${Util.formatDrumLoc(this.cmdLine, this.cmdLoc.value, true)}  ` +
+                            (this.symbols.size ? `${this.symbols.formatLoc(this.cmdLine, this.cmdLoc.value)}  ` : "") +
+                            `${Util.disassembleCommand(this.cmdWord)}  ` +
+                            `AR=${Util.g15SignedHex(this.drum.AR.value)} FO=${this.FO.value} hits=${bp.hits}`);
+                } else {
+                    this.breakpointHit = bp;
+                    this.haltAtCommand();
+                }
+            }
+        }
+    }
+
+
+    /*******************************************************************
+    *  Drum and Register Editing                                       *
+    *******************************************************************/
+
+    /**************************************/
+    static editLineSize(lineNr) {
+        /* Returns the number of words on drum line "lineNr" that can be
+        edited: lines 0-23, the two-word registers MQ, ID, and PN (24-26),
+        AR (28), and MZ (32). Returns 0 if the line cannot be edited */
+
+        switch (true) {
+        case lineNr >= 0 && lineNr < 20:
+            return Util.longLineSize;
+        case lineNr >= 20 && lineNr < 24:
+        case lineNr == 32:
+            return Util.fastLineSize;
+        case lineNr >= 24 && lineNr < 27:
+            return 2;
+        case lineNr == 28:
+            return 1;
+        default:
+            return 0;
+        }
+    }
+
+    /**************************************/
+    editWord(lineNr, loc, word) {
+        /* Stores "word" into word "loc" of drum line "lineNr" for the drum
+        editor. The Processor must be halted. The store does not go through
+        Drum.write(), so it is not seen by watchpoints. Since the execution
+        history cannot undo the edit, its undo records and checkpoints no
+        longer match the drum and are discarded. Throws an Error if the word
+        cannot be stored */
+
+        if (!this.CH.value || this.drum.procActive) {
+            throw new Error("Processor must be halted to edit the drum");
+        } else if (!(loc >= 0 && loc < Processor.editLineSize(lineNr))) {
+            throw new Error(`Cannot edit line ${lineNr} word ${loc}`);
+        }
+
+        word &= Util.wordMask;
+        switch (lineNr) {
+        case 24:
+        case 25:
+        case 26:
+            this.drum.line[lineNr][loc].value = word;
+            break;
+        case 28:
+            this.drum.AR.value = word;
+            break;
+        default:
+            this.drum.line[lineNr][loc] = word;
+            break;
+        }
+
+        this.history.clear();
+    }
+
+
+    /*******************************************************************
+    *  Snapshot Save and Restore                                       *
+    *******************************************************************/
+
+    /**************************************/
+    getRegisterState() {
+        /* Returns an object containing the values of the Processor flip-flops,
+        registers, and inter-word state variables */
+        const state = {flipFlops: {}, registers: {}, variables: {}};
+
+        for (const name of Processor.snapshotFlipFlops) {
+            state.flipFlops[name] = this[name].value;
+        }
+
+        for (const name of Processor.snapshotRegisters) {
+            state.registers[name] = this[name].value;
+        }
+
+        for (const name of Processor.snapshotVariables) {
+            state.variables[name] = this[name];
+        }
+
+        return state;
+    }
+
+    /**************************************/
+    checkRegisterState(state) {
+        /* Verifies that "state" has the layout of an object created by
+        getRegisterState(), with every flip-flop and register in range.
+        Throws an Error describing the first problem found; changes nothing */
+
+        for (const name of Processor.snapshotFlipFlops) {
+            const value = state.flipFlops?.[name];
+            if (!(value === 0 || value === 1 || typeof value == "boolean")) {
+                throw new Error(`flip-flop ${name} is invalid`);
+            }
+        }
+
+        for (const name of Processor.snapshotRegisters) {
+            const value = state.registers?.[name];
+            if (!Number.isInteger(value) || value < 0 || value >= 2**this[name].bits) {
+                throw new Error(`register ${name} is invalid`);
+            }
+        }
+
+        for (const name of Processor.snapshotVariables) {
+            const type = typeof state.variables?.[name];
+            if (type != "number" && type != "boolean") {
+                throw new Error(`variable ${name} is invalid`);
+            }
+        }
+    }
+
+    /**************************************/
+    setRegisterState(state) {
+        /* Restores the Processor flip-flops, registers, and inter-word state
+        variables from an object created by getRegisterState() */
+
+        for (const name of Processor.snapshotFlipFlops) {
+            this[name].value = state.flipFlops[name];
+        }
+
+        for (const name of Processor.snapshotRegisters) {
+            this[name].value = state.registers[name];
+        }
+
+        for (const name of Processor.snapshotVariables) {
+            this[name] = state.variables[name];
+        }
+    }
+
+    /**************************************/
+    saveSnapshot() {
+        /* Returns an object containing the complete state of the system:
+        the drum, the Processor registers and flip-flops, the DA-1, and the
+        positions of any I/O devices that implement getState(). The object
+        can be converted to JSON and later passed to restoreSnapshot() */
+        const snap = {
+            format: Processor.snapshotFormat,
+            version: Processor.snapshotVersion,
+            drum: this.drum.getState(),
+            ...this.getRegisterState(),
+            da: null,
+            devices: {}
+        };
+
+        if (this.da) {
+            snap.da = this.da.getState();
+        }
+
+        for (const name in this.devices) {
+            const device = this.devices[name];
+            if (device?.getState) {
+                snap.devices[name] = device.getState();
+            }
+        }
+
+        return snap;
+    }
+
+    /**************************************/
+    restoreSnapshot(snap) {
+        /* Restores the state of the system from an object created by
+        saveSnapshot(). The Processor must be halted. As with systemReset(),
+        the Processor is then ready to run. Any I/O that was in progress when
+        the snapshot was taken is not resumed; the I/O subsystem is left
+        ready. Throws an Error if the snapshot cannot be restored. The whole
+        snapshot is verified before any state is changed, so a damaged
+        snapshot leaves the system as it was */
+
+        if (snap?.format != Processor.snapshotFormat) {
+            throw new Error("Not a retro-g15 snapshot");
+        } else if (snap.version != Processor.snapshotVersion) {
+            throw new Error(`Unsupported snapshot version ${snap.version}`);
+        } else if (!this.CH.value || this.drum.procActive) {
+            throw new Error("Processor must be halted to restore a snapshot");
+        }
+
+        try {
+            this.drum.checkState(snap.drum);
+            this.checkRegisterState(snap);
+            if (this.da && snap.da) {
+                this.da.checkState(snap.da);
+            }
+
+            if (typeof snap.devices != "object" || !snap.devices ||
+                    !Object.values(snap.devices).every((state) => typeof state == "object" && state)) {
+                throw new Error("device states are invalid");
+            }
+        } catch (e) {
+            throw new Error(`Invalid snapshot: ${e.message}`);
+        }
+
+        this.poweredOn = true;
+        this.cancelIO();
+        this.drum.setState(snap.drum);
+        this.setRegisterState(snap);
+
+        if (this.da && snap.da) {
+            this.da.setState(snap.da);
+        }
+
+        for (const name in snap.devices) {
+            this.devices[name]?.setState?.(snap.devices[name]);
+        }
+
+        // Restore the I/O subsystem to idle, whatever its state in the snapshot.
+        this.CH.value = 1;
+        this.finishIO();
+        this.updateLampGlow(1);
+    }
+
+
     /*******************************************************************
     *  Processor Control                                               *
     *******************************************************************/
@@ -2866,7 +3819,34 @@ class Processor {
                     }
                 }
             } else if (this.TR.value) { // enter TRANSFER (execute) state
+                const watching = this.watchpoints.length > 0;
+                if (watching) {
+                    this.startWatch();
+                }
+
+                if (this.traceRecorder.recording) {
+                    this.traceEntry = this.traceRecorder.startEntry(this);
+                }
+
+                if (this.history.recording) {
+                    this.history.startCommand(this);
+                }
+
+                if (this.profiler.profiling) {
+                    this.profiler.startCommand((this.isNCAR ? null : this.cmdLine), this.cmdLoc.value);
+                }
+
                 await this.transfer();
+                this.history.finishCommand();
+                if (this.traceEntry) {
+                    this.traceRecorder.finishEntry(this, this.traceEntry);
+                    this.traceEntry = null;
+                }
+
+                if (watching && this.checkWatch()) {
+                    this.haltAtCommand();       // halt at the end of the command
+                }
+
                 this.CZ.value = 1;      // disable stepping
             } else {
                 this.warning("State neither RC nor TR");
@@ -2884,6 +3864,8 @@ class Processor {
         /* Initiates the processor on the Javascript thread */
 
         if (this.poweredOn && this.CH.value) {
+            this.watchpointHit = null;
+            this.breakpointHit = null;
             this.CZ.value = 1;          // disable stepping
             this.CH.value = 0;          // reset HALT FF
             this.run();                 // async -- returns immediately
@@ -2902,6 +3884,69 @@ class Processor {
         }
     }
 
+    /**************************************/
+    haltAtCommand() {
+        /* Halts the processor for a breakpoint or watchpoint the same way
+        that single-stepping does. Unlike stop(), this leaves the TEST (CQ)
+        and Next from AR (CG) flip-flops alone, so that resuming takes the
+        same path the program would have taken without the halt */
+
+        if (this.poweredOn) {
+            this.CH.value = 1;          // set HALT FF
+            this.CZ.value = 1;          // disable stepping
+        }
+    }
+
+    /**************************************/
+    setHistoryRecording(recording) {
+        /* Turns recording of the execution history on or off. Turning it off
+        discards the history */
+
+        this.history.recording = recording;
+        if (!recording) {
+            this.history.clear();
+        }
+
+        this.updateDrumWriteHook();
+    }
+
+    /**************************************/
+    stepBack() {
+        /* Undoes the last command executed while the execution history was
+        being recorded, leaving the processor halted in transfer state with
+        that command loaded. Returns true if a command was undone */
+
+        if (this.poweredOn && this.CH.value && !this.drum.procActive &&
+                this.history.stepBack(this)) {
+            this.CH.value = 1;          // remain halted
+            this.CZ.value = 1;          // disable stepping
+            this.watchpointHit = this.breakpointHit = null;
+            this.updateLampGlow(1);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**************************************/
+    backToCheckpoint() {
+        /* Returns the processor to the most recent execution history checkpoint,
+        leaving it halted. Returns the number of commands stepped back */
+        let steps = 0;
+
+        if (this.poweredOn && this.CH.value && !this.drum.procActive) {
+            steps = this.history.backToCheckpoint(this);
+            if (steps) {
+                this.CH.value = 1;      // remain halted
+                this.CZ.value = 1;      // disable stepping
+                this.watchpointHit = this.breakpointHit = null;
+                this.updateLampGlow(1);
+            }
+        }
+
+        return steps;
+    }
+
     /**************************************/
     step() {
         /* Single-steps the processor. This will execute the next command
@@ -3022,6 +4067,7 @@ class Processor {
 
         this.stop();
         this.cancelIO();
+        this.da?.shutDown();
         this.poweredOn = false;
     }
 
@@ -3042,15 +4088,7 @@ class Processor {
         };
 
         let asm = (lineNr, loc, di, t, n, ca, s, d, c1=0, bp=0) => {
-            let word = ((((((((((((((di & 1)     << 7) |
-                                    (t  & 0x7F)) << 1) |
-                                    (bp & 1))    << 7) |
-                                    (n  & 0x7F)) << 2) |
-                                    (ca & 3))    << 5) |
-                                    (s  & 0x1F)) << 5) |
-                                    (d  & 0x1F)) << 1) |
-                                    (c1  & 1);
-            store(lineNr, loc, word);
+            store(lineNr, loc, Util.encodeCommand(di, t, n, ca, s, d, c1, bp));
         };
 
         let int = (lineNr, loc, word) => {
@@ -0,0 +1,224 @@
+/***********************************************************************
+* retro-g15/emulator SymbolTable.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Symbol table of names for drum locations, used by the debugging tools.
+*
+* A symbol file (".sym") is text with one symbol per line:
+*
+*       NAME  LL.WW  optional comment
+*
+* where LL is the drum line (0-23) and WW the word-time in decimal or in
+* the notation of Util.lineHex (u0-u7 for 100-107). Names start with a
+* letter and may contain letters, digits, "_", and "$"; they are not case
+* sensitive. Blank lines and text following a "#" are ignored.
+*
+* A symbol table can also be created from an assembler listing (".lst"),
+* taking the labels from lines of the form:
+*
+*       LL.WW  value  NAME: ...
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+***********************************************************************/
+
+export {SymbolTable};
+
+import * as Util from "./Util.js";
+
+class SymbolTable {
+
+    // Static class properties
+
+    static nameRex = /^[A-Za-z][A-Za-z0-9_$]*$/;
+    static symbolRex = /^\s*([A-Za-z][A-Za-z0-9_$]*)\s+([0-9]{1,2})\.([0-9u-w][0-9])\b\s*(.*)$/i;
+    static listingRex = /^\s*([0-9]{2})\.([0-9u-w][0-9])\s+\S+\s+([A-Za-z][A-Za-z0-9_$]*):/i;
+    static locRex = /^([0-9]{1,2})\.([0-9u-w]?[0-9])$/i;
+    static offsetRex = /^([A-Za-z][A-Za-z0-9_$]*)\s*([-+])\s*([0-9]+)$/;
+    static maxLines = 24;               // symbols may be defined on lines 0-23
+
+
+    constructor() {
+        /* Constructs an empty symbol table */
+
+        this.clear();
+    }
+
+    /**************************************/
+    get size() {
+        /* Returns the number of symbols defined */
+
+        return this.names.size;
+    }
+
+    /**************************************/
+    clear() {
+        /* Removes all symbols */
+
+        this.names = new Map();         // symbols keyed by upper-case name
+        this.locs = new Map();          // symbols keyed by line*108+word
+    }
+
+    /**************************************/
+    static locKey(lineNr, loc) {
+        /* Returns the key for a drum location in this.locs */
+
+        return lineNr*Util.longLineSize + loc;
+    }
+
+    /**************************************/
+    define(name, lineNr, loc, comment="") {
+        /* Defines (or redefines) the symbol "name" for word "loc" of line
+        "lineNr". Returns the symbol object. Throws an Error if the name or
+        location is not valid */
+
+        if (!SymbolTable.nameRex.test(name)) {
+            throw new Error(`Invalid symbol name "${name}"`);
+        } else if (!(lineNr >= 0 && lineNr < SymbolTable.maxLines)) {
+            throw new Error(`Invalid line ${lineNr} for symbol ${name}`);
+        } else if (!(loc >= 0 && loc < (lineNr < 20 ? Util.longLineSize : Util.fastLineSize))) {
+            throw new Error(`Invalid word ${loc} for symbol ${name}`);
+        }
+
+        const key = name.toUpperCase();
+        const old = this.names.get(key);
+        if (old) {
+            this.locs.delete(SymbolTable.locKey(old.line, old.word));
+        }
+
+        const sym = {name, line: lineNr, word: loc, comment};
+        this.names.set(key, sym);
+        this.locs.set(SymbolTable.locKey(lineNr, loc), sym);
+        return sym;
+    }
+
+    /**************************************/
+    lookup(name) {
+        /* Returns the symbol object for "name", or null if it is not defined */
+
+        return this.names.get(name.toUpperCase()) ?? null;
+    }
+
+    /**************************************/
+    symbolAt(lineNr, loc) {
+        /* Returns the symbol object defined for a drum location, or null */
+
+        return this.locs.get(SymbolTable.locKey(lineNr, loc)) ?? null;
+    }
+
+    /**************************************/
+    formatLoc(lineNr, loc) {
+        /* Formats a drum location as the symbol defined for it, as NAME+n for
+        the nearest symbol at a lower word on the same line, or as LL.WW if
+        there is no such symbol */
+
+        for (let x=loc; x>=0; --x) {
+            const sym = this.locs.get(SymbolTable.locKey(lineNr, x));
+            if (sym) {
+                return (x == loc ? sym.name : `${sym.name}+${loc-x}`);
+            }
+        }
+
+        return `${Util.lineHex[lineNr]}.${Util.lineHex[loc]}`;
+    }
+
+    /**************************************/
+    parseLoc(text) {
+        /* Parses a drum location written as NAME, NAME+n, NAME-n, or LL.WW
+        and returns it as an object {line, word}, or null if the text is not
+        valid or names an undefined symbol */
+        const t = text.trim();
+        let m = t.match(SymbolTable.locRex);
+
+        if (m) {
+            const lineNr = parseInt(m[1], 10);
+            const loc = Util.parseLineLoc(m[2]);
+            return (lineNr < SymbolTable.maxLines && loc < Util.longLineSize ? {line: lineNr, word: loc} : null);
+        }
+
+        let offset = 0;
+        let name = t;
+        m = t.match(SymbolTable.offsetRex);
+        if (m) {
+            name = m[1];
+            offset = parseInt(m[3], 10)*(m[2] == "-" ? -1 : 1);
+        }
+
+        const sym = this.lookup(name);
+        if (!sym) {
+            return null;
+        }
+
+        const loc = sym.word + offset;
+        return (loc >= 0 && loc < Util.longLineSize ? {line: sym.line, word: loc} : null);
+    }
+
+    /**************************************/
+    load(text) {
+        /* Adds the symbols in the text of a symbol file to the table. Returns
+        the number of symbols defined. Throws an Error identifying the first
+        line that is not valid */
+        const lines = text.split(/\r?\n|\r/);
+        let count = 0;
+
+        for (let x=0; x<lines.length; ++x) {
+            const line = lines[x].replace(/#.*$/, "").trim();
+            if (line.length) {
+                const m = line.match(SymbolTable.symbolRex);
+                if (!m) {
+                    throw new Error(`Invalid symbol definition at line ${x+1}: ${line}`);
+                }
+
+                this.define(m[1], parseInt(m[2], 10), Util.parseLineLoc(m[3]), m[4].trim());
+                ++count;
+            }
+        }
+
+        return count;
+    }
+
+    /**************************************/
+    loadListing(text) {
+        /* Adds the labels defined in an assembler listing to the table.
+        Returns the number of symbols defined */
+        let count = 0;
+
+        for (const line of text.split(/\r?\n|\r/)) {
+            const m = line.match(SymbolTable.listingRex);
+            if (m) {
+                this.define(m[3], parseInt(m[1], 10), Util.parseLineLoc(m[2]));
+                ++count;
+            }
+        }
+
+        return count;
+    }
+
+    /**************************************/
+    loadFile(fileName, text) {
+        /* Loads a symbol file or, if "fileName" ends in ".lst", the labels of
+        an assembler listing. Returns the number of symbols defined */
+
+        return (fileName.toLowerCase().endsWith(".lst") ? this.loadListing(text) : this.load(text));
+    }
+
+    /**************************************/
+    toText() {
+        /* Returns the table as the text of a symbol file, ordered by location */
+        const syms = Array.from(this.names.values()).sort((a, b) =>
+                SymbolTable.locKey(a.line, a.word) - SymbolTable.locKey(b.line, b.word));
+        let text = "";
+
+        for (const sym of syms) {
+            text += `${sym.name.padEnd(12)} ${Util.lineHex[sym.line]}.${Util.lineHex[sym.word]}` +
+                    (sym.comment ? `  ${sym.comment}` : "") + "\n";
+        }
+
+        return text;
+    }
+
+} // class SymbolTable
@@ -0,0 +1,436 @@
+/***********************************************************************
+* retro-g15/emulator TapeCodec.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Paper tape image codec for the G-15 emulator and its tools.
+*
+* Converts the three paper-tape image formats described in webUI/
+* PaperTapeReader.js (.pti, .pt, .ptr) to and from arrays of tape frames.
+* A frame is the G-15 I/O code punched in one row of the tape, i.e., the
+* low-order five bits of a .pt byte.
+*
+* Frames are decoded into blocks of words by the SlowIn class, which
+* reproduces the way the Processor reads a tape under SLOW IN: data codes
+* precess into line 23, a reload code copies line 23 to MZ and precesses
+* MZ into line 19, and a stop code does a final reload and ends the block.
+* As on the drum, line 23 is not cleared by a reload, and line 19 keeps
+* the words of earlier blocks that a short block does not displace.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/PaperTapeReader.js, webUI/PaperTapePunch.js,
+*   and software/tools/Paper-Tape-Checksum.html.
+*   Count the bits precessed for each reload group of a block.
+*   Add ptiComments() and labelBlocks() to identify blocks by the .pti
+*   comments that precede them.
+*   Add punchBufferLimit, from webUI/PaperTapePunch.js.
+***********************************************************************/
+
+import * as Util from "./Util.js";
+import * as IOCodes from "./IOCodes.js";
+
+export const formats = [".pti", ".pt", ".ptr"];
+
+// .pti characters for the frame codes.
+export const ptiCodes = [
+        " ", "-", "C", "T", "S", "/", ".", "H", " ", "-", "C", "T", "S", "/", ".", "H",
+        "0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "u", "v", "w", "x", "y", "z"];
+
+export const frameMask = 0b11111;               // bits in a frame
+export const groupDigits = 29;                  // hex digits in the four words of a reload group
+export const punchBufferLimit = 0x3FFFF;        // maximum frames a punch will buffer (about 4 hours worth)
+
+const commentRex = /#[^\x0D\x0A]*/g;
+const newLineRex = /[\x0D\x0A\x0C]+/g;
+
+
+/**************************************/
+export function stripComments(text) {
+    /* Strips "#" comments and new-lines from the text of a .pti image,
+    returning a new string */
+
+    return text.replace(commentRex, "").replace(newLineRex, "");
+}
+
+/**************************************/
+export function imageFormat(fileName, format="auto") {
+    /* Returns the image format (".pti", ".pt", or ".ptr") for a file. If
+    "format" is "auto", the format is determined from the file name's
+    extension, defaulting to ".pti"; otherwise it is the format named by
+    "format", with or without a leading "." */
+
+    if (format.toLowerCase() != "auto") {
+        return (format.startsWith(".") ? format : "." + format).toLowerCase();
+    } else {
+        const x = fileName.lastIndexOf(".");
+        const ext = (x < 0 ? "" : fileName.substring(x).toLowerCase());
+        return (ext == ".pt" || ext == ".ptr" ? ext : ".pti");
+    }
+}
+
+/**************************************/
+export function decodePTI(text) {
+    /* Decodes the text of a .pti image to a Uint8Array of frames. Comments
+    and characters that are not valid in a tape image are ignored as if they
+    did not exist */
+    const stripped = stripComments(text);
+    const frames = new Uint8Array(stripped.length);
+    let length = 0;
+
+    for (let x=0; x<stripped.length; ++x) {
+        const code = IOCodes.ioCodeFilter[stripped.charCodeAt(x) & 0x7F];
+        if (code < 0xFF) {              // not an ignored character
+            frames[length++] = code;
+        }
+    }
+
+    return frames.slice(0, length);
+}
+
+/**************************************/
+export function ptiComments(text) {
+    /* Returns an array of the "#" comments in the text of a .pti image as
+    objects {frame, text}, where "frame" is the index of the frame that
+    follows the comment and "text" is the comment without its "#" */
+    const comments = [];
+    let frame = 0;
+    let x = 0;
+
+    for (const m of text.matchAll(commentRex)) {
+        for (; x<m.index; ++x) {
+            if (IOCodes.ioCodeFilter[text.charCodeAt(x) & 0x7F] < 0xFF) {
+                ++frame;
+            }
+        }
+
+        comments.push({frame, text: m[0].substring(1).trim()});
+        x += m[0].length;
+    }
+
+    return comments;
+}
+
+/**************************************/
+export function decodePT(image) {
+    /* Decodes a .pt image (an ArrayBuffer or Uint8Array) to a Uint8Array of
+    frames. Bits above the five frame channels are ignored */
+
+    return new Uint8Array(image).map((byte) => byte & frameMask);
+}
+
+/**************************************/
+export function decodePTR(image) {
+    /* Decodes a .ptr image (an ArrayBuffer or Uint8Array) to a Uint8Array
+    of frames by reversing the order of the five frame channels */
+
+    return new Uint8Array(image).map((byte) => IOCodes.rev5Bits[byte & frameMask]);
+}
+
+/**************************************/
+export function decode(image, format) {
+    /* Decodes an image in "format" to a Uint8Array of frames. "image" is a
+    string for the .pti format, or an ArrayBuffer or Uint8Array for the
+    binary formats */
+
+    switch (format) {
+    case ".pt":
+        return decodePT(image);
+    case ".ptr":
+        return decodePTR(image);
+    default:
+        return decodePTI(image);
+    }
+}
+
+/**************************************/
+export function encodePTI(frames) {
+    /* Encodes an array of frames as the text of a .pti image. A new-line
+    follows each reload code, and a blank line each stop code. Blank tape
+    at the start of a line, such as leader, is written on a line by itself */
+    let leader = 0;                     // blank frames at the start of the current line
+    let lineStart = true;               // no other frames yet in the current line
+    let text = "";
+
+    for (const code of frames) {
+        if (lineStart) {
+            if (code == IOCodes.ioCodeSpace) {
+                ++leader;
+                continue;
+            } else if (leader > 0) {
+                text += " ".repeat(leader) + "\n";
+                leader = 0;
+            }
+        }
+
+        text += ptiCodes[code & frameMask];
+        switch (code) {
+        case IOCodes.ioCodeReload:
+            text += "\n";
+            lineStart = true;
+            break;
+        case IOCodes.ioCodeStop:
+            text += "\n\n";
+            lineStart = true;
+            break;
+        default:
+            lineStart = false;
+            break;
+        }
+    }
+
+    text += " ".repeat(leader);
+    if (!text.endsWith("\n")) {         // make sure there's a final new-line
+        text += "\n";
+    }
+
+    return text;
+}
+
+/**************************************/
+export function encodePT(frames) {
+    /* Encodes an array of frames as a .pt image in a Uint8Array */
+
+    return Uint8Array.from(frames, (code) => code & frameMask);
+}
+
+/**************************************/
+export function encodePTR(frames) {
+    /* Encodes an array of frames as a .ptr image in a Uint8Array */
+
+    return Uint8Array.from(frames, (code) => IOCodes.rev5Bits[code & frameMask]);
+}
+
+/**************************************/
+export function encode(frames, format) {
+    /* Encodes an array of frames as an image in "format", returning a
+    string for the .pti format and a Uint8Array for the binary formats */
+
+    switch (format) {
+    case ".pt":
+        return encodePT(frames);
+    case ".ptr":
+        return encodePTR(frames);
+    default:
+        return encodePTI(frames);
+    }
+}
+
+/**************************************/
+export function encodeBlock(words, length=Util.longLineSize) {
+    /* Encodes words 0 through length-1 of "words" as the frames of one tape
+    block. The words are punched in groups of four as 29 hex digits, highest
+    word first, each group ending with a reload code and the last with a
+    stop code. Reading the block with SLOW IN leaves the words at the same
+    locations in line 19 */
+    const groups = Math.ceil(length/Util.fastLineSize);
+    const frames = [];
+
+    for (let g=groups-1; g>=0; --g) {
+        const base = g*Util.fastLineSize;
+        let group = 0n;
+
+        for (let x=Util.fastLineSize-1; x>=0; --x) {
+            group = (group << BigInt(Util.wordBits)) | BigInt((words[base+x] ?? 0) & Util.wordMask);
+        }
+
+        for (let d=groupDigits-1; d>=0; --d) {
+            frames.push(IOCodes.ioDataMask | Number((group >> BigInt(d*4)) & 0xFn));
+        }
+
+        frames.push(g > 0 ? IOCodes.ioCodeReload : IOCodes.ioCodeStop);
+    }
+
+    return frames;
+}
+
+/**************************************/
+export function labelBlocks(blocks, frames, comments) {
+    /* Sets a "label" property in each block returned by readBlocks() from
+    "frames" to the text of the last non-empty comment returned by
+    ptiComments() that precedes the block's first non-blank frame, or to ""
+    if there is none */
+    let c = 0;
+
+    for (const block of blocks) {
+        let first = block.start;
+        while (first < block.end && frames[first] == IOCodes.ioCodeSpace) {
+            ++first;
+        }
+
+        block.label = "";
+        while (c < comments.length && comments[c].frame <= first) {
+            if (comments[c].frame >= block.start && comments[c].text) {
+                block.label = comments[c].text;
+            }
+
+            ++c;
+        }
+    }
+
+    return blocks;
+}
+
+/**************************************/
+export function decodeBlocks(image, format) {
+    /* Decodes an image in "format" to an array of blocks as described for
+    readBlocks() */
+
+    return readBlocks(decode(image, format));
+}
+
+
+/***********************************************************************
+*  SLOW IN Emulation                                                   *
+***********************************************************************/
+
+export class SlowIn {
+
+    constructor() {
+        /* Constructs the model of the drum lines used by SLOW IN, as they
+        are after the system has been reset */
+
+        this.line19 = new Array(Util.longLineSize).fill(0);
+        this.line23 = new Array(Util.fastLineSize).fill(0);
+        this.MZ = new Array(Util.fastLineSize).fill(0);
+        this.sign = 0;                  // sign flip-flop (OS)
+        this.reloads = 0;               // reloads done in the current block
+        this.bits = 0;                  // bits precessed into line 23 since the last reload
+        this.groupBits = [];            // bits precessed for each reload of the current block
+    }
+
+    /**************************************/
+    get blockLength() {
+        /* Returns the number of words of line 19 loaded by the current block */
+
+        return Math.min(this.reloads*Util.fastLineSize, Util.longLineSize);
+    }
+
+    /**************************************/
+    startBlock() {
+        /* Prepares to read a new block, as the Processor does when a SLOW IN
+        command starts */
+
+        this.sign = 0;
+        this.reloads = 0;
+        this.bits = 0;
+        this.groupBits = [];
+    }
+
+    /**************************************/
+    precessCodeTo23(code, bits) {
+        /* Stores the value of "code" into the low-order "bits" of line 23
+        word 0, precessing the original contents of line 23 to higher word
+        numbers and returning the high-order "bits" number of bits from line
+        23 word 3, as Drum.ioPrecessCodeTo23() does */
+        const keepBits = Util.wordBits - bits;
+        const keepMask = Util.wordMask >> bits;
+        let carry = code & (Util.wordMask >> keepBits);
+
+        for (let x=0; x<Util.fastLineSize; ++x) {
+            const word = this.line23[x] & Util.wordMask;
+            this.line23[x] = ((word & keepMask) << bits) | carry;
+            carry = word >> keepBits;
+        }
+
+        this.bits += bits;
+        return carry;
+    }
+
+    /**************************************/
+    reload() {
+        /* Copies line 23 to MZ, then precesses MZ into line 19, leaving the
+        original contents of words 104-107 of line 19 in MZ */
+
+        for (let x=0; x<Util.fastLineSize; ++x) {
+            this.MZ[x] = this.line23[x];
+        }
+
+        for (let x=0; x<Util.longLineSize; ++x) {
+            const mx = x % Util.fastLineSize;
+            const word = this.MZ[mx];
+            this.MZ[mx] = this.line19[x];
+            this.line19[x] = word;
+        }
+
+        ++this.reloads;
+        this.groupBits.push(this.bits);
+        this.bits = 0;
+    }
+
+    /**************************************/
+    receive(code) {
+        /* Processes one frame read from the tape. Returns true if the frame
+        ends the block */
+
+        if (code & IOCodes.ioDataMask) {
+            this.precessCodeTo23(code, 4);
+        } else {
+            switch (code & 0b00111) {
+            case IOCodes.ioCodeMinus:   // minus: set sign FF
+                this.sign = 1;
+                break;
+            case IOCodes.ioCodeCR:      // carriage return: shift sign into word
+            case IOCodes.ioCodeTab:     // tab: shift sign into word
+                this.precessCodeTo23(this.sign, 1);
+                this.sign = 0;
+                break;
+            case IOCodes.ioCodeStop:    // end/stop
+                this.reload();          // Stop implies Reload
+                return true;
+            case IOCodes.ioCodeReload:  // reload
+                this.reload();
+                break;
+            case IOCodes.ioCodePeriod:  // period: ignored
+                break;
+            case IOCodes.ioCodeWait:    // wait: insert a 0 digit on input
+                this.precessCodeTo23(0, 4);
+                break;
+            default:                    // blank tape: ignored
+                break;
+            }
+        }
+
+        return false;
+    }
+
+} // class SlowIn
+
+
+/**************************************/
+export function readBlocks(frames) {
+    /* Reads an array of frames as successive SLOW IN blocks. Returns an
+    array with one object per block:
+        start       index of the first frame of the block
+        end         index of the frame following the block
+        words       contents of line 19 after the block is read
+        length      number of words of line 19 loaded by the block
+        groupBits   number of bits precessed into line 23 for each reload
+        stopped     true if the block ended with a stop code
+    Blank tape after the last non-blank frame is not treated as a block */
+    const slowIn = new SlowIn();
+    const blocks = [];
+    let last = frames.length;
+    let x = 0;
+
+    while (last > 0 && frames[last-1] == IOCodes.ioCodeSpace) {
+        --last;
+    }
+
+    while (x < last) {
+        const start = x;
+        let stopped = false;
+
+        slowIn.startBlock();
+        while (x < last && !stopped) {
+            stopped = slowIn.receive(frames[x++]);
+        }
+
+        blocks.push({start, end: x, words: slowIn.line19.slice(),
+                     length: slowIn.blockLength, groupBits: slowIn.groupBits, stopped});
+    }
+
+    return blocks;
+}
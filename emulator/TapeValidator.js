@@ -0,0 +1,164 @@
+/***********************************************************************
+* retro-g15/emulator TapeValidator.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Paper tape image validator.
+*
+* Analyzes a tape image before it is read, decoding it into blocks with
+* TapeCodec.js and reporting for each block the number of words it loads
+* into line 19 and its checksum, the sum of those words as computed by
+* the G-15 adder (see MinimalAdder.js). Many tapes have a
+* checksum word that makes the sum of each block zero, but not all do, so
+* a non-zero checksum is reported but is not a warning.
+*
+* Warnings are generated for:
+*
+*   - characters in a .pti image that are not valid tape codes, and bytes
+*     in a binary image with bits set above the five frame channels.
+*   - a block at the end of the tape that is not ended by a stop code.
+*   - reload groups that precess fewer bits into line 23 than the 116 of
+*     four words, which usually means a digit was lost in transcription.
+*   - blocks with more reload groups than line 19 can hold.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+*   Import MinimalAdder.js from the emulator directory.
+***********************************************************************/
+
+export {TapeValidator};
+
+import * as Util from "./Util.js";
+import * as IOCodes from "./IOCodes.js";
+import * as TapeCodec from "./TapeCodec.js";
+
+import {MinimalAdder} from "./MinimalAdder.js";
+
+class TapeValidator {
+
+    // Static class properties
+
+    static groupBits = Util.fastLineSize*Util.wordBits; // bits in a full reload group
+    static maxGroups = Util.longLineSize/Util.fastLineSize;     // reload groups line 19 holds
+    static maxIllegal = 5;              // illegal codes listed individually in a warning
+    static whiteSpaceRex = /[\t\v]/;    // characters ignored in .pti text other than new-lines
+
+    /**************************************/
+    static checksum(words, length) {
+        /* Returns the sum of words 0 through length-1 of "words" as computed
+        by the G-15 adder, in G-15 sign-magnitude form */
+        const adder = new MinimalAdder();
+
+        adder.transferToAR(0, MinimalAdder.chAD);       // initialize the checksum
+        for (let loc=0; loc<length; ++loc) {
+            adder.addToAR(words[loc], MinimalAdder.chAD);
+        }
+
+        adder.transferToAR(adder.AR, MinimalAdder.chAD); // de-complement the sum
+        return adder.AR;
+    }
+
+    /**************************************/
+    static illegalCodes(image, format) {
+        /* Returns an array of descriptions of the locations in a tape image
+        that do not hold valid tape codes */
+        const illegal = [];
+
+        if (format == ".pt" || format == ".ptr") {
+            const bytes = new Uint8Array(image);
+            for (let x=0; x<bytes.length; ++x) {
+                if (bytes[x] > TapeCodec.frameMask) {
+                    illegal.push(`byte ${x} (0x${bytes[x].toString(16).padStart(2, "0")})`);
+                }
+            }
+        } else {
+            const lines = image.split(/\r?\n|\r|\f/);
+            for (let x=0; x<lines.length; ++x) {
+                const text = lines[x].replace(/#.*$/, "");
+                for (let col=0; col<text.length; ++col) {
+                    const char = text[col];
+                    const c = text.charCodeAt(col);
+                    if (c > 0x7F || (IOCodes.ioCodeFilter[c] == 0xFF && !TapeValidator.whiteSpaceRex.test(char))) {
+                        illegal.push(`line ${x+1} column ${col+1} ("${char}")`);
+                    }
+                }
+            }
+        }
+
+        return illegal;
+    }
+
+    /**************************************/
+    static validate(image, format) {
+        /* Analyzes a tape image in "format" (see TapeCodec.decode). Returns
+        an object with properties:
+            frames      number of frames on the tape
+            blocks      array of {start, end, length, checksum, stopped}
+                        objects, one per block (see TapeCodec.readBlocks)
+            illegal     array of descriptions of invalid codes
+            warnings    array of warning messages */
+        const frames = TapeCodec.decode(image, format);
+        const illegal = TapeValidator.illegalCodes(image, format);
+        const warnings = [];
+        const blocks = [];
+
+        if (illegal.length) {
+            warnings.push(`${illegal.length} invalid tape code${illegal.length > 1 ? "s" : ""} ignored: ` +
+                    illegal.slice(0, TapeValidator.maxIllegal).join(", ") +
+                    (illegal.length > TapeValidator.maxIllegal ? ", ..." : ""));
+        }
+
+        for (const block of TapeCodec.readBlocks(frames)) {
+            const blockNr = blocks.length+1;
+            const groups = block.groupBits.length;
+
+            blocks.push({start: block.start, end: block.end, length: block.length,
+                         checksum: TapeValidator.checksum(block.words, block.length),
+                         stopped: block.stopped});
+            if (!block.stopped) {
+                warnings.push(`Block ${blockNr} is not ended by a stop code`);
+            }
+
+            if (groups > TapeValidator.maxGroups) {
+                warnings.push(`Block ${blockNr} has ${groups} reload groups; line 19 holds only ${TapeValidator.maxGroups}`);
+            }
+
+            for (let g=0; g<groups; ++g) {
+                const bits = block.groupBits[g];
+                if (bits < TapeValidator.groupBits) {
+                    warnings.push(`Block ${blockNr}, reload group ${g+1}: ${bits} bits, ` +
+                            `short of the ${TapeValidator.groupBits} in four words`);
+                }
+            }
+        }
+
+        if (!blocks.length) {
+            warnings.push("The tape has no data");
+        }
+
+        return {frames: frames.length, blocks, illegal, warnings};
+    }
+
+    /**************************************/
+    static formatReport(report, name="") {
+        /* Formats the object returned by validate() as text for display */
+        const count = report.blocks.length;
+        let text = `${name ? name + ": " : ""}${count} block${count == 1 ? "" : "s"}, ${report.frames} frames\n`;
+
+        for (let x=0; x<count; ++x) {
+            const block = report.blocks[x];
+            text += (`Block ${(x+1).toString().padStart(3)}: ${block.length.toString().padStart(3)} words, ` +
+                    `checksum ${Util.g15SignedHex(block.checksum)}${block.checksum ? "" : " zero"}`).trimEnd() + "\n";
+        }
+
+        for (const warning of report.warnings) {
+            text += `WARNING: ${warning}\n`;
+        }
+
+        return text;
+    }
+
+} // class TapeValidator
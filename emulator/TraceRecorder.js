@@ -0,0 +1,206 @@
+/***********************************************************************
+* retro-g15/emulator TraceRecorder.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Execution trace recorder for the G-15 Processor.
+*
+* Keeps a ring buffer of the most recently executed commands. While
+* recording is on, the Processor calls startEntry() before each command
+* executes and finishEntry() after it completes. Each entry records:
+*
+*   seq         sequence number of the entry since the recorder was cleared.
+*   wordTime    drum time (word-times) of the command's read-command state.
+*   line, word  drum location of the command; line is null for commands
+*               executed from AR.
+*   cmd         the command word.
+*   source      the first source word of the transfer, or null if the
+*               source is not a drum line or register.
+*   dest        the first destination word of the transfer, or null if
+*               the destination is not a drum line or register.
+*   changes     an object keyed by register name (see registerNames) of
+*               [old, new] values for the registers the command changed.
+*
+* Entries can be exported as CSV text or JSON, so that the traces of two
+* runs of the same program can be compared. When formatted with a
+* SymbolTable, command locations are shown symbolically.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+*   Format command locations with a symbol table.
+***********************************************************************/
+
+export {TraceRecorder};
+
+import * as Util from "./Util.js";
+
+class TraceRecorder {
+
+    // Static class properties
+
+    static defaultCapacity = 10000;     // default number of entries in the ring buffer
+    static registerNames = [            // registers compared for each entry
+        "AR", "ID1", "ID0", "MQ1", "MQ0", "PN1", "PN0", "IP", "FO"];
+    static csvHeader = "seq,wordTime,loc,command,source,dest,changes";
+
+
+    constructor(capacity=TraceRecorder.defaultCapacity) {
+        /* Constructs the recorder with a ring buffer of "capacity" entries */
+
+        this.capacity = capacity;
+        this.recording = false;         // true if commands are being recorded
+        this.clear();
+    }
+
+    /**************************************/
+    get length() {
+        /* Returns the number of entries in the buffer */
+
+        return Math.min(this.seq, this.capacity);
+    }
+
+    /**************************************/
+    clear() {
+        /* Empties the ring buffer */
+
+        this.entries = new Array(this.capacity);
+        this.seq = 0;                   // sequence number of the next entry
+    }
+
+    /**************************************/
+    static registerValues(p) {
+        /* Returns an array of the current values of the registers in
+        registerNames for Processor "p" */
+        const drum = p.drum;
+
+        return [drum.AR.value, drum.ID[1].value, drum.ID[0].value,
+                drum.MQ[1].value, drum.MQ[0].value, drum.PN[1].value, drum.PN[0].value,
+                p.IP.value, p.FO.value];
+    }
+
+    /**************************************/
+    startEntry(p) {
+        /* Starts an entry for the command Processor "p" is about to execute
+        and returns it. The Processor fills in the source and dest properties
+        during the transfer */
+
+        return {
+            seq: this.seq++,
+            wordTime: p.lastRCWordTime,
+            line: (p.isNCAR ? null : p.cmdLine),
+            word: p.cmdLoc.value,
+            cmd: p.cmdWord,
+            source: null,
+            dest: null,
+            changes: TraceRecorder.registerValues(p)    // replaced by finishEntry()
+        };
+    }
+
+    /**************************************/
+    finishEntry(p, entry) {
+        /* Completes an entry after the command has executed, replacing the
+        saved register values with the changes, and adds it to the buffer */
+        const before = entry.changes;
+        const after = TraceRecorder.registerValues(p);
+        const changes = {};
+
+        for (let x=0; x<after.length; ++x) {
+            if (before[x] != after[x]) {
+                changes[TraceRecorder.registerNames[x]] = [before[x], after[x]];
+            }
+        }
+
+        entry.changes = changes;
+        this.entries[entry.seq % this.capacity] = entry;
+    }
+
+    /**************************************/
+    getEntries(filter=null) {
+        /* Returns an array of the entries in the buffer, oldest first. If
+        "filter" is a function, only the entries for which it returns true
+        are included */
+        const result = [];
+
+        for (let seq=this.seq-this.length; seq<this.seq; ++seq) {
+            const entry = this.entries[seq % this.capacity];
+            if (entry && (!filter || filter(entry))) {
+                result.push(entry);
+            }
+        }
+
+        return result;
+    }
+
+    /**************************************/
+    static formatValue(word) {
+        /* Formats a word value for display, or "" if it is null */
+
+        return (word === null ? "" : Util.g15SignedHex(word).trim());
+    }
+
+    /**************************************/
+    static formatLoc(entry, symbols=null) {
+        /* Formats the location of an entry's command, using the SymbolTable
+        "symbols" if it has any symbols */
+
+        return (entry.line === null ? "NCAR" :
+                symbols?.size ? symbols.formatLoc(entry.line, entry.word) :
+                `${Util.lineHex[entry.line]}.${Util.lineHex[entry.word]}`);
+    }
+
+    /**************************************/
+    static formatChanges(entry) {
+        /* Formats the register changes of an entry as "reg=old>new" items
+        separated by spaces */
+        const items = [];
+
+        for (const name in entry.changes) {
+            const [before, after] = entry.changes[name];
+            if (name == "IP" || name == "FO") {
+                items.push(`${name}=${before}>${after}`);
+            } else {
+                items.push(`${name}=${TraceRecorder.formatValue(before)}>${TraceRecorder.formatValue(after)}`);
+            }
+        }
+
+        return items.join(" ");
+    }
+
+    /**************************************/
+    static formatEntry(entry, symbols=null) {
+        /* Formats an entry as one line of text for display */
+        const loc = TraceRecorder.formatLoc(entry, symbols);
+
+        return `${entry.seq.toString().padStart(7)} ${entry.wordTime.toString().padStart(10)}  ` +
+               `${loc.padEnd(loc.length < 6 ? 6 : loc.length+1)}${Util.disassembleCommand(entry.cmd).padEnd(18)}` +
+               `${TraceRecorder.formatValue(entry.source).padStart(9)} ` +
+               `${TraceRecorder.formatValue(entry.dest).padStart(9)}  ` +
+               TraceRecorder.formatChanges(entry);
+    }
+
+    /**************************************/
+    static toCSV(entries, symbols=null) {
+        /* Returns an array of entries as CSV text, one line per entry */
+        let text = TraceRecorder.csvHeader + "\n";
+
+        for (const entry of entries) {
+            text += `${entry.seq},${entry.wordTime},${TraceRecorder.formatLoc(entry, symbols)},` +
+                    `"${Util.disassembleCommand(entry.cmd).trim()}",` +
+                    `${TraceRecorder.formatValue(entry.source)},${TraceRecorder.formatValue(entry.dest)},` +
+                    `"${TraceRecorder.formatChanges(entry)}"\n`;
+        }
+
+        return text;
+    }
+
+    /**************************************/
+    static toJSON(entries) {
+        /* Returns an array of entries as JSON text, one entry per line */
+
+        return "[\n" + entries.map((entry) => JSON.stringify(entry)).join(",\n") + "\n]\n";
+    }
+
+} // class TraceRecorder
@@ -9,8 +9,18 @@
 ************************************************************************
 * 2022-03-08  P.Kimpel
 *   Original version.
+* 2026-10-19  P.Kimpel
+*   Add unrestricted-speed mode and I/O timers that bypass their delays
+*   in that mode.
+*   Add parsing of signed hex, decimal, and PPR-style command notations
+*   for the drum editor. Add numeric interpretations of words and
+*   double-precision pairs. Add decoding of I/O format words.
+*   Add encodeCommand() for the assembler.
+*   Move btoaUint8() here from the devices that save binary images.
 ***********************************************************************/
 
+import * as IOCodes from "./IOCodes.js";
+
 export const wordBits = 29;                     // bits per G-15 word
 export const wordMagBits = 28;                  // magnitude bits in a G-15 word
 export const wordBytes = 4;                     // bytes per G-15 word (32 bits holding 29 bits)
@@ -35,6 +45,7 @@ export let wordTime = 0;                        // one word time on the drum [12
 export let bitTime = 0;                         // one bit time on the drum, ms
 export let drumCycleTime = 0;                   // one drum cycle (108 words), ms
 export let timingFactor = 1;                    // global emulator speed factor
+export let unrestrictedSpeed = false;           // true if running as fast as possible, not in real time
 
 const hexRex = /[abcdefABCDEF]/g;               // standard hex characters
 const g15HexXlate = {
@@ -45,6 +56,9 @@ const g15HexXlate = {
         "e": "y", "E": "y",
         "f": "z", "F": "z"};
 
+export const formatCodeChars = "DECPSRTW";      // 3-bit I/O format codes to symbolic codes
+export const formatMaxCodes = 38;               // max format codes in four words
+
 export const lineHex = [
         "00", "01", "02", "03", "04", "05", "06", "07", "08", "09",
         "10", "11", "12", "13", "14", "15", "16", "17", "18", "19",
@@ -140,6 +154,257 @@ export function disassembleCommand(cmd) {
            `.${lineHex[T]}.${lineHex[N]}.${C1*4 + C}.${lineHex[S]}.${lineHex[D]}${BP ? "-" : " "}`;
 }
 
+/**************************************/
+export function wordToInteger(word) {
+    /* Returns the value of a G-15 sign-magnitude word as a signed integer */
+
+    return (word & wordSignMask ? -(word >> 1) : word >> 1);
+}
+
+/**************************************/
+export function formatFraction(word) {
+    /* Formats a G-15 word as a signed binary fraction in decimal, with the
+    binary point at the high-order end of the word */
+
+    return (word & wordSignMask ? "-" : " ") + ((word >> 1)/two28).toFixed(9);
+}
+
+/**************************************/
+export function formatDPInteger(even, odd) {
+    /* Formats a double-precision pair as a signed decimal integer. The even
+    word holds the sign and the low-order 28 bits of the magnitude; the odd
+    word holds the high-order 29 bits */
+    const mag = (BigInt(odd) << 28n) | BigInt(even >> 1);
+
+    return (even & wordSignMask ? "-" : " ") + mag.toString();
+}
+
+/**************************************/
+export function formatDPFraction(even, odd) {
+    /* Formats a double-precision pair as a signed binary fraction in
+    decimal, with the binary point at the high-order end of the odd word.
+    The value is limited to the precision of a JavaScript Number */
+    const mag = (odd*two28 + (even >> 1))/two29/two28;
+
+    return (even & wordSignMask ? "-" : " ") + mag.toFixed(16);
+}
+
+/**************************************/
+export function typeoutCodes(word) {
+    /* Returns an array of the I/O codes that TYPE AR would send to the
+    typewriter for "word" under a format of a sign followed by seven digits:
+    a minus or space code, then the seven hex digits of the magnitude as
+    data codes */
+    const codes = [word & wordSignMask ? IOCodes.ioCodeMinus : IOCodes.ioCodeSpace];
+
+    for (let shift=wordBits-4; shift>=1; shift-=4) {
+        codes.push(IOCodes.ioDataMask | ((word >> shift) & 0x0F));
+    }
+
+    return codes;
+}
+
+/**************************************/
+export function parseLineLoc(text) {
+    /* Parses a word-time or line number in decimal or in the notation of
+    lineHex (u0-w9 for 100-129), returning an integer or NaN if the text is
+    invalid */
+    const t = text.trim().toLowerCase();
+
+    if (/^[u-w][0-9]$/.test(t)) {
+        return (t.charCodeAt(0) - 0x75)*10 + 100 + parseInt(t.substring(1), 10);
+    } else if (/^[0-9]{1,3}$/.test(t)) {
+        return parseInt(t, 10);
+    } else {
+        return NaN;
+    }
+}
+
+/**************************************/
+export function parseG15SignedHex(text) {
+    /* Parses a signed G-15 hex value, using u-z (or a-f) for the digits
+    10-15 and a leading or trailing "-" for negative values, and returns
+    it as a G-15 sign-magnitude word. Returns NaN if the text is invalid */
+    let t = text.trim().toLowerCase();
+    let sign = 0;
+
+    if (t.startsWith("-")) {
+        sign = 1;
+        t = t.substring(1);
+    } else if (t.endsWith("-")) {
+        sign = 1;
+        t = t.substring(0, t.length-1);
+    }
+
+    t = t.replace(/[u-z]/g, (c) => "abcdef"[c.charCodeAt(0) - 0x75]);
+    if (!/^[0-9a-f]{1,7}$/.test(t)) {
+        return NaN;
+    } else {
+        return ((parseInt(t, 16) << 1) | sign) & wordMask;
+    }
+}
+
+/**************************************/
+export function parseDecimalWord(text) {
+    /* Parses a signed decimal integer or fraction and returns it as a G-15
+    sign-magnitude word. An integer is placed at the low-order end of the
+    word; a fraction has its binary point at the high-order end and is
+    rounded to 28 bits. Returns NaN if the text is invalid or the value
+    does not fit in the word */
+    const t = text.trim();
+
+    if (!/^[-+]?([0-9]+|[0-9]*\.[0-9]+)$/.test(t)) {
+        return NaN;
+    }
+
+    const sign = (t.startsWith("-") ? 1 : 0);
+    const digits = t.replace(/^[-+]/, "");
+    const mag = (digits.includes(".") ? Math.round(parseFloat(digits)*two28) : parseInt(digits, 10));
+
+    return (mag < two28 ? (mag << 1) | sign : NaN);
+}
+
+/**************************************/
+export function encodeCommand(di, t, n, ca, s, d, c1=0, bp=0) {
+    /* Packs the fields of a command into a word, using the field order of
+    the asm() helper in Processor.loadMemory(): D/I, T, N, C, S, D, C1, BP */
+
+    return ((((((((((((((di & 1)     << 7) |
+                        (t  & 0x7F)) << 1) |
+                        (bp & 1))    << 7) |
+                        (n  & 0x7F)) << 2) |
+                        (ca & 3))    << 5) |
+                        (s  & 0x1F)) << 5) |
+                        (d  & 0x1F)) << 1) |
+                        (c1 & 1);
+}
+
+/**************************************/
+export function assembleCommand(text) {
+    /* Assembles a command from PPR-like notation, the inverse of
+    disassembleCommand(). The fields are separated by periods or spaces:
+        [u|w] [L] T N C S D [-]
+    A "u" prefix makes a normal command immediate and a "w" prefix makes a
+    D=31 command deferred. L, the location of the command, is optional and
+    is checked but not used. T, N, and L may be written in decimal or as in
+    lineHex. C is 0-7, with 4-7 setting the double-precision bit. A trailing
+    "-" sets the breakpoint bit. Returns the command word, or NaN if the text
+    is invalid */
+    const fields = text.trim().toLowerCase().replace(/-$/, " -").split(/[.\s]+/);
+    let prefix = "";
+    let BP = 0;
+
+    if (fields[0] == "u" || fields[0] == "w") {
+        prefix = fields.shift();
+    } else if (fields[0] == "") {
+        fields.shift();
+    }
+
+    if (fields[fields.length-1] == "-") {
+        BP = 1;
+        fields.pop();
+    }
+
+    if (fields.length == 6) {
+        const L = parseLineLoc(fields.shift());
+        if (!(L < longLineSize)) {
+            return NaN;
+        }
+    }
+
+    if (fields.length != 5) {
+        return NaN;
+    }
+
+    const T = parseLineLoc(fields[0]);
+    const N = parseLineLoc(fields[1]);
+    const C = (/^[0-7]$/.test(fields[2]) ? parseInt(fields[2], 10) : NaN);
+    const S = (/^[0-9]{1,2}$/.test(fields[3]) ? parseInt(fields[3], 10) : NaN);
+    const D = (/^[0-9]{1,2}$/.test(fields[4]) ? parseInt(fields[4], 10) : NaN);
+    if (!(T < 128 && N < 128 && C >= 0 && S < 32 && D < 32)) {
+        return NaN;
+    }
+
+    const DI = (D == 31 ? (prefix == "w" ? 1 : 0) : (prefix == "u" ? 0 : 1));
+    if (prefix == (D == 31 ? "u" : "w")) {
+        return NaN;                     // prefix does not apply to this destination
+    }
+
+    return encodeCommand(DI, T, N, C & 0x03, S, D, C >> 2, BP);
+}
+
+/**************************************/
+export function decodeFormat(words) {
+    /* Decodes a four-word I/O format, as held in words 0-3 of line 2 or 3,
+    into the symbolic codes used by software/tools/Format-Encoder.html:
+    D=digit, E=end, C=carriage return, P=period, S=sign, R=reload, T=tab,
+    W=wait. The codes are taken three bits at a time from the high-order end
+    of word 3, as the Slow-Out logic precesses them through MZ. Decoding
+    stops after the first E code */
+    const mz = Array.from(words);
+    let codes = "";
+
+    for (let x=0; x<formatMaxCodes; ++x) {
+        let carry = 0;
+        for (let w=0; w<fastLineSize; ++w) {
+            const word = mz[w] & wordMask;
+            mz[w] = ((word << 3) & wordMask) | carry;
+            carry = word >> (wordBits-3);
+        }
+
+        codes += formatCodeChars[carry];
+        if (carry == 0b001) {           // End/Stop
+            break;
+        }
+    }
+
+    return codes;
+}
+
+/**************************************/
+export function btoaUint8(bytes, start, end) {
+    /* Converts a Uint8Array directly to base-64 encoding without using
+    window.btoa and returns the base-64 string. "start" is the 0-relative
+    index to the first byte; "end" is the 0-relative index to the ending
+    byte + 1. Adapted from https://gist.github.com/jonleighton/958841 */
+    let b64 = "";
+    const byteLength = end - start;
+    const remainderLength = byteLength % 3;
+    const mainLength = byteLength - remainderLength;
+
+    const encoding = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    // Main loop deals with bytes in chunks of 3.
+    for (let i=start; i<start+mainLength; i+=3) {
+        // Combine the three bytes into a single integer.
+        const chunk = (((bytes[i] << 8) | bytes[i+1]) << 8) | bytes[i+2];
+
+        // Extract 6-bit segments from the triplet and convert to the ASCII encoding.
+        b64 += encoding[(chunk & 0xFC0000) >> 18] +
+               encoding[(chunk &  0x3F000) >> 12] +
+               encoding[(chunk &    0xFC0) >>  6] +
+               encoding[chunk &      0x3F];
+    }
+
+    // Deal with any remaining bytes and padding.
+    if (remainderLength == 1) {
+       // Encode the high-order 6 and low-order 2 bits, and add padding.
+       const chunk = bytes[start+mainLength];
+       b64 += encoding[(chunk & 0xFC) >> 2] +
+              encoding[(chunk & 0x03) << 4] + "==";
+    } else if (remainderLength == 2) {
+       // Encode the high-order 6 bits of the first byte, plus the low-order
+       // 2 bits of the first byte with the high-order 4 bits of the second
+       // byte, and add padding.
+       const chunk = (bytes[start+mainLength] << 8) | bytes[start+mainLength+1];
+       b64 += encoding[(chunk & 0xFC00) >> 10] +
+              encoding[(chunk &  0x3F0) >> 4] +
+              encoding[(chunk &    0xF) << 2] + "=";
+    }
+
+    return b64;
+}
+
 /**************************************/
 export function setTiming(newRPM=defaultRPM) {
     /* Computes the drum timing factors from the specified drumRPM (default=1800) */
@@ -161,6 +426,27 @@ export function enableNonStandardTiming(newRPM) {
     setTiming(newRPM);
 }
 
+/**************************************/
+export function setUnrestrictedSpeed(unrestricted) {
+    /* Enables or disables unrestricted-speed mode. In this mode the drum
+    still counts word-times and advances the emulation clock, but does not
+    synchronize with real time, and I/O devices complete their operations
+    without simulating their mechanical timing. This should be set before
+    the emulator starts running, since emulation time is not brought back
+    into step with real time if the mode is later turned off */
+
+    unrestrictedSpeed = Boolean(unrestricted);
+}
+
+/**************************************/
+export function yieldToEventLoop() {
+    /* Returns a Promise that resolves after any pending events have had a
+    chance to run. Used to keep the browser responsive when the emulator is
+    not otherwise waiting on timers */
+
+    return new Promise((resolve) => {setTimeout(resolve, 0)});
+}
+
 
 /***********************************************************************
 *  Timer Class                                                         *
@@ -168,9 +454,12 @@ export function enableNonStandardTiming(newRPM) {
 
 export class Timer {
 
-    constructor() {
-        /* Constructor for a Timer object that wraps setTimeout() */
+    constructor(ioTimer=false) {
+        /* Constructor for a Timer object that wraps setTimeout(). If "ioTimer"
+        is true, the timer is used to simulate I/O device timing, and its
+        delays are bypassed when unrestrictedSpeed is set */
 
+        this.ioTimer = ioTimer;
         this.rejector = null;
         this.timerHandle = 0;
         this.value = null;
@@ -181,7 +470,7 @@ export class Timer {
         will resolve when the timer expires. The "value" parameter is optional and
         will become the value returned by the Promise */
 
-        if (delay <= minTimeout) {
+        if (delay <= minTimeout || (this.ioTimer && unrestrictedSpeed)) {
             return Promise.resolve(value);
         } else {
             return new Promise((resolve, reject) => {
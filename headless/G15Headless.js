@@ -0,0 +1,144 @@
+/***********************************************************************
+* retro-g15/headless G15Headless.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 emulator runner for headless (non-browser) operation.
+*
+* Builds the same context object that webUI/G15.js supplies to the
+* Processor, but with in-memory configuration and I/O devices that have
+* no user interface: a paper tape reader, paper tape punch, and typewriter.
+* The optional peripherals are not configured. The control panel is
+* reduced to the one method the Processor calls on it, ringBell().
+*
+* The run() method performs the equivalent of pressing RESET with the
+* tape mounted in the reader, then sets the COMPUTE switch and waits until
+* the Processor is finished or a time limit expires. The Processor is
+* considered finished when it halts, or when it is waiting for TYPE IN
+* keystrokes and the typewriter has no more input to supply. Instead of
+* the reset, run() can restore a machine-state snapshot created by
+* Processor.saveSnapshot() and continue from that point.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/G15.js.
+*   Add snapshot restore to run(), and halt().
+***********************************************************************/
+
+export {G15Headless};
+
+import * as Util from "../emulator/Util.js";
+import * as IOCodes from "../emulator/IOCodes.js";
+
+import {HeadlessConfig} from "./HeadlessConfig.js";
+import {HeadlessTapePunch} from "./HeadlessTapePunch.js";
+import {HeadlessTapeReader} from "./HeadlessTapeReader.js";
+import {HeadlessTypewriter} from "./HeadlessTypewriter.js";
+import {Processor} from "../emulator/Processor.js";
+
+class G15Headless {
+
+    // Static properties
+
+    static pollPeriod = 100;            // halt-detection polling period, ms
+
+
+    constructor() {
+        /* Builds the Processor and its headless I/O devices */
+
+        this.config = new HeadlessConfig();
+        this.timer = new Util.Timer();
+        this.bellCount = 0;             // number of times the bell has been rung
+
+        this.context = {
+            config: this.config,
+            controlPanel: {
+                ringBell: (wordTimes) => {++this.bellCount},
+            },
+            devices: null,
+            processor: null
+        };
+
+        this.processor = this.context.processor = new Processor(this.context);
+        this.devices = this.context.devices = {
+            "paperTapeReader":          new HeadlessTapeReader(this.context),
+            "paperTapePunch":           new HeadlessTapePunch(this.context),
+            "typewriter":               new HeadlessTypewriter(this.context)
+        };
+
+        this.processor.powerUp();
+    }
+
+    /**************************************/
+    get finished() {
+        /* Returns true if the Processor has stopped and any I/O has either
+        finished or is hung waiting for a device that will never respond, or
+        if the Processor is waiting for keyboard input that will never come */
+        const p = this.processor;
+
+        if (p.OC.value == IOCodes.ioCmdTypeIn) {
+            return this.devices.typewriter.inputWaiting;
+        } else {
+            return p.CH.value && !p.drum.procActive &&
+                    (p.OC.value == IOCodes.ioCmdReady || p.hungIO);
+        }
+    }
+
+    /**************************************/
+    async run(timeLimit, computeSwitch=1, punchSwitch=0, snapshot=null) {
+        /* Resets the system, loading from the paper tape reader, then sets
+        the COMPUTE switch (0=OFF, 1=GO, 2=BP) and PUNCH switch (0=OFF,
+        1=PUNCH) and waits until the Processor halts or "timeLimit" seconds
+        have elapsed. If "snapshot" is supplied, the system is restored from
+        it instead of being reset. Returns true if the Processor finished,
+        false if the time limit expired */
+        const p = this.processor;
+        const endStamp = performance.now() + timeLimit*1000;
+
+        p.punchSwitchChange(punchSwitch);
+        if (snapshot) {
+            p.restoreSnapshot(snapshot);
+        } else {
+            await p.systemReset();
+        }
+
+        p.computeSwitchChange(computeSwitch);
+
+        while (!this.finished) {
+            if (performance.now() >= endStamp) {
+                return false;
+            }
+
+            await this.timer.set(G15Headless.pollPeriod);
+        }
+
+        return true;
+    }
+
+    /**************************************/
+    async halt() {
+        /* Turns the COMPUTE switch off and waits for the Processor to stop,
+        e.g., before saving a snapshot of its state */
+        const p = this.processor;
+
+        p.computeSwitchChange(0);
+        while (p.drum.procActive) {
+            await this.timer.set(G15Headless.pollPeriod);
+        }
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Powers down the Processor and shuts down the devices */
+
+        this.processor.powerDown();
+        for (const e in this.devices) {
+            this.devices[e].shutDown();
+        }
+
+        this.timer.clear();
+    }
+
+} // class G15Headless
@@ -0,0 +1,48 @@
+/***********************************************************************
+* retro-g15/headless HeadlessConfig.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 Emulator configuration object for headless operation.
+*
+* Supplies the same getNode/putNode interface as webUI/SystemConfig.js,
+* but holds the configuration in memory only, starting from a copy of
+* the default configuration in emulator/ConfigData.js. Nothing is persisted.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/SystemConfig.js.
+*   Share the configuration data logic in emulator/ConfigData.js.
+***********************************************************************/
+
+export {HeadlessConfig};
+
+import * as ConfigData from "../emulator/ConfigData.js";
+
+class HeadlessConfig {
+
+    constructor() {
+        /* Constructor for the headless configuration object */
+
+        this.configData = ConfigData.createConfig();
+    }
+
+    /**************************************/
+    getNode(nodeName, index) {
+        /* Retrieves a specified node of the configuration data object tree.
+        See ConfigData.getNode() for the meaning of the parameters */
+
+        return ConfigData.getNode(this.configData, nodeName, index);
+    }
+
+    /**************************************/
+    putNode(nodeName, data, index) {
+        /* Creates or replaces a specified node of the configuration data object
+        tree. See ConfigData.putNode() for the meaning of the parameters */
+
+        ConfigData.putNode(this.configData, nodeName, data, index);
+    }
+
+} // class HeadlessConfig
@@ -0,0 +1,88 @@
+/***********************************************************************
+* retro-g15/headless HeadlessTapePunch.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 paper tape punch for headless operation.
+*
+* Implements the interface the Processor uses for the paper tape punch
+* (write, makeBusy, cancel) without a user interface. The
+* punched frames are buffered and can be retrieved as an image in any of
+* the formats written by webUI/PaperTapePunch.js (.pti, .pt, .ptr).
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/PaperTapePunch.js.
+*   Encode tape images with emulator/TapeCodec.js.
+*   Take the buffer limit from emulator/TapeCodec.js.
+***********************************************************************/
+
+export {HeadlessTapePunch};
+
+import * as IOCodes from "../emulator/IOCodes.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+
+class HeadlessTapePunch {
+
+    constructor(context) {
+        /* Initializes the headless paper tape punch. "context" is an object
+        passing other objects from the runner:
+            processor is the Processor object
+        */
+
+        this.processor = context.processor;
+        this.buffer = new Uint8Array(TapeCodec.punchBufferLimit+1);
+        this.bufLength = 0;             // current output buffer length (characters)
+        this.busy = false;              // an I/O is in progress
+        this.canceled = false;          // current I/O canceled
+    }
+
+    /**************************************/
+    makeBusy(busy) {
+        /* Makes the punch busy (I/O in progress) or not busy (idle) */
+
+        this.busy = busy;
+        if (busy) {
+            this.canceled = false;
+        }
+    }
+
+    /**************************************/
+    cancel() {
+        /* Cancels the I/O currently in process */
+
+        if (this.busy) {
+            this.makeBusy(false);
+            this.canceled = true;
+        }
+    }
+
+    /**************************************/
+    write(code) {
+        /* Writes one character code to the punch buffer. The timing is
+        controlled by the Processor */
+
+        if (this.bufLength < TapeCodec.punchBufferLimit) {
+            this.buffer[this.bufLength] = code;
+            ++this.bufLength;
+        }
+    }
+
+    /**************************************/
+    getImage(format) {
+        /* Returns the contents of the punch buffer as a tape image. For the
+        ".pti" format, the image is a string; for ".pt" and ".ptr", it is a
+        Uint8Array */
+
+        return TapeCodec.encode(this.buffer.subarray(0, this.bufLength), format);
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the device. The Processor times all punch output, so
+        there is nothing to stop */
+    }
+
+} // class HeadlessTapePunch
@@ -0,0 +1,185 @@
+/***********************************************************************
+* retro-g15/headless HeadlessTapeReader.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 paper tape reader for headless operation.
+*
+* Implements the interface the Processor uses for the paper tape reader
+* (read, reverseBlock, rewind, cancel, blockNr) without a user interface.
+* Tape images are mounted from buffers in any of the formats accepted by
+* webUI/PaperTapeReader.js (.pti, .pt, .ptr); mounting more than one image
+* appends it to the tape already in the reader. The tape is moved by
+* emulator/PaperTapeTransport.js, as in the browser reader.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/PaperTapeReader.js.
+*   Decode tape images with emulator/TapeCodec.js.
+*   Move the tape with emulator/PaperTapeTransport.js instead of copies of
+*   the browser reader's read() and reverseBlock().
+***********************************************************************/
+
+export {HeadlessTapeReader};
+
+import * as Util from "../emulator/Util.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+import * as PaperTapeTransport from "../emulator/PaperTapeTransport.js";
+import * as PPRTapeImage from "../emulator/PPRTapeImage.js";
+
+class HeadlessTapeReader {
+
+    constructor(context) {
+        /* Initializes the headless paper tape reader. "context" is an object
+        passing other objects from the runner:
+            processor is the Processor object
+        */
+
+        this.processor = context.processor;
+        this.timer = new Util.Timer(true);
+
+        this.busy = false;              // an I/O is in progress
+        this.canceled = false;          // current I/O canceled
+        this.rewinding = false;         // tape is currently rewinding
+        this.blockNr = 0;               // current tape image block number
+        this.buffer = new Uint8Array(0);// reader input buffer (paper-tape reel)
+        this.bufLength = 0;             // current input buffer length (characters)
+        this.bufIndex = 0;              // 0-relative offset to next character to be read
+        this.dataEnd = 0;               // index after the last frame in the buffer
+        this.nextStartStamp = 0;        // earliest time next read can start
+
+        this.framePeriod = 0;           // reader speed, ms/frame
+        this.startStopTime = 0;         // reader start/stop time, ms
+    }
+
+    /**************************************/
+    appendFrames(frames) {
+        /* Appends an array of frame codes to the end of the tape buffer */
+        const buffer = new Uint8Array(this.buffer.length + frames.length);
+
+        buffer.set(this.buffer, 0);
+        buffer.set(frames, this.buffer.length);
+        this.buffer = buffer;
+        this.bufLength = this.dataEnd = buffer.length;
+    }
+
+    /**************************************/
+    mount(image, format) {
+        /* Appends a tape image to the tape in the reader. "image" is a string
+        for the .pti format, or a Uint8Array for the binary formats. "format"
+        is ".pti", ".pt", or ".ptr" */
+
+        this.appendFrames(TapeCodec.decode(image, format));
+    }
+
+    /**************************************/
+    preload() {
+        /* Mounts the PPR tape image, as the browser reader does at startup */
+
+        this.mount(PPRTapeImage.pprTapeImage, ".pti");
+    }
+
+    /**************************************/
+    getState() {
+        /* Returns the tape position for machine-state snapshots */
+
+        return {blockNr: this.blockNr, bufIndex: this.bufIndex};
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the tape position from an object created by getState().
+        The tape must already be mounted; the position is limited to its length */
+
+        this.bufIndex = Math.min(state.bufIndex, this.bufLength);
+        this.blockNr = state.blockNr;
+    }
+
+    /**************************************/
+    cancel() {
+        /* Cancels the I/O currently in process */
+
+        if (this.busy) {
+            this.canceled = true;
+        }
+    }
+
+    /**************************************/
+    makeBusy(busy) {
+        /* Makes the reader busy (I/O in progress) or not busy (idle) */
+
+        this.busy = busy;
+    }
+
+    /**************************************/
+    setBlockNr(blockNr) {
+        /* Updates this.blockNr */
+
+        this.blockNr = blockNr;
+    }
+
+    /**************************************/
+    showPosition(x) {
+        /* There is no tape supply bar to update */
+    }
+
+    /**************************************/
+    nextTape() {
+        /* There is only one tape, as later images are appended to it */
+
+        return false;
+    }
+
+    /**************************************/
+    priorTape() {
+        /* There is only one tape, as later images are appended to it */
+
+        return false;
+    }
+
+    /**************************************/
+    async read() {
+        /* Sends frame codes to the Processor's I/O subsystem until a STOP code
+        or the end of the tape buffer is encountered. Returns true if an
+        attempt is made to read past the end of the buffer, leaving the I/O
+        hanging. See emulator/PaperTapeTransport.js */
+
+        return PaperTapeTransport.read(this);
+    }
+
+    /**************************************/
+    async reverseBlock() {
+        /* Reverses the tape until the prior stop code is detected. Returns true
+        if an attempt is made to reverse past the beginning of the buffer,
+        leaving the I/O hanging. See emulator/PaperTapeTransport.js */
+
+        return PaperTapeTransport.reverseBlock(this);
+    }
+
+    /**************************************/
+    async rewind() {
+        /* Rewinds the tape to its beginning. There is no REWIND switch to turn
+        off, so the PUNCH switch is simply reset when the rewind finishes */
+
+        if (!this.rewinding) {
+            this.rewinding = true;
+            this.bufIndex = 0;
+            this.blockNr = 0;
+            if (this.processor.punchSwitch == 2) {
+                this.processor.punchSwitchChange(0);
+            }
+
+            this.rewinding = false;
+        }
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the device */
+
+        this.timer.clear();
+    }
+
+} // class HeadlessTapeReader
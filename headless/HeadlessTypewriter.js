@@ -0,0 +1,204 @@
+/***********************************************************************
+* retro-g15/headless HeadlessTypewriter.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 typewriter for headless operation.
+*
+* Implements the interface the Processor uses for the console typewriter
+* (write, read, cancel) without a user interface. Printed output is
+* accumulated as text, expanding tabs using the configured tab stops.
+*
+* Keyboard input for TYPE IN (D=31, S=12) commands is supplied from a
+* text buffer, using the same conventions as the Type-O-Matic feature of
+* webUI/Typewriter.js: "t" is a tab, "c" is a carriage return, "#"
+* starts a comment that runs to the end of the line, and new-lines are
+* ignored. Each TYPE IN consumes keystrokes until the Processor refuses
+* one or an "S" (Stop) is typed. If the buffer is exhausted, the TYPE IN
+* is left waiting, as it would be for a real operator.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from webUI/Typewriter.js.
+*   Take the print characters and Type-O-Matic rate from emulator/IOCodes.js.
+***********************************************************************/
+
+export {HeadlessTypewriter};
+
+import * as Util from "../emulator/Util.js";
+import * as IOCodes from "../emulator/IOCodes.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+
+class HeadlessTypewriter {
+
+    constructor(context) {
+        /* Initializes the headless typewriter. "context" is an object
+        passing other objects from the runner:
+            config is the configuration object
+            processor is the Processor object
+        */
+
+        this.processor = context.processor;
+        this.timer = new Util.Timer(true);
+        this.paper = "";                // printed output
+        this.printerCol = 0;            // current 0-relative print column
+        this.readEnabled = false;       // true when a TYPE IN is active
+        this.typing = false;            // true while keystrokes are being sent
+        this.inputBuffer = "";          // keystrokes for TYPE IN
+        this.inputIndex = 0;            // offset to the next keystroke
+
+        const tabs = context.config.getNode("Typewriter.tabs") || "";
+        this.tabStops = tabs.split(",").map((col) => parseInt(col, 10)-1).filter((col) => col >= 0);
+    }
+
+    /**************************************/
+    get inputWaiting() {
+        /* Returns true if a TYPE IN is waiting for keystrokes that the input
+        buffer cannot supply */
+
+        return this.readEnabled && !this.typing && this.inputIndex >= this.inputBuffer.length;
+    }
+
+    /**************************************/
+    setInput(text) {
+        /* Sets the keystroke buffer for TYPE IN, discarding any that remain */
+
+        this.inputBuffer = TapeCodec.stripComments(text);
+        this.inputIndex = 0;
+    }
+
+    /**************************************/
+    getState() {
+        /* Returns the carriage position for machine-state snapshots */
+
+        return {printerCol: this.printerCol};
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the carriage position from an object created by getState().
+        If the carriage is not already there, starts a new line and spaces
+        over to the saved column */
+
+        if (this.printerCol != state.printerCol) {
+            this.write(IOCodes.ioCodeCR);
+            this.paper += " ".repeat(state.printerCol);
+            this.printerCol = state.printerCol;
+        }
+    }
+
+    /**************************************/
+    cancel() {
+        /* Cancels any TypeIn I/O currently in process */
+
+        this.readEnabled = false;
+        this.processor.cancelTypeIn();
+    }
+
+    /**************************************/
+    async sendKeystroke(key) {
+        /* Sends one keystroke to the Processor and echoes it to the paper.
+        Returns the result from Processor.receiveKeyboardCode, or 0 for
+        keystrokes that are ignored */
+        const code = IOCodes.ioCodeFilter[key.charCodeAt(0) & 0x7F];
+
+        switch (key) {
+        case "t":
+            this.write(IOCodes.ioCodeTab);
+            return this.processor.receiveKeyboardCode(IOCodes.ioCodeTab);
+        case "c":
+            this.write(IOCodes.ioCodeCR);
+            return this.processor.receiveKeyboardCode(IOCodes.ioCodeCR);
+        case " ":
+        case ".":
+            this.paper += key;
+            ++this.printerCol;
+            return 0;                   // just eat spaces and periods
+        default:
+            if (code < 0xFF) {
+                this.paper += key;
+                ++this.printerCol;
+                return this.processor.receiveKeyboardCode(code);
+            } else {
+                return 0;               // invalid keystroke -- ignore it
+            }
+        }
+    }
+
+    /**************************************/
+    async read() {
+        /* Called by Processor when a TYPE IN command is initiated. Sends
+        keystrokes from the input buffer at the Type-O-Matic rate until the
+        Processor stops accepting them or the buffer is exhausted */
+        const period = 1000/Math.min(IOCodes.typeOMaticRate*Util.timingFactor, 2500); // ms
+        let nextKeystrokeStamp = performance.now();
+
+        this.readEnabled = true;
+        if (this.typing) {
+            return;
+        }
+
+        this.typing = true;
+        while (this.readEnabled && this.inputIndex < this.inputBuffer.length) {
+            const key = this.inputBuffer[this.inputIndex];
+            ++this.inputIndex;
+            if (key == "/") {
+                // Ensure that reloads have enough time to complete.
+                nextKeystrokeStamp += Util.drumCycleTime*2;
+            }
+
+            if (await this.sendKeystroke(key)) {
+                this.readEnabled = false;       // STOP or refused by processor
+            } else {
+                nextKeystrokeStamp += period;
+                await this.timer.delayUntil(nextKeystrokeStamp);
+            }
+        }
+
+        this.typing = false;
+    }
+
+    /**************************************/
+    write(code) {
+        /* Writes one character code to the paper */
+        let tabCol = this.printerCol+1; // tab column (defaults to one space past the end)
+
+        switch (code) {
+        case IOCodes.ioCodeCR:
+            this.paper += "\n";
+            this.printerCol = 0;
+            break;
+        case IOCodes.ioCodeTab:
+            for (const stop of this.tabStops) {
+                if (stop > this.printerCol) {
+                    tabCol = stop;
+                    break; // out of for loop
+                }
+            }
+
+            this.paper += " ".repeat(tabCol - this.printerCol);
+            this.printerCol = tabCol;
+            break;
+        case IOCodes.ioCodeReload:
+        case IOCodes.ioCodeStop:
+        case IOCodes.ioCodeWait:
+            // ignored by the typewriter
+            break;
+        default:
+            this.paper += IOCodes.printCodes[code];
+            ++this.printerCol;
+            break;
+        }
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the device */
+
+        this.readEnabled = false;
+        this.timer.clear();
+    }
+
+} // class HeadlessTypewriter
@@ -0,0 +1,103 @@
+/***********************************************************************
+* retro-g15/headless g15asm.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Command-line entry point for the G-15 symbolic assembler under Node.js:
+*
+*   node headless/g15asm.js [options] source
+*
+* Assembles the source file (see emulator/Assembler.js for the syntax)
+* and writes the paper tape image.
+*
+* Options:
+*   --tape=FILE             file for the .pti tape image (default the
+*                           source file name with a .pti extension)
+*   --listing=FILE          write the assembly listing, which can be
+*                           loaded as symbols by the debugger and by
+*                           g15run.js --symbols
+*   --symbols=FILE          write the labels as a symbol file
+*   --optimize              place commands that follow other commands at
+*                           minimum-latency locations
+*   --no-checksum           do not set a checksum word in each block
+*
+* Exit status is 0 if the source assembled without errors and 1 otherwise.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+***********************************************************************/
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import {parseArgs} from "node:util";
+
+import {Assembler} from "../emulator/Assembler.js";
+
+
+/**************************************/
+function usage(msg) {
+    /* Reports a command-line error and exits */
+
+    console.error(`g15asm: ${msg}`);
+    console.error("usage: node headless/g15asm.js [--tape=FILE] [--listing=FILE] [--symbols=FILE]\n" +
+                  "        [--optimize] [--no-checksum] source");
+    process.exit(1);
+}
+
+/**************************************/
+function main() {
+    /* Parses the command line, assembles the source, and writes the output */
+    let args = null;
+
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                "tape":         {type: "string"},
+                "listing":      {type: "string"},
+                "symbols":      {type: "string"},
+                "optimize":     {type: "boolean", default: false},
+                "no-checksum":  {type: "boolean", default: false}
+            }
+        });
+    } catch (e) {
+        usage(e.message);
+    }
+
+    const opt = args.values;
+    if (args.positionals.length != 1) {
+        usage("one source file is required");
+    }
+
+    const sourceName = args.positionals[0];
+    const tapeName = opt.tape ?? path.join(path.dirname(sourceName),
+            path.basename(sourceName, path.extname(sourceName)) + ".pti");
+    const asm = new Assembler({optimize: opt.optimize, checksum: !opt["no-checksum"]});
+
+    try {
+        asm.assemble(fs.readFileSync(sourceName, "utf8"));
+    } catch (e) {
+        console.error(`g15asm: ${sourceName}: ${e.message}`);
+        process.exit(1);
+    }
+
+    try {
+        fs.writeFileSync(tapeName, asm.toPTI());
+        if (opt.listing !== undefined) {
+            fs.writeFileSync(opt.listing, asm.getListing());
+        }
+
+        if (opt.symbols !== undefined) {
+            fs.writeFileSync(opt.symbols, asm.symbols.toText());
+        }
+    } catch (e) {
+        usage(e.message);
+    }
+
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,206 @@
+/***********************************************************************
+* retro-g15/headless g15run.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Command-line entry point for running the G-15 emulator under Node.js
+* without a browser, e.g., for regression jobs:
+*
+*   node headless/g15run.js [options] [tape ...]
+*
+* The tape images are mounted in the paper tape reader in the order given.
+* If no tapes are given, or --ppr is specified, the PPR tape image is
+* mounted ahead of them, as the browser does at startup. The system is
+* then reset, loading from the reader, and the COMPUTE switch is set.
+*
+* Options:
+*   --compute=go|bp|off     COMPUTE switch setting (default go)
+*   --punch=off|on          PUNCH switch setting (default off)
+*   --format=auto|pti|pt|ptr
+*                           format of the input tapes (default auto, by
+*                           file extension, .pti if none)
+*   --ppr                   mount the PPR tape image ahead of the tapes
+*   --type-in=FILE          keystrokes for TYPE IN, Type-O-Matic format
+*   --time=SECONDS          time limit (default 60)
+*   --fast                  run at unrestricted speed, not in real time
+*   --typewriter=FILE       file for typewriter output (default stdout)
+*   --punch-out=FILE        file for punched tape; the format is taken from
+*                           the extension: .pt, .ptr, otherwise .pti
+*   --trace                 enable Processor command tracing
+*   --restore-state=FILE    restore the machine state from a snapshot file
+*                           instead of resetting the system; any tapes must
+*                           be the ones mounted when the snapshot was saved
+*   --save-state=FILE       save the machine state to a snapshot file at the
+*                           end of the run
+*   --record=FILE           record an execution trace of the most recent
+*                           commands and write it to a file at the end of
+*                           the run: JSON if the extension is .json,
+*                           otherwise CSV
+*   --symbols=FILE          load a symbol file (.sym) or the labels of an
+*                           assembler listing (.lst) so that the --trace
+*                           output and --record CSV show symbolic locations
+*
+* The run ends when the Processor halts, or when it is waiting for TYPE IN
+* and the --type-in keystrokes have been exhausted. Exit status is 0 if the
+* run ended that way, 2 if the time limit expired, and 1 for errors in the
+* command line.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+*   Add --restore-state and --save-state.
+*   Add --record.
+*   Add --symbols.
+*   Determine tape image formats with emulator/TapeCodec.js.
+***********************************************************************/
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import {parseArgs} from "node:util";
+
+import * as Util from "../emulator/Util.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+
+import {G15Headless} from "./G15Headless.js";
+import {TraceRecorder} from "../emulator/TraceRecorder.js";
+
+const computeSettings = {off: 0, go: 1, bp: 2};
+const punchSettings = {off: 0, on: 1};
+
+
+/**************************************/
+function usage(msg) {
+    /* Reports a command-line error and exits */
+
+    console.error(`g15run: ${msg}`);
+    console.error("usage: node headless/g15run.js [--compute=go|bp|off] [--punch=off|on]\n" +
+                  "        [--format=auto|pti|pt|ptr] [--ppr] [--type-in=FILE] [--time=SECONDS] [--fast]\n" +
+                  "        [--typewriter=FILE] [--punch-out=FILE] [--trace]\n" +
+                  "        [--restore-state=FILE] [--save-state=FILE] [--record=FILE]\n" +
+                  "        [--symbols=FILE] [tape ...]");
+    process.exit(1);
+}
+
+/**************************************/
+async function main() {
+    /* Parses the command line, runs the emulator, and writes the output */
+    let args = null;
+
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                "compute":      {type: "string", default: "go"},
+                "punch":        {type: "string", default: "off"},
+                "format":       {type: "string", default: "auto"},
+                "ppr":          {type: "boolean", default: false},
+                "type-in":      {type: "string"},
+                "time":         {type: "string", default: "60"},
+                "fast":         {type: "boolean", default: false},
+                "typewriter":   {type: "string"},
+                "punch-out":    {type: "string"},
+                "trace":        {type: "boolean", default: false},
+                "restore-state": {type: "string"},
+                "save-state":   {type: "string"},
+                "record":       {type: "string"},
+                "symbols":      {type: "string"}
+            }
+        });
+    } catch (e) {
+        usage(e.message);
+    }
+
+    const opt = args.values;
+    const computeSwitch = computeSettings[opt.compute];
+    const punchSwitch = punchSettings[opt.punch];
+    const timeLimit = parseFloat(opt.time);
+
+    if (computeSwitch === undefined) {
+        usage(`invalid --compute setting "${opt.compute}"`);
+    } else if (punchSwitch === undefined) {
+        usage(`invalid --punch setting "${opt.punch}"`);
+    } else if (!["auto", "pti", "pt", "ptr"].includes(opt.format)) {
+        usage(`invalid --format "${opt.format}"`);
+    } else if (!(timeLimit > 0)) {
+        usage(`invalid --time "${opt.time}"`);
+    }
+
+    Util.setUnrestrictedSpeed(opt.fast);
+    const g15 = new G15Headless();
+    const reader = g15.devices.paperTapeReader;
+    let snapshot = null;
+
+    g15.processor.tracing = opt.trace;
+    g15.processor.traceRecorder.recording = (opt.record !== undefined);
+    if (opt.ppr || args.positionals.length == 0) {
+        reader.preload();
+    }
+
+    try {
+        for (const fileName of args.positionals) {
+            const format = TapeCodec.imageFormat(fileName, opt.format);
+            if (format == ".pti") {
+                reader.mount(fs.readFileSync(fileName, "utf8"), format);
+            } else {
+                reader.mount(new Uint8Array(fs.readFileSync(fileName)), format);
+            }
+        }
+
+        if (opt["type-in"] !== undefined) {
+            g15.devices.typewriter.setInput(fs.readFileSync(opt["type-in"], "utf8"));
+        }
+
+        if (opt.symbols !== undefined) {
+            g15.processor.symbols.loadFile(opt.symbols, fs.readFileSync(opt.symbols, "utf8"));
+        }
+
+        if (opt["restore-state"] !== undefined) {
+            snapshot = JSON.parse(fs.readFileSync(opt["restore-state"], "utf8"));
+        }
+    } catch (e) {
+        usage(e.message);
+    }
+
+    let finished = false;
+    try {
+        finished = await g15.run(timeLimit, computeSwitch, punchSwitch, snapshot);
+    } catch (e) {
+        usage(e.message);
+    }
+
+    if (opt["save-state"] !== undefined) {
+        await g15.halt();
+        fs.writeFileSync(opt["save-state"], JSON.stringify(g15.processor.saveSnapshot()));
+    }
+
+    g15.shutDown();
+
+    // Write the output.
+    const paper = g15.devices.typewriter.paper;
+    if (opt.typewriter === undefined) {
+        process.stdout.write(paper);
+    } else {
+        fs.writeFileSync(opt.typewriter, paper);
+    }
+
+    if (opt["punch-out"] !== undefined) {
+        fs.writeFileSync(opt["punch-out"],
+                g15.devices.paperTapePunch.getImage(TapeCodec.imageFormat(opt["punch-out"])));
+    }
+
+    if (opt.record !== undefined) {
+        const entries = g15.processor.traceRecorder.getEntries();
+        fs.writeFileSync(opt.record, path.extname(opt.record).toLowerCase() == ".json" ?
+                TraceRecorder.toJSON(entries) : TraceRecorder.toCSV(entries, g15.processor.symbols));
+    }
+
+    if (!finished) {
+        console.error(`g15run: time limit of ${timeLimit} seconds expired`);
+    }
+
+    process.exit(finished ? 0 : 2);
+}
+
+main();
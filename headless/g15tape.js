@@ -0,0 +1,126 @@
+/***********************************************************************
+* retro-g15/headless g15tape.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Command-line paper tape image converter under Node.js:
+*
+*   node headless/g15tape.js [options] input [output]
+*
+* Converts a paper tape image between the .pti, .pt, and .ptr formats
+* (see webUI/PaperTapeReader.js) using emulator/TapeCodec.js, the same
+* codec the emulator's reader and punch use.
+*
+* Options:
+*   --from=auto|pti|pt|ptr  format of the input image (default auto: from
+*                           the file name extension, .pti if not .pt or
+*                           .ptr)
+*   --to=auto|pti|pt|ptr    format of the output image (default auto: from
+*                           the output file name extension)
+*   --blocks                list the blocks of the image as SLOW IN would
+*                           read them into line 19
+*
+* Either an output file or --blocks must be given. Exit status is 0 if
+* the conversion succeeded and 1 otherwise.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version.
+***********************************************************************/
+
+import * as fs from "node:fs";
+import {parseArgs} from "node:util";
+
+import * as Util from "../emulator/Util.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+
+const formatNames = ["auto", "pti", "pt", "ptr"];
+
+
+/**************************************/
+function usage(msg) {
+    /* Reports a command-line error and exits */
+
+    console.error(`g15tape: ${msg}`);
+    console.error("usage: node headless/g15tape.js [--from=auto|pti|pt|ptr] [--to=auto|pti|pt|ptr]\n" +
+                  "        [--blocks] input [output]");
+    process.exit(1);
+}
+
+/**************************************/
+function listBlocks(blocks) {
+    /* Returns the text of a listing of the blocks of a tape image, with the
+    words each block loads into line 19, four to a line */
+    let text = "";
+
+    for (let x=0; x<blocks.length; ++x) {
+        const block = blocks[x];
+        text += `Block ${x+1}: frames ${block.start}-${block.end-1}, ${block.length} words` +
+                (block.stopped ? "" : ", no stop code") + "\n";
+        for (let loc=0; loc<block.length; loc+=Util.fastLineSize) {
+            let line = `  ${Util.lineHex[loc]} `;
+            for (let w=loc; w<loc+Util.fastLineSize; ++w) {
+                line += ` ${Util.g15SignedHex(block.words[w])}`;
+            }
+
+            text += line.trimEnd() + "\n";
+        }
+    }
+
+    return text;
+}
+
+/**************************************/
+function main() {
+    /* Parses the command line, reads and converts the image, and writes the
+    output */
+    let args = null;
+
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                "from":         {type: "string", default: "auto"},
+                "to":           {type: "string", default: "auto"},
+                "blocks":       {type: "boolean", default: false}
+            }
+        });
+    } catch (e) {
+        usage(e.message);
+    }
+
+    const opt = args.values;
+    if (!formatNames.includes(opt.from)) {
+        usage(`invalid --from format: ${opt.from}`);
+    } else if (!formatNames.includes(opt.to)) {
+        usage(`invalid --to format: ${opt.to}`);
+    } else if (args.positionals.length < 1 || args.positionals.length > 2) {
+        usage("an input file and an optional output file are required");
+    } else if (args.positionals.length < 2 && !opt.blocks) {
+        usage("an output file or --blocks is required");
+    }
+
+    const [inputName, outputName] = args.positionals;
+    const fromFormat = TapeCodec.imageFormat(inputName, opt.from);
+    let frames = null;
+
+    try {
+        frames = TapeCodec.decode(fromFormat == ".pti" ?
+                fs.readFileSync(inputName, "utf8") : fs.readFileSync(inputName), fromFormat);
+        if (opt.blocks) {
+            process.stdout.write(listBlocks(TapeCodec.readBlocks(frames)));
+        }
+
+        if (outputName !== undefined) {
+            fs.writeFileSync(outputName, TapeCodec.encode(frames, TapeCodec.imageFormat(outputName, opt.to)));
+        }
+    } catch (e) {
+        usage(e.message);
+    }
+
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,341 @@
+/***********************************************************************
+* retro-g15/webUI CardPunch.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 CA-2 Card Punch.
+*
+* Defines the card punch side of the CA-2 card adapter. Each D=31, S=11
+* command punches the contents of line 19 under control of the format in
+* line 2, using the same Slow-Out logic as the paper tape punch. Each
+* output code is punched in the next column of the card, using the same
+* characters as the card reader accepts, so a deck punched by the G-15
+* can be read back by the CA-2 reader. Reload codes are punched as "/";
+* the Stop code that ends the output is punched as "S" and ejects the card
+* to the stacker. If more than 80 codes are output, the card is ejected
+* when it is full and punching continues on the next card. Since the
+* reader treats each card as a separate block, programs should limit the
+* output of one command to 80 characters.
+*
+* The stacker holds the cards that have been punched. Its contents can be
+* saved in either of the deck formats accepted by CardReader.js: text
+* (.cdt), one card per line, or column binary (.cbn). In the binary
+* format, carriage-return is punched as "K", since "C" is the Hollerith
+* code for the digit w. See IOCodes.cardHollerith.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from CardReader.js and PaperTapePunch.js.
+*   Use Util.btoaUint8() to encode saved binary images.
+***********************************************************************/
+
+export {CardPunch};
+
+import * as Util from "../emulator/Util.js";
+import * as IOCodes from "../emulator/IOCodes.js";
+import {openPopup} from "./PopupUtil.js";
+
+class CardPunch {
+
+    // Static properties
+
+    static cardColumns = 80;            // columns per card
+    static stackerMax = 5;              // cards shown in the stacker view
+    static windowHeight = 168;          // window innerHeight, pixels
+    static windowWidth = 640;           // window innerWidth, pixels
+    static cardCodes = [                // text deck characters for I/O codes
+        " ", "-", "C", "T", "S", "/", ".", "H", " ", "-", "C", "T", "S", "/", ".", "H",
+        "0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "u", "v", "w", "x", "y", "z"];
+
+    // Public Instance Properties
+
+    doc = null;                         // window document object
+    window = null;                      // window object
+
+    busy = false;                       // an I/O is in progress
+    canceled = false;                   // current I/O canceled
+    card = "";                          // columns punched so far in the current card
+    stacker = [];                       // cards that have been punched (strings of column characters)
+
+
+    constructor(context) {
+        /* Initializes the card punch and opens its window. "context"
+        is an object passing other objects and callback functions from the
+        global script:
+            config is the SystemConfig object
+            processor is the Processor object
+        */
+
+        this.context = context;
+        this.config = context.config;
+        this.processor = context.processor;
+
+        this.boundControlClick = this.controlClick.bind(this);
+
+        // Create the CardPunch window
+        let geometry = this.config.formatWindowGeometry("CardPunch");
+        if (geometry.length) {
+            [this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop] =
+                    this.config.getWindowGeometry("CardPunch");
+        } else {
+            this.innerWidth  = CardPunch.windowWidth;
+            this.innerHeight = CardPunch.windowHeight;
+            this.windowLeft =  screen.availWidth - CardPunch.windowWidth - 8;
+            this.windowTop =   screen.availHeight - CardPunch.windowHeight - 180;
+            geometry = `,left=${this.windowLeft},top=${this.windowTop}` +
+                       `,innerWidth=${this.innerWidth},innerHeight=${this.innerHeight}`;
+        }
+
+        openPopup(window, "../webUI/CardPunch.html", "retro-g15.CardPunch",
+                "location=no,scrollbars=no,resizable" + geometry,
+                this, this.cardPunchOnLoad);
+    }
+
+    /**************************************/
+    $$(id) {
+        /* Returns a DOM element from its id property. Must not be called until
+        cardPunchOnLoad is called */
+
+        return this.doc.getElementById(id);
+    }
+
+    /**************************************/
+    cardPunchOnLoad(ev) {
+        /* Initializes the CardPunch window and user interface */
+
+        this.doc = ev.target;           // now we can use this.$$()
+        this.doc.title = "retro-g15 CA-2 Card Punch";
+        this.window = this.doc.defaultView;
+
+        this.window.addEventListener("beforeunload", this.beforeUnload);
+        this.$$("CPControlsDiv").addEventListener("click", this.boundControlClick);
+
+        this.config.restoreWindowGeometry(this.window,
+                this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop);
+        this.makeBusy(this.busy);
+        this.updateStatus();
+    }
+
+    /**************************************/
+    beforeUnload(ev) {
+        /* Handles the beforeunload event to warn the user that closing the
+        window is not a good idea */
+        const msg = "Closing this window will make the device unusable.\n" +
+                    "Suggest you stay on the page and minimize this window instead";
+
+        ev.preventDefault();
+        ev.returnValue = msg;
+        return msg;
+    }
+
+    /**************************************/
+    updateStatus() {
+        /* Updates the stacker annunciators in the window, if it is open */
+
+        if (this.doc) {
+            const view = this.stacker.slice(-CardPunch.stackerMax);
+
+            this.$$("CPStackerCount").textContent = this.stacker.length;
+            this.$$("CPStackerView").textContent = view.join("\n");
+            this.$$("CPPunchCard").textContent = this.card;
+        }
+    }
+
+    /**************************************/
+    makeBusy(busy) {
+        /* Makes the unit busy (I/O in progress) or not busy (idle) */
+
+        this.busy = busy;
+        if (this.doc) {
+            if (busy) {
+                this.$$("CPCaption").classList.add("active");
+            } else {
+                this.$$("CPCaption").classList.remove("active");
+            }
+        }
+    }
+
+    /**************************************/
+    clearStacker() {
+        /* Empties the output stacker */
+
+        this.stacker = [];
+        this.updateStatus();
+    }
+
+    /**************************************/
+    controlClick(ev) {
+        /* Handles click events for the controls in the window */
+
+        switch (ev.target.id) {
+        case "CPClearBtn":
+        case "CPClearCaption":
+            if (!this.busy) {
+                this.clearStacker();
+            }
+            break;
+        case "CPSaveTextBtn":
+            if (!this.busy) {
+                this.saveAsText();
+            }
+            break;
+        case "CPSaveBinaryBtn":
+            if (!this.busy) {
+                this.saveAsBinary();
+            }
+            break;
+        case "CPExtractBtn":
+            if (!this.busy) {
+                this.extractDeck();
+            }
+            break;
+        }
+    }
+
+
+    /**************************************/
+    deckText() {
+        /* Returns the contents of the stacker as text, one card per line */
+        let text = "";
+
+        for (const card of this.stacker) {
+            text += card.trimEnd() + "\n";
+        }
+
+        return text;
+    }
+
+    /**************************************/
+    extractDeck() {
+        /* Copies the contents of the stacker, opens a new temporary window,
+        and pastes that text into the window so it can be copied or saved by
+        the user */
+
+        openPopup(this.window, "./FramePaper.html", "",
+                "scrollbars,resizable,width=700,height=500",
+                this, (ev) => {
+            const doc = ev.target;
+            const win = doc.defaultView;
+
+            doc.title = "retro-g15 Card Punch Output";
+            win.moveTo((screen.availWidth-win.outerWidth)/2, (screen.availHeight-win.outerHeight)/2);
+            doc.getElementById("Paper").textContent = this.deckText();
+        });
+    }
+
+    /**************************************/
+    saveAsText() {
+        /* Converts the stacker to a text deck, builds a DataURL, and
+        constructs a link to cause the URL to be "downloaded" to the local
+        device */
+
+        const url = `data:text/plain,${encodeURIComponent(this.deckText())}`;
+        const hiddenLink = this.doc.createElement("a");
+        hiddenLink.setAttribute("download", "retro-g15-Card-Deck.cdt");
+        hiddenLink.setAttribute("href", url);
+        hiddenLink.click();
+    }
+
+    /**************************************/
+    saveAsBinary() {
+        /* Converts the stacker to a column-binary deck, builds a DataURL, and
+        constructs a link to cause the URL to be "downloaded" to the local
+        device */
+        const cardBytes = CardPunch.cardColumns*2;
+        const len = this.stacker.length*cardBytes;
+        const image = new Uint8Array(len);
+
+        for (let x=0; x<this.stacker.length; ++x) {
+            const card = this.stacker[x];
+            for (let col=0; col<card.length; ++col) {
+                const char = card[col];
+                const punch = IOCodes.cardHollerith[char == "C" ? "K" : char] ?? 0;
+                image[x*cardBytes + col*2] = (punch >> 6) & 0x3F;
+                image[x*cardBytes + col*2 + 1] = punch & 0x3F;
+            }
+        }
+
+        const url = "data:application/octet-stream;base64," +
+                    Util.btoaUint8(image, 0, len);
+        const hiddenLink = this.doc.createElement("a");
+        hiddenLink.setAttribute("download", "retro-g15-Card-Deck.cbn");
+        hiddenLink.setAttribute("href", url);
+        hiddenLink.click();
+    }
+
+    /**************************************/
+    cancel() {
+        /* Cancels the I/O currently in process */
+
+        if (this.busy) {
+            this.canceled = true;
+        }
+    }
+
+    /**************************************/
+    ejectCard() {
+        /* Moves the card being punched to the stacker */
+
+        this.stacker.push(this.card);
+        this.card = "";
+    }
+
+    /**************************************/
+    startPunch() {
+        /* Prepares to punch a card. Returns false, as the punch is always
+        ready */
+
+        this.canceled = false;
+        this.card = "";
+        this.makeBusy(true);
+        return false;
+    }
+
+    /**************************************/
+    write(code) {
+        /* Punches one code in the next column of the card. The timing is
+        controlled by the Processor, which sends codes at a rate of one every
+        two drum cycles. If the card is full, it is ejected and the code is
+        punched in the first column of the next card */
+
+        if (this.card.length >= CardPunch.cardColumns) {
+            this.ejectCard();
+        }
+
+        this.card += CardPunch.cardCodes[code];
+        if (this.doc) {
+            this.$$("CPPunchCard").textContent = this.card;
+        }
+    }
+
+    /**************************************/
+    finishPunch() {
+        /* Terminates punching, ejecting the card to the stacker. If nothing
+        was punched, no card is ejected */
+
+        if (this.card.length > 0) {
+            this.ejectCard();
+        }
+
+        this.canceled = false;
+        this.makeBusy(false);
+        this.updateStatus();
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the device. If the window open failed and onLoad didn't
+        run, do nothing because this.window, etc., didn't get initialized */
+
+        if (this.window) {
+            this.$$("CPControlsDiv").removeEventListener("click", this.boundControlClick);
+
+            this.config.putWindowGeometry(this.window, "CardPunch");
+            this.window.removeEventListener("beforeunload", this.beforeUnload);
+            this.window.close();
+        }
+    }
+
+} // class CardPunch
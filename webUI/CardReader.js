@@ -0,0 +1,374 @@
+/***********************************************************************
+* retro-g15/webUI CardReader.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 CA-2 Card Reader.
+*
+* Defines the card reader side of the CA-2 card adapter. Each D=31, S=14
+* command reads one card. The columns of the card are converted to G-15
+* 5-bit I/O codes and sent to the Processor through the same Slow-In
+* reload/stop logic used by the paper tape reader. A card ends with an
+* implied Stop code after column 80, so a card that does not contain a
+* Stop code is read as one complete block. Any columns following a Stop
+* code on the card are ignored.
+*
+* Decks are loaded into the input hopper from files in either of two
+* formats. Loading a deck places it behind any cards already in the hopper:
+*
+*   Text (.cdt, .txt, or anything other than .cbn): each line of the file
+*   is one card. Columns are interpreted the same as characters in a paper
+*   tape image (.pti) file, so "0"-"9" and "u"-"z" are digits, "-" is
+*   minus, "/" is reload, "S" is stop, "T" is tab, "C" is carriage return,
+*   "H" is wait, and "." is period. Blanks and all other characters are
+*   ignored. Columns past 80 are discarded.
+*
+*   Binary (.cbn): column-binary card images, 160 bytes per card. Each
+*   column is two bytes, the first holding rows 12, 11, 0, 1, 2, 3 and the
+*   second holding rows 4-9 in their low-order six bits, high row first.
+*   Punches are decoded using the IBM 026/029 equivalents in
+*   IOCodes.cardHollerith; unrecognized punch combinations are ignored.
+*
+* Cards that have been read are moved to the output stacker, which can be
+* emptied from the window.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from MagTape.js.
+***********************************************************************/
+
+export {CardReader};
+
+import * as Util from "../emulator/Util.js";
+import * as IOCodes from "../emulator/IOCodes.js";
+import {openPopup} from "./PopupUtil.js";
+
+class CardReader {
+
+    // Static properties
+
+    static cardColumns = 80;            // columns per card
+    static cardPeriod = 60000/100;      // ms per card at 100 cards/minute
+    static columnPeriod = 4;            // ms per column while the card passes the read station
+    static binaryCardBytes = 160;       // bytes per card in a .cbn image
+    static windowHeight = 140;          // window innerHeight, pixels
+    static windowWidth = 640;           // window innerWidth, pixels
+
+    static newLineRex = /\r\n?|\n/g;
+
+    // Public Instance Properties
+
+    doc = null;                         // window document object
+    window = null;                      // window object
+
+    busy = false;                       // an I/O is in progress
+    canceled = false;                   // current I/O canceled
+    hopper = [];                        // cards waiting to be read (strings of column characters)
+    lastCard = "";                      // the card most recently read
+    nextCardStamp = 0;                  // earliest time the next card can be fed
+    stackerCount = 0;                   // cards read into the output stacker
+    timer = new Util.Timer(true);       // delay management timer
+
+
+    constructor(context) {
+        /* Initializes the card reader and opens its window. "context"
+        is an object passing other objects and callback functions from the
+        global script:
+            config is the SystemConfig object
+            processor is the Processor object
+        */
+
+        this.context = context;
+        this.config = context.config;
+        this.processor = context.processor;
+
+        this.boundFileSelectorChange = this.fileSelectorChange.bind(this);
+        this.boundControlClick = this.controlClick.bind(this);
+
+        // Create the CardReader window
+        let geometry = this.config.formatWindowGeometry("CardReader");
+        if (geometry.length) {
+            [this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop] =
+                    this.config.getWindowGeometry("CardReader");
+        } else {
+            this.innerWidth  = CardReader.windowWidth;
+            this.innerHeight = CardReader.windowHeight;
+            this.windowLeft =  screen.availWidth - CardReader.windowWidth - 8;
+            this.windowTop =   screen.availHeight - CardReader.windowHeight - 8;
+            geometry = `,left=${this.windowLeft},top=${this.windowTop}` +
+                       `,innerWidth=${this.innerWidth},innerHeight=${this.innerHeight}`;
+        }
+
+        openPopup(window, "../webUI/CardReader.html", "retro-g15.CardReader",
+                "location=no,scrollbars=no,resizable" + geometry,
+                this, this.cardReaderOnLoad);
+    }
+
+    /**************************************/
+    $$(id) {
+        /* Returns a DOM element from its id property. Must not be called until
+        cardReaderOnLoad is called */
+
+        return this.doc.getElementById(id);
+    }
+
+    /**************************************/
+    cardReaderOnLoad(ev) {
+        /* Initializes the CardReader window and user interface */
+
+        this.doc = ev.target;           // now we can use this.$$()
+        this.doc.title = "retro-g15 CA-2 Card Reader";
+        this.window = this.doc.defaultView;
+
+        this.window.addEventListener("beforeunload", this.beforeUnload);
+        this.$$("CRFileSelector").addEventListener("change", this.boundFileSelectorChange);
+        this.$$("CRControlsDiv").addEventListener("click", this.boundControlClick);
+
+        this.config.restoreWindowGeometry(this.window,
+                this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop);
+        this.makeBusy(this.busy);
+        this.updateStatus();
+    }
+
+    /**************************************/
+    beforeUnload(ev) {
+        /* Handles the beforeunload event to warn the user that closing the
+        window is not a good idea */
+        const msg = "Closing this window will make the device unusable.\n" +
+                    "Suggest you stay on the page and minimize this window instead";
+
+        ev.preventDefault();
+        ev.returnValue = msg;
+        return msg;
+    }
+
+    /**************************************/
+    updateStatus() {
+        /* Updates the hopper and stacker annunciators in the window, if it is
+        open */
+
+        if (this.doc) {
+            this.$$("CRHopperCount").textContent = this.hopper.length;
+            this.$$("CRStackerCount").textContent = this.stackerCount;
+            this.$$("CRLastCard").textContent = this.lastCard.padEnd(CardReader.cardColumns);
+            this.$$("CRNextCard").textContent = (this.hopper.length ? this.hopper[0] : "(hopper empty)");
+            if (this.hopper.length) {
+                this.$$("CRReadyLamp").classList.add("greenLit");
+            } else {
+                this.$$("CRReadyLamp").classList.remove("greenLit");
+            }
+        }
+    }
+
+    /**************************************/
+    makeBusy(busy) {
+        /* Makes the unit busy (I/O in progress) or not busy (idle) */
+
+        this.busy = busy;
+        if (this.doc) {
+            if (busy) {
+                this.$$("CRCaption").classList.add("active");
+            } else {
+                this.$$("CRCaption").classList.remove("active");
+            }
+        }
+    }
+
+    /**************************************/
+    emptyHopper() {
+        /* Removes all cards from the input hopper */
+
+        this.hopper = [];
+        if (this.doc) {
+            this.$$("CRFileSelector").value = null;     // reset the control so the same file can be reloaded
+            this.$$("CRFormatSelect").selectedIndex = 0;// default to Auto
+        }
+
+        this.updateStatus();
+    }
+
+    /**************************************/
+    controlClick(ev) {
+        /* Handles click events for the controls in the window */
+
+        switch (ev.target.id) {
+        case "CRHopperBtn":
+        case "CRHopperCaption":
+            if (!this.busy) {
+                this.emptyHopper();
+            }
+            break;
+        case "CRStackerBtn":
+        case "CRStackerCaption":
+            this.stackerCount = 0;
+            this.lastCard = "";
+            this.updateStatus();
+            break;
+        }
+    }
+
+    /**************************************/
+    loadAsText(image) {
+        /* Loads a text deck image into the hopper, one card per line. A final
+        empty line resulting from a trailing new-line is not treated as a card */
+        const cards = image.split(CardReader.newLineRex);
+
+        if (cards.length && cards[cards.length-1].length == 0) {
+            cards.pop();
+        }
+
+        for (const card of cards) {
+            this.hopper.push(card.substring(0, CardReader.cardColumns));
+        }
+    }
+
+    /**************************************/
+    loadAsBinary(arrayBuffer) {
+        /* Loads a column-binary (.cbn) deck image into the hopper. Each card is
+        decoded to its column characters using IOCodes.cardHollerith. Any
+        partial card at the end of the image is discarded */
+        const image = new Uint8Array(arrayBuffer);
+        const punchChars = new Map();
+
+        for (const char in IOCodes.cardHollerith) {
+            punchChars.set(IOCodes.cardHollerith[char], char);
+        }
+
+        for (let x=0; x+CardReader.binaryCardBytes<=image.length; x+=CardReader.binaryCardBytes) {
+            let card = "";
+            for (let col=0; col<CardReader.cardColumns; ++col) {
+                const punch = ((image[x+col*2] & 0x3F) << 6) | (image[x+col*2+1] & 0x3F);
+                card += punchChars.get(punch) ?? "?";   // unknown punches are ignored on input
+            }
+
+            this.hopper.push(card.trimEnd());
+        }
+    }
+
+    /**************************************/
+    async fileSelectorChange(ev) {
+        /* Handle the <input type=file> onchange event when a file is selected.
+        Loads the deck behind any cards already in the hopper */
+        const file = ev.target.files[0];
+        const formatSelect = this.$$("CRFormatSelect");
+        const formatIndex = formatSelect.selectedIndex;
+        let readAs = "Auto";
+
+        if (formatIndex > 0) {
+            readAs = formatSelect.options[formatIndex].value;
+        }
+
+        if (file) {
+            if (readAs == "Auto") {
+                readAs = (file.name.toLowerCase().endsWith(".cbn") ? ".cbn" : ".cdt");
+            }
+
+            switch (readAs) {
+            case ".cbn":
+                this.loadAsBinary(await file.arrayBuffer());
+                break;
+            default:                    // .cdt and anything else
+                this.loadAsText(await file.text());
+                break;
+            }
+
+            this.$$("CRFileSelector").value = null;     // reset the control so the same file can be reloaded
+            this.updateStatus();
+        }
+    }
+
+    /**************************************/
+    cancel() {
+        /* Cancels the I/O currently in process */
+
+        if (this.busy) {
+            this.canceled = true;
+        }
+    }
+
+    /**************************************/
+    async read() {
+        /* Reads the next card from the hopper, sending the codes for its
+        columns to the Processor's I/O subsystem until a Stop code is
+        encountered or the end of the card is reached, in which case a Stop
+        code is implied. Returns true if the hopper is empty, leaving the I/O
+        hanging */
+        let code = 0;                   // current G-15 I/O code
+        let nextColumnStamp = performance.now();        // time of next column
+        let precessionComplete = Promise.resolve();     // signals drum is ready for next code
+        let stopped = false;            // Stop code has been sent
+
+        if (this.hopper.length == 0) {
+            return true;                // just quit and leave the I/O hanging
+        }
+
+        this.canceled = false;
+        this.makeBusy(true);
+        const card = this.hopper.shift();
+
+        // Simulate the card feed cycle up to the read station.
+        nextColumnStamp = Math.max(nextColumnStamp, this.nextCardStamp);
+        this.nextCardStamp = nextColumnStamp + CardReader.cardPeriod*Util.timingFactor;
+        for (let col=0; col<=card.length; ++col) {
+            if (col < card.length) {
+                code = IOCodes.ioCodeFilter[card.charCodeAt(col) & 0x7F];
+                if (code == 0xFF) {
+                    continue;           // blank or ignored column
+                }
+            } else {
+                code = IOCodes.ioCodeStop;      // implied Stop after the last column
+            }
+
+            await this.timer.delayUntil(nextColumnStamp);
+            nextColumnStamp += CardReader.columnPeriod*Util.timingFactor;
+
+            // Wait for any line 23 precession to complete.
+            if (this.canceled) {
+                await precessionComplete;
+                break;
+            } else if (await precessionComplete) {
+                stopped = true;
+                break;                  // some error detected by Processor -- quit
+            } else {
+                // Send the column code to the Processor.
+                precessionComplete = this.processor.receiveInputCode(code);
+                if ((code & 0b10111) == IOCodes.ioCodeStop) {
+                    await precessionComplete;
+                    stopped = true;
+                    break;              // end of block -- quit
+                }
+            }
+        }
+
+        if (!stopped) {
+            await precessionComplete;
+        }
+
+        // The card continues on to the stacker.
+        this.lastCard = card;
+        ++this.stackerCount;
+        this.canceled = false;
+        this.makeBusy(false);
+        this.updateStatus();
+        return false;
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the device. If the window open failed and onLoad didn't
+        run, do nothing because this.window, etc., didn't get initialized */
+
+        this.timer.clear();
+        if (this.window) {
+            this.$$("CRFileSelector").removeEventListener("change", this.boundFileSelectorChange);
+            this.$$("CRControlsDiv").removeEventListener("click", this.boundControlClick);
+
+            this.config.putWindowGeometry(this.window, "CardReader");
+            this.window.removeEventListener("beforeunload", this.beforeUnload);
+            this.window.close();
+        }
+    }
+
+} // class CardReader
@@ -181,7 +181,7 @@ class ControlPanel {
         this.regIO.updateLampGlow(p.OC.glow);
 
         this.lampOverflow.set(p.FO.glow);
-        //this.lampGODA.set(??.glow);   // GO-DA lamp not currently implemented
+        this.lampGODA.set(p.da ? p.da.GO.glow : 0);
         this.lampHalt.set(p.CH.glow);
         this.lampDBPR.set(p.C1.glow);
         this.lampPSign.set(p.IP.glow);
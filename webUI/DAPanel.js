@@ -0,0 +1,223 @@
+/***********************************************************************
+* retro-g15/webUI DAPanel.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 DA-1 Digital Differential Analyzer panel.
+*
+* Displays the state of the DA-1 and its active integrators, and allows
+* the DA-1 to be started, stopped, and reset manually. The integrators
+* themselves are kept on the drum and set up by the program; see
+* emulator/DifferentialAnalyzer.js for their layout, which is the
+* emulator's own rather than the DA-1's documented setup format.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from MagTape.js.
+***********************************************************************/
+
+export {DAPanel};
+
+import {DifferentialAnalyzer} from "../emulator/DifferentialAnalyzer.js";
+import {openPopup} from "./PopupUtil.js";
+
+class DAPanel {
+
+    // Static properties
+
+    static displayRefreshPeriod = 250;  // ms
+    static windowHeight = 400;          // window innerHeight, pixels
+    static windowWidth = 560;           // window innerWidth, pixels
+    static couplingNames = ["", "X", "Y", "PEN"];
+
+    // Public Instance Properties
+
+    doc = null;                         // window document object
+    window = null;                      // window object
+    intervalToken = 0;                  // panel refresh interval timer token
+
+
+    constructor(context) {
+        /* Initializes the DA-1 panel and opens its window. "context"
+        is an object passing other objects and callback functions from the
+        global script:
+            config is the SystemConfig object
+            processor is the Processor object
+        */
+
+        this.context = context;
+        this.config = context.config;
+        this.processor = context.processor;
+        this.da = context.processor.da;
+
+        this.boundControlClick = this.controlClick.bind(this);
+        this.boundUpdatePanel = this.updatePanel.bind(this);
+
+        // Create the DAPanel window
+        let geometry = this.config.formatWindowGeometry("DAPanel");
+        if (geometry.length) {
+            [this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop] =
+                    this.config.getWindowGeometry("DAPanel");
+        } else {
+            this.innerWidth  = DAPanel.windowWidth;
+            this.innerHeight = DAPanel.windowHeight;
+            this.windowLeft =  8;
+            this.windowTop =   screen.availHeight - DAPanel.windowHeight - 8;
+            geometry = `,left=${this.windowLeft},top=${this.windowTop}` +
+                       `,innerWidth=${this.innerWidth},innerHeight=${this.innerHeight}`;
+        }
+
+        openPopup(window, "../webUI/DAPanel.html", "retro-g15.DAPanel",
+                "location=no,scrollbars=no,resizable" + geometry,
+                this, this.daPanelOnLoad);
+    }
+
+    /**************************************/
+    $$(id) {
+        /* Returns a DOM element from its id property. Must not be called until
+        daPanelOnLoad is called */
+
+        return this.doc.getElementById(id);
+    }
+
+    /**************************************/
+    daPanelOnLoad(ev) {
+        /* Initializes the DAPanel window and user interface */
+
+        this.doc = ev.target;           // now we can use this.$$()
+        this.doc.title = "retro-g15 DA-1 Differential Analyzer";
+        this.window = this.doc.defaultView;
+
+        this.window.addEventListener("beforeunload", this.beforeUnload);
+        this.$$("DAControlsDiv").addEventListener("click", this.boundControlClick);
+
+        this.config.restoreWindowGeometry(this.window,
+                this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop);
+
+        // Start the panel...
+        this.updatePanel();
+        if (!this.intervalToken) {
+            this.intervalToken = this.window.setInterval(
+                    this.boundUpdatePanel, DAPanel.displayRefreshPeriod);
+        }
+    }
+
+    /**************************************/
+    beforeUnload(ev) {
+        /* Handles the beforeunload event to warn the user that closing the
+        window is not a good idea */
+        const msg = "Closing this window will make the device unusable.\n" +
+                    "Suggest you stay on the page and minimize this window instead";
+
+        ev.preventDefault();
+        ev.returnValue = msg;
+        return msg;
+    }
+
+    /**************************************/
+    formatSource(code, shift) {
+        /* Formats the source field of an integrator code starting at bit
+        "shift" for display */
+        const source = (code >> shift) & 0x7F;
+        const sign = ((code >> (shift+7)) & 1 ? "-" : "");
+
+        if (source < DifferentialAnalyzer.integrators) {
+            return sign + source.toString();
+        } else if (source == DifferentialAnalyzer.independentVar) {
+            return sign + "t";
+        } else {
+            return "";
+        }
+    }
+
+    /**************************************/
+    updatePanel() {
+        /* Updates the DA-1 status and the table of active integrators */
+        const da = this.da;
+        const codes = this.processor.drum.line[DifferentialAnalyzer.codeLine];
+        const ys = this.processor.drum.line[DifferentialAnalyzer.yLine];
+        const rs = this.processor.drum.line[DifferentialAnalyzer.rLine];
+        let text = "";
+
+        if (!this.doc) {
+            return;
+        }
+
+        if (da.GO.value) {
+            this.$$("DAGoLamp").classList.add("greenLit");
+        } else {
+            this.$$("DAGoLamp").classList.remove("greenLit");
+        }
+
+        if (da.overflow) {
+            this.$$("DAOverflowLamp").classList.add("redLit");
+        } else {
+            this.$$("DAOverflowLamp").classList.remove("redLit");
+        }
+
+        this.$$("DAIterations").textContent = da.iterations;
+        this.$$("DALength").textContent = da.length;
+
+        for (let x=0; x<DifferentialAnalyzer.integrators; ++x) {
+            const code = codes[x];
+            if (code) {
+                text += `${x.toString().padStart(3)}  ` +
+                        `${this.formatSource(code, 1).padStart(4)}  ` +
+                        `${this.formatSource(code, 9).padStart(4)} ` +
+                        `${this.formatSource(code, 17).padStart(4)}  ` +
+                        `${DifferentialAnalyzer.toValue(ys[x]).toString().padStart(10)}  ` +
+                        `${DifferentialAnalyzer.toValue(rs[x]).toString().padStart(10)}  ` +
+                        `${da.outputs[x].toString().padStart(2)}  ` +
+                        `${DAPanel.couplingNames[(code >> 25) & 0b11]}\n`;
+            }
+        }
+
+        this.$$("DAIntegrators").textContent = text || "(no active integrators)";
+    }
+
+    /**************************************/
+    controlClick(ev) {
+        /* Handles click events for the controls in the window */
+
+        switch (ev.target.id) {
+        case "DAStartBtn":
+            this.da.start();
+            break;
+        case "DAStopBtn":
+            this.da.stop();
+            break;
+        case "DAResetBtn":
+            if (!this.da.GO.value) {
+                this.processor.drum.line[DifferentialAnalyzer.rLine].fill(0);
+                this.da.outputs.fill(0);
+                this.da.iterations = 0;
+                this.da.overflow = false;
+            }
+            break;
+        }
+
+        this.updatePanel();
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the panel. If the window open failed and onLoad didn't
+        run, do nothing because this.window, etc., didn't get initialized */
+
+        if (this.window) {
+            if (this.intervalToken) {
+                this.window.clearInterval(this.intervalToken);
+                this.intervalToken = 0;
+            }
+
+            this.$$("DAControlsDiv").removeEventListener("click", this.boundControlClick);
+
+            this.config.putWindowGeometry(this.window, "DAPanel");
+            this.window.removeEventListener("beforeunload", this.beforeUnload);
+            this.window.close();
+        }
+    }
+
+} // class DAPanel
@@ -9,21 +9,50 @@
 ************************************************************************
 * 2021-12-31  P.Kimpel
 *   Original version, extracted from ControlPanel.js.
+* 2026-10-19  P.Kimpel
+*   Add saving and restoring of machine-state snapshots.
+*   Add data watchpoints and the execution breakpoint table.
+*   Add the Trace tab for the execution trace recorder.
+*   Add execution history controls and stepping backward.
+*   Add the Listing tab for whole-line disassembly.
+*   Add the Edit tab for editing drum words and registers.
+*   Add the Profile tab for the execution profiler.
+*   Add the Values tab for numeric interpretations of registers and words.
+*   Add the Formats tab for decoding I/O format words.
+*   Add loading of symbol tables and symbolic locations.
+*   Take the typewriter print characters from emulator/IOCodes.js.
 ***********************************************************************/
 
 export {DiagPanel};
 
 import * as Util from "../emulator/Util.js";
+import * as IOCodes from "../emulator/IOCodes.js";
 import {DiagRegister} from "./DiagRegister.js";
 import {DiagLamp} from "./DiagLamp.js";
 import {openPopup} from "./PopupUtil.js";
 import {Processor} from "../emulator/Processor.js";
+import {TraceRecorder} from "../emulator/TraceRecorder.js";
+import {Disassembler} from "../emulator/Disassembler.js";
 
 class DiagPanel {
 
     static displayRefreshPeriod = 50;   // ms
-    static windowHeight = 536;          // window innerHeight, pixels
+    static windowHeight = 644;          // window innerHeight, pixels
     static windowWidth =  740;          // window innerWidth, pixels
+    static traceViewMax = 500;          // maximum trace entries shown in the Trace tab
+    static profileTableMax = 20;        // commands shown in the Profile tab table
+    static profileCellWidth = 6;        // heatmap cell width, pixels
+    static profileCellHeight = 10;      // heatmap cell height, pixels
+    static profileLabelWidth = 20;      // heatmap line-number label width, pixels
+    static formatOutputNames = {        // names of the output commands that use a format
+        [IOCodes.ioCmdTypeAR]:      "TYPE AR",
+        [IOCodes.ioCmdType19]:      "TYPE 19",
+        [IOCodes.ioCmdPunch19]:     "PUNCH 19",
+        [IOCodes.ioCmdFastPunch]:   "FAST PUNCH 19",
+        [IOCodes.ioCmdCardPunch19]: "CARD PUNCH 19",
+        [IOCodes.ioCmdMTWrite]:     "MT WRITE"};
+    static editLineNames = {            // register names accepted as lines by the Edit tab
+        "MQ": 24, "ID": 25, "PN": 26, "AR": 28, "MZ": 32};
 
     /**************************************/
     constructor(context) {
@@ -41,6 +70,9 @@ class DiagPanel {
         this.bpSetLoc = null;           // drum location of BPSet word
         this.wordTimeOffset = 0;        // drum wordTime offset for display purposes
         this.runTimeOffset = 0;         // drum runTime offset for display purposes
+        this.activeTab = "Panel";       // name of the tab showing: Panel, Trace, Listing, Edit, Profile, Values, Formats
+        this.editLoc = null;            // drum location selected in the Edit tab
+        this.traceShownSeq = -1;        // trace recorder sequence number last shown
 
         this.boundUpdatePanel = this.updatePanel.bind(this);
         this.boundResetTiming = this.resetTiming.bind(this);
@@ -53,6 +85,10 @@ class DiagPanel {
             this.context.devices.sound.lines = this.$$("AudioLines").value.trim();
         };
         this.boundProcStep = context.processor.step.bind(this.context.processor);
+        this.boundProcBack = (ev) => {
+            this.context.processor.stepBack();
+        };
+        this.boundHistoryClick = this.historyClick.bind(this);
         this.boundProcBP = (ev) => {
             this.context.controlPanel.setComputeSwitch(2);
         };
@@ -62,6 +98,37 @@ class DiagPanel {
        this.boundProcStop = (ev) => {
             this.context.controlPanel.setComputeSwitch(0);
         };
+        this.boundSaveState = this.saveState.bind(this);
+        this.boundRestoreStateClick = (ev) => {
+            this.$$("StateFileSelector").value = null;      // allow the same file to be reselected
+            this.$$("StateFileSelector").click();
+        };
+        this.boundRestoreState = this.restoreState.bind(this);
+        this.boundWatchClick = this.watchClick.bind(this);
+        this.boundBreakClick = this.breakClick.bind(this);
+        this.boundTabClick = this.tabClick.bind(this);
+        this.boundTraceClick = this.traceClick.bind(this);
+        this.boundRefreshTrace = this.refreshTrace.bind(this);
+        this.boundRefreshListing = this.refreshListing.bind(this);
+        this.boundEditClick = this.editClick.bind(this);
+        this.boundEditChange = this.editChange.bind(this);
+        this.boundProfileClick = this.profileClick.bind(this);
+        this.boundProfileMouseMove = this.profileMouseMove.bind(this);
+        this.boundRefreshValues = this.refreshValues.bind(this);
+        this.boundLoadSymbols = this.loadSymbols.bind(this);
+        this.boundSymbolClick = (ev) => {
+            switch (ev.target.id) {
+            case "SymbolLoadBtn":
+                this.$$("SymbolFileSelector").value = null;     // allow the same file to be reselected
+                this.$$("SymbolFileSelector").click();
+                break;
+            case "SymbolClearBtn":
+                this.context.processor.symbols.clear();
+                this.updateSymbolCount();
+                this.refreshListing();
+                break;
+            }
+        };
 
         // Create the Diag Panel window
         this.doc = null;
@@ -116,6 +183,19 @@ class DiagPanel {
         case "LineNr":
         case "BPSetLine":
         case "BPSetWord":
+        case "WatchLine":
+        case "WatchWord":
+        case "WatchValue":
+        case "BreakLine":
+        case "BreakWord":
+        case "BreakCount":
+        case "TraceFilter":
+        case "ListingLine":
+        case "ListingEntries":
+        case "EditLine":
+        case "EditWord":
+        case "EditValue":
+        case "ValuesLine":
             setTimeout(() => {          // allow any click to be handled first
                 target.select();
                 ev.stopPropagation();
@@ -176,6 +256,41 @@ class DiagPanel {
 
     }
 
+    /**************************************/
+    symbolLoc(text) {
+        /* Returns the drum location {line, word} named by "text" if it is a
+        symbol, optionally followed by +n or -n, otherwise null */
+        const t = text.trim();
+
+        return (/^[a-z]/i.test(t) && isNaN(Util.parseLineLoc(t)) ?
+                this.context.processor.symbols.parseLoc(t) : null);
+    }
+
+    /**************************************/
+    async loadSymbols(ev) {
+        /* Handler for the change event of SymbolFileSelector. Loads the
+        symbols from the selected symbol files or assembler listings */
+        const symbols = this.context.processor.symbols;
+
+        for (const file of ev.target.files) {
+            try {
+                symbols.loadFile(file.name, await file.text());
+            } catch (e) {
+                this.window.alert(`${file.name}: ${e.message}`);
+            }
+        }
+
+        this.updateSymbolCount();
+        this.refreshListing();
+    }
+
+    /**************************************/
+    updateSymbolCount() {
+        /* Shows the number of symbols in the symbol table */
+
+        this.$$("SymbolCount").textContent = `${this.context.processor.symbols.size} symbols`;
+    }
+
     /**************************************/
     disassembleCommand(cmd) {
         /* Disassembles an instruction word, returning a string in a PPR-like format */
@@ -209,6 +324,12 @@ class DiagPanel {
                 const lineBox = this.$$("BPSetLine");
                 const wordBox = this.$$("BPSetWord");
                 const bpCheck = this.$$("BPSetCheck");
+                const sym = this.symbolLoc(wordBox.value);
+                if (sym) {
+                    lineBox.value = sym.line;
+                    wordBox.value = sym.word;
+                }
+
                 let lineText = lineBox.value.trim();
                 let wordText = wordBox.value.trim().toLowerCase();
                 if (lineText.length == 0 || wordText.length == 0) {
@@ -238,6 +359,642 @@ class DiagPanel {
         }
     }
 
+    /**************************************/
+    updateWatchList() {
+        /* Rebuilds the list of watchpoints from the Processor */
+        const list = this.$$("WatchList");
+        const watchpoints = this.context.processor.watchpoints;
+
+        while (list.options.length) {
+            list.remove(0);
+        }
+
+        if (!watchpoints.length) {
+            list.add(new Option("(no watchpoints)", ""));
+        } else {
+            for (let x=0; x<watchpoints.length; ++x) {
+                list.add(new Option(watchpoints[x].text, x));
+            }
+        }
+    }
+
+    /**************************************/
+    watchClick(ev) {
+        /* Handler for click events in WatchDiv. Adds and removes watchpoints */
+        const p = this.context.processor;
+
+        switch (ev.target.id) {
+        case "WatchAddBtn":
+            const register = this.$$("WatchType").value;
+            const cond = this.$$("WatchCond").value;
+            const spec = {};
+            if (register) {
+                spec.register = register;
+            } else {
+                const lineText = this.$$("WatchLine").value.trim();
+                const wordText = this.$$("WatchWord").value.trim().toLowerCase();
+                spec.line = parseInt(lineText, 10);
+                if (wordText.length == 2 && wordText.startsWith("u")) {
+                    spec.word = (parseInt(wordText.substring(1), 10) || 0) + 100;
+                } else {
+                    spec.word = parseInt(wordText, 10);
+                }
+
+                const sym = this.symbolLoc(wordText);
+                if (sym) {
+                    spec.line = sym.line;
+                    spec.word = sym.word;
+                }
+
+                spec.cond = cond;
+                if (cond != "any") {
+                    spec.value = Util.parseG15SignedHex(this.$$("WatchValue").value);
+                    if (isNaN(spec.value)) {
+                        this.$$("WatchValue").classList.add("error");
+                        return;
+                    }
+                }
+            }
+
+            try {
+                p.addWatchpoint(spec);
+                this.$$("WatchValue").classList.remove("error");
+            } catch (e) {
+                this.window.alert(e.message);
+            }
+            break;
+        case "WatchRemoveBtn":
+            const x = this.$$("WatchList").value;
+            if (x) {
+                p.removeWatchpoint(p.watchpoints[x]);
+            }
+            break;
+        case "WatchClearBtn":
+            p.clearWatchpoints();
+            break;
+        default:
+            return;
+        }
+
+        this.updateWatchList();
+    }
+
+    /**************************************/
+    updateBreakList() {
+        /* Rebuilds the list of execution breakpoints from the Processor */
+        const list = this.$$("BreakList");
+        const breakpoints = this.context.processor.breakpoints;
+
+        while (list.options.length) {
+            list.remove(0);
+        }
+
+        if (!breakpoints.size) {
+            list.add(new Option("(no breakpoints)", ""));
+        } else {
+            for (const [key, bp] of breakpoints) {
+                list.add(new Option(bp.text, key));
+            }
+        }
+    }
+
+    /**************************************/
+    breakClick(ev) {
+        /* Handler for click events in BreakDiv. Sets and removes execution
+        breakpoints */
+        const p = this.context.processor;
+
+        switch (ev.target.id) {
+        case "BreakAddBtn":
+            const wordText = this.$$("BreakWord").value.trim().toLowerCase();
+            const spec = {
+                line: parseInt(this.$$("BreakLine").value, 10),
+                word: parseInt(wordText, 10),
+                cond: this.$$("BreakCond").value,
+                count: parseInt(this.$$("BreakCount").value, 10) || 1,
+                log: this.$$("BreakLog").checked
+            };
+
+            if (wordText.length == 2 && wordText.startsWith("u")) {
+                spec.word = (parseInt(wordText.substring(1), 10) || 0) + 100;
+            }
+
+            const sym = this.symbolLoc(wordText);
+            if (sym) {
+                spec.line = sym.line;
+                spec.word = sym.word;
+            }
+
+            try {
+                p.setBreakpoint(spec);
+            } catch (e) {
+                this.window.alert(e.message);
+            }
+            break;
+        case "BreakRemoveBtn":
+            const bp = p.breakpoints.get(parseInt(this.$$("BreakList").value, 10));
+            if (bp) {
+                p.clearBreakpoint(bp.line, bp.word);
+            }
+            break;
+        case "BreakClearBtn":
+            p.clearBreakpoints();
+            break;
+        default:
+            return;
+        }
+
+        this.updateBreakList();
+    }
+
+    /**************************************/
+    historyClick(ev) {
+        /* Handler for click events in HistoryDiv */
+        const p = this.context.processor;
+
+        switch (ev.target.id) {
+        case "HistoryCheck":
+            p.setHistoryRecording(ev.target.checked);
+            break;
+        case "CheckpointBtn":
+            p.backToCheckpoint();
+            break;
+        }
+    }
+
+    /**************************************/
+    tabClick(ev) {
+        /* Handler for click events on the tab buttons. Shows the selected tab */
+
+        switch (ev.target.id) {
+        case "PanelTabBtn":
+            this.activeTab = "Panel";
+            break;
+        case "TraceTabBtn":
+            this.activeTab = "Trace";
+            this.refreshTrace();
+            break;
+        case "ListingTabBtn":
+            this.activeTab = "Listing";
+            this.refreshListing();
+            break;
+        case "EditTabBtn":
+            this.activeTab = "Edit";
+            this.refreshEdit();
+            break;
+        case "ProfileTabBtn":
+            this.activeTab = "Profile";
+            this.refreshProfile();
+            break;
+        case "ValuesTabBtn":
+            this.activeTab = "Values";
+            this.refreshValues();
+            break;
+        case "FormatsTabBtn":
+            this.activeTab = "Formats";
+            this.refreshFormats();
+            break;
+        default:
+            return;
+        }
+
+        for (const tab of ["Panel", "Trace", "Listing", "Edit", "Profile", "Values", "Formats"]) {
+            this.$$(`${tab}TabBtn`).classList.toggle("activeTab", this.activeTab == tab);
+            if (tab != "Panel") {
+                this.$$(`${tab}Div`).style.display = (this.activeTab == tab ? "block" : "none");
+            }
+        }
+    }
+
+    /**************************************/
+    traceFilter() {
+        /* Returns a filter function for the trace recorder entries from the
+        text in the TraceFilter box, or null if there is no filter text */
+        const text = this.$$("TraceFilter").value.trim().toLowerCase();
+
+        if (!text) {
+            return null;
+        } else {
+            const symbols = this.context.processor.symbols;
+            return (entry) => TraceRecorder.formatEntry(entry, symbols).toLowerCase().includes(text);
+        }
+    }
+
+    /**************************************/
+    refreshTrace() {
+        /* Shows the most recent entries from the trace recorder in the
+        TraceView area */
+        const recorder = this.context.processor.traceRecorder;
+        const entries = recorder.getEntries(this.traceFilter());
+        const shown = entries.slice(-DiagPanel.traceViewMax);
+        const view = this.$$("TraceView");
+        let text = "";
+
+        for (const entry of shown) {
+            text += TraceRecorder.formatEntry(entry, this.context.processor.symbols) + "\n";
+        }
+
+        view.textContent = text;
+        view.scrollTop = view.scrollHeight;
+        this.$$("TraceCount").textContent =
+                `${shown.length} of ${entries.length} shown, ${recorder.length} recorded`;
+        this.traceShownSeq = recorder.seq;
+    }
+
+    /**************************************/
+    exportTrace(asJSON) {
+        /* Exports the trace recorder entries selected by the current filter
+        as CSV or JSON. Builds a DataURL, and constructs a link to cause the
+        URL to be "downloaded" to the local device */
+        const entries = this.context.processor.traceRecorder.getEntries(this.traceFilter());
+        const text = (asJSON ? TraceRecorder.toJSON(entries) :
+                TraceRecorder.toCSV(entries, this.context.processor.symbols));
+        const url = `data:text/plain,${encodeURIComponent(text)}`;
+        const hiddenLink = this.doc.createElement("a");
+
+        hiddenLink.setAttribute("download", `retro-g15-Trace.${asJSON ? "json" : "csv"}`);
+        hiddenLink.setAttribute("href", url);
+        hiddenLink.click();
+    }
+
+    /**************************************/
+    traceClick(ev) {
+        /* Handler for click events in the Trace tab's controls */
+        const recorder = this.context.processor.traceRecorder;
+
+        switch (ev.target.id) {
+        case "TraceRecordCheck":
+            recorder.recording = ev.target.checked;
+            break;
+        case "TraceRefreshBtn":
+            this.refreshTrace();
+            break;
+        case "TraceClearBtn":
+            recorder.clear();
+            this.refreshTrace();
+            break;
+        case "TraceCSVBtn":
+            this.exportTrace(false);
+            break;
+        case "TraceJSONBtn":
+            this.exportTrace(true);
+            break;
+        }
+    }
+
+    /**************************************/
+    refreshListing() {
+        /* Disassembles the line specified by ListingLine into the ListingView
+        area, marking the words reachable as commands from the word-times
+        in ListingEntries, which may be word-times or symbols on that line.
+        If ListingEntries is empty, the entry is the current command location
+        if it is on that line, otherwise word 0 */
+        const p = this.context.processor;
+        const lineNr = parseInt(this.$$("ListingLine").value, 10);
+        const view = this.$$("ListingView");
+
+        if (isNaN(lineNr) || lineNr < 0 || lineNr >= 20) {
+            view.textContent = "Line must be 0-19";
+            return;
+        }
+
+        const entries = [];
+        const text = this.$$("ListingEntries").value.trim();
+        if (text.length) {
+            for (const item of text.split(",")) {
+                const sym = this.symbolLoc(item);
+                const loc = (sym?.line == lineNr ? sym.word : parseInt(item, 10));
+                if (isNaN(loc) || loc < 0 || loc >= Util.longLineSize) {
+                    view.textContent = `Invalid entry word-time "${item.trim()}"`;
+                    return;
+                }
+
+                entries.push(loc);
+            }
+        } else {
+            entries.push(p.cmdLine == lineNr ? p.cmdLoc.value : 0);
+        }
+
+        view.textContent = Disassembler.listLine(p.drum.line[lineNr], lineNr, entries, p.symbols);
+    }
+
+    /**************************************/
+    editLineNr(id="EditLine") {
+        /* Returns the line number specified by the text box "id", or NaN if it
+        is not a line that can be edited */
+        const text = this.$$(id).value.trim().toUpperCase();
+        const lineNr = DiagPanel.editLineNames[text] ?? Util.parseLineLoc(text);
+
+        return (Processor.editLineSize(lineNr) ? lineNr : NaN);
+    }
+
+    /**************************************/
+    formatEditValue(word) {
+        /* Formats "word" for the EditValue box in the notation selected by
+        EditFormat */
+
+        switch (this.$$("EditFormat").value) {
+        case "decimal":
+            return (word & Util.wordSignMask ? "-" : "") + (word >> 1).toString();
+        case "command":
+            return Util.disassembleCommand(word).trim();
+        default:
+            return Util.g15SignedHex(word).trim();
+        }
+    }
+
+    /**************************************/
+    parseEditValue(text) {
+        /* Parses the text of the EditValue box in the notation selected by
+        EditFormat and returns the word, or NaN if the text is invalid */
+
+        switch (this.$$("EditFormat").value) {
+        case "decimal":
+            return Util.parseDecimalWord(text);
+        case "command":
+            return Util.assembleCommand(text);
+        default:
+            return Util.parseG15SignedHex(text);
+        }
+    }
+
+    /**************************************/
+    editWordValue(lineNr, loc) {
+        /* Returns the current value of a word that can be edited */
+        const word = this.context.processor.drum.line[lineNr][loc];
+
+        return (typeof word == "number" ? word : word.value);
+    }
+
+    /**************************************/
+    refreshEdit() {
+        /* Shows the line specified by EditLine in the EditView area, one word
+        per row in signed hex, decimal integer and fraction, and as a command.
+        The row for the selected word is highlighted */
+        const view = this.$$("EditView");
+        const scrollTop = view.scrollTop;
+        const lineNr = this.editLineNr();
+
+        while (view.firstChild) {
+            view.removeChild(view.firstChild);
+        }
+
+        if (isNaN(lineNr)) {
+            this.$$("EditLine").classList.add("error");
+            return;
+        }
+
+        this.$$("EditLine").classList.remove("error");
+        const size = Processor.editLineSize(lineNr);
+        for (let loc=0; loc<size; ++loc) {
+            const word = this.editWordValue(lineNr, loc);
+            const mag = word >> 1;
+            const sign = (word & Util.wordSignMask ? "-" : " ");
+            const row = this.doc.createElement("div");
+            row.dataset.loc = loc;
+            row.textContent = `${Util.lineHex[loc]}  ${Util.g15SignedHex(word)} ` +
+                    `${(sign + mag.toString()).padStart(11)}  ${sign}${(mag/Util.two28).toFixed(9)}  ` +
+                    Util.disassembleCommand(word);
+            if (this.editLoc?.line == lineNr && this.editLoc.word == loc) {
+                row.className = "editSelected";
+            }
+
+            view.appendChild(row);
+        }
+
+        view.scrollTop = scrollTop;
+    }
+
+    /**************************************/
+    selectEditWord() {
+        /* Selects the word specified by EditLine and EditWord for editing and
+        loads its value into EditValue */
+        const lineNr = this.editLineNr();
+        const loc = Util.parseLineLoc(this.$$("EditWord").value);
+
+        if (isNaN(lineNr) || !(loc < Processor.editLineSize(lineNr))) {
+            this.editLoc = null;
+            this.$$("EditWord").classList.add("error");
+            this.$$("EditValue").value = "";
+        } else {
+            this.editLoc = {line: lineNr, word: loc};
+            this.$$("EditWord").classList.remove("error");
+            this.$$("EditValue").value = this.formatEditValue(this.editWordValue(lineNr, loc));
+        }
+
+        this.$$("EditValue").classList.remove("error");
+        this.refreshEdit();
+    }
+
+    /**************************************/
+    editChange(ev) {
+        /* Handler for change events in the Edit tab's controls */
+
+        switch (ev.target.id) {
+        case "EditLine":
+        case "EditWord":
+        case "EditFormat":
+            this.selectEditWord();
+            break;
+        }
+    }
+
+    /**************************************/
+    editClick(ev) {
+        /* Handler for click events in the Edit tab. Clicking a row of the
+        EditView selects that word; the Set button validates EditValue and
+        stores it into the selected word */
+        const target = ev.target;
+
+        if (target.dataset.loc !== undefined) {
+            this.$$("EditWord").value = Util.lineHex[target.dataset.loc];
+            this.selectEditWord();
+        } else if (target.id == "EditSetBtn") {
+            const word = this.parseEditValue(this.$$("EditValue").value);
+            if (isNaN(word)) {
+                this.$$("EditValue").classList.add("error");
+            } else if (this.editLoc) {
+                try {
+                    this.context.processor.editWord(this.editLoc.line, this.editLoc.word, word);
+                    this.selectEditWord();
+                } catch (e) {
+                    this.window.alert(e.message);
+                }
+            }
+        }
+    }
+
+    /**************************************/
+    refreshProfile() {
+        /* Draws the execution profiler's total wait word-times for lines 0-19
+        as a heatmap, one cell per word-time, and lists the commands with the
+        largest total waits in the ProfileView area */
+        const profiler = this.context.processor.profiler;
+        const canvas = this.$$("ProfileMap");
+        const dc = canvas.getContext("2d");
+        const cw = DiagPanel.profileCellWidth;
+        const ch = DiagPanel.profileCellHeight;
+        const left = DiagPanel.profileLabelWidth;
+        const max = profiler.maxWait();
+
+        dc.fillStyle = "white";
+        dc.fillRect(0, 0, canvas.width, canvas.height);
+        dc.font = `${ch-2}px monospace`;
+        dc.textBaseline = "top";
+        for (let line=0; line<20; ++line) {
+            dc.fillStyle = "black";
+            dc.fillText(Util.lineHex[line], 2, line*ch + 1);
+            for (let loc=0; loc<Util.longLineSize; ++loc) {
+                const x = line*Util.longLineSize + loc;
+                if (profiler.counts[x]) {
+                    // Shade from yellow (no wait) to red (the largest wait).
+                    const heat = (max ? Math.sqrt(profiler.totalWait(x)/max) : 0);
+                    dc.fillStyle = `rgb(255,${Math.round(255*(1-heat))},0)`;
+                } else {
+                    dc.fillStyle = (line % 2 ? "#EEE" : "#F8F8F8");
+                }
+
+                dc.fillRect(left + loc*cw, line*ch, cw-1, ch-1);
+            }
+        }
+
+        let text = "";
+        for (const entry of profiler.getHottest(DiagPanel.profileTableMax)) {
+            const cmd = this.context.processor.drum.line[entry.line][entry.word];
+            text += `${Util.lineHex[entry.line]}.${Util.lineHex[entry.word]}` +
+                    `${entry.count.toString().padStart(10)}${entry.operandWait.toString().padStart(11)}` +
+                    `${entry.nextWait.toString().padStart(11)}${entry.total.toString().padStart(11)}` +
+                    `${(entry.total/entry.count).toFixed(1).padStart(9)}  ${Util.disassembleCommand(cmd)}\n`;
+        }
+
+        this.$$("ProfileView").textContent = text;
+        this.$$("ProfileCount").textContent = `${profiler.commands} commands`;
+    }
+
+    /**************************************/
+    profileMouseMove(ev) {
+        /* Handler for mousemove events on the ProfileMap canvas. Shows the
+        profile of the location under the mouse */
+        const loc = Math.floor((ev.offsetX - DiagPanel.profileLabelWidth)/DiagPanel.profileCellWidth);
+        const line = Math.floor(ev.offsetY/DiagPanel.profileCellHeight);
+
+        if (loc >= 0 && loc < Util.longLineSize && line >= 0 && line < 20) {
+            const entry = this.context.processor.profiler.getEntry(line, loc);
+            this.$$("ProfileLoc").textContent = `${Util.lineHex[line]}.${Util.lineHex[loc]}: ` +
+                    `${entry.count} executed, wait ${entry.total}`;
+        } else {
+            this.$$("ProfileLoc").textContent = "\xA0";
+        }
+    }
+
+    /**************************************/
+    profileClick(ev) {
+        /* Handler for click events in the Profile tab's controls */
+        const profiler = this.context.processor.profiler;
+
+        switch (ev.target.id) {
+        case "ProfileCheck":
+            profiler.setProfiling(ev.target.checked);
+            break;
+        case "ProfileRefreshBtn":
+            this.refreshProfile();
+            break;
+        case "ProfileClearBtn":
+            profiler.clear();
+            this.refreshProfile();
+            break;
+        }
+    }
+
+    /**************************************/
+    refreshFormats() {
+        /* Decodes the I/O formats in words 0-3 of lines 2 and 3 into the
+        FormatsView area and, if a formatted output is in progress, shows the
+        format code and data bit it has reached */
+        const p = this.context.processor;
+        const outName = DiagPanel.formatOutputNames[p.OC.value];
+        let text = "";
+
+        for (const [lineNr, caption] of [[2, "TYPE 19, PUNCH 19, CARD PUNCH 19, MT WRITE"], [3, "TYPE AR"]]) {
+            const words = p.drum.line[lineNr].subarray(0, Util.fastLineSize);
+            let codes = Util.decodeFormat(words);
+            if (outName && p.formatLine == lineNr && p.formatIndex < codes.length) {
+                const x = p.formatIndex;
+                codes = `${codes.substring(0, x)}[${codes[x]}]${codes.substring(x+1)}`;
+            }
+
+            text += `Line ${lineNr} format (${caption})\n` +
+                    `  words  ${Array.from(words, (w) => Util.g15SignedHex(w)).join(" ")}\n` +
+                    `  codes  ${codes}\n\n`;
+        }
+
+        if (!outName || !p.formatLine) {
+            text += "No formatted output in progress";
+        } else {
+            const bits = p.formatBits;
+            const offset = (p.formatLine == 3 ? bits : bits % Util.wordBits);
+            const where = (p.formatLine == 3 ? "AR" :
+                    `word ${Util.lineHex[Util.longLineSize - 1 - Math.floor(bits/Util.wordBits) % Util.longLineSize]} of line 19`);
+            text += `${outName}: format code ${p.formatIndex}, ` +
+                    `data bit ${offset} (digit ${Math.floor(offset/4)}) of ${where}`;
+        }
+
+        this.$$("FormatsView").textContent = text;
+    }
+
+    /**************************************/
+    formatValueRow(name, word) {
+        /* Formats one row of the Values tab for "word": signed hex, integer,
+        fraction, command, and the typeout codes and printed characters */
+        const codes = Util.typeoutCodes(word);
+
+        return `${name.padEnd(6)}${Util.g15SignedHex(word)}${Util.wordToInteger(word).toString().padStart(12)}` +
+               `${Util.formatFraction(word).padStart(14)}  ${Util.disassembleCommand(word)}  ` +
+               `${codes.map((code) => Util.g15Hex(code).substring(5)).join(" ")}  ` +
+               codes.map((code) => IOCodes.printCodes[code]).join("") + "\n";
+    }
+
+    /**************************************/
+    refreshValues() {
+        /* Shows the numeric interpretations of the registers, the register
+        pairs as double-precision values, and the words of the line specified
+        by ValuesLine in the ValuesView area */
+        const drum = this.context.processor.drum;
+        const view = this.$$("ValuesView");
+        const scrollTop = view.scrollTop;
+        const lineNr = this.editLineNr("ValuesLine");
+        let text = "";
+
+        text += this.formatValueRow("AR", drum.AR.value);
+        for (const name of ["ID", "MQ", "PN"]) {
+            text += this.formatValueRow(`${name}.1`, drum[name][1].value);
+            text += this.formatValueRow(`${name}.0`, drum[name][0].value);
+        }
+
+        text += "\npair           DP integer          DP fraction\n";
+        for (const name of ["ID", "MQ", "PN"]) {
+            const even = drum[name][0].value;
+            const odd = drum[name][1].value;
+            text += `${name.padEnd(6)}${Util.formatDPInteger(even, odd).padStart(19)}` +
+                    `${Util.formatDPFraction(even, odd).padStart(21)}\n`;
+        }
+
+        if (isNaN(lineNr)) {
+            this.$$("ValuesLine").classList.add("error");
+        } else {
+            this.$$("ValuesLine").classList.remove("error");
+            text += "\n";
+            const size = Processor.editLineSize(lineNr);
+            for (let loc=0; loc<size; ++loc) {
+                text += this.formatValueRow(`${Util.lineHex[lineNr]}.${Util.lineHex[loc]}`,
+                        this.editWordValue(lineNr, loc));
+            }
+        }
+
+        view.textContent = text;
+        view.scrollTop = scrollTop;
+    }
+
     /**************************************/
     changeRPM(ev) {
         /* Changes the drum speed */
@@ -252,6 +1009,40 @@ class DiagPanel {
         }
     }
 
+    /**************************************/
+    saveState(ev) {
+        /* Saves a snapshot of the machine state as a JSON file. Builds a
+        DataURL, and constructs a link to cause the URL to be "downloaded" to
+        the local device. The processor must be halted */
+        const p = this.context.processor;
+
+        if (p.CH.value && !p.drum.procActive) {
+            const json = JSON.stringify(p.saveSnapshot());
+            const url = `data:text/plain,${encodeURIComponent(json)}`;
+            const hiddenLink = this.doc.createElement("a");
+            hiddenLink.setAttribute("download", "retro-g15-Snapshot.json");
+            hiddenLink.setAttribute("href", url);
+            hiddenLink.click();
+        } else {
+            this.window.alert("The processor must be halted to save its state.");
+        }
+    }
+
+    /**************************************/
+    async restoreState(ev) {
+        /* Handle the <input type=file> onchange event when a snapshot file is
+        selected. Restores the machine state from the file */
+        const file = ev.target.files[0];
+
+        if (file) {
+            try {
+                this.context.processor.restoreSnapshot(JSON.parse(await file.text()));
+            } catch (e) {
+                this.window.alert(`Cannot restore state from ${file.name}:\n${e.message}`);
+            }
+        }
+    }
+
     /**************************************/
     updatePanel() {
         /* Updates the panel registers and flip-flops from processor state */
@@ -306,6 +1097,31 @@ class DiagPanel {
         this.PN1Reg.updateFromRegister(drum.PN[1]);
         this.PN0Reg.updateFromRegister(drum.PN[0]);
 
+        if (this.activeTab == "Trace" && Math.trunc(now/250) % 2 == 0 &&
+                p.traceRecorder.seq != this.traceShownSeq) {
+            this.refreshTrace();
+        }
+
+        if (this.activeTab == "Listing" && Math.trunc(now/1000) % 2 == 0) {
+            this.refreshListing();
+        }
+
+        if (this.activeTab == "Edit" && Math.trunc(now/1000) % 2 == 0 && !p.CH.value) {
+            this.refreshEdit();
+        }
+
+        if (this.activeTab == "Profile" && Math.trunc(now/1000) % 2 == 0 && p.profiler.profiling) {
+            this.refreshProfile();
+        }
+
+        if (this.activeTab == "Values" && Math.trunc(now/250) % 2 == 0) {
+            this.refreshValues();
+        }
+
+        if (this.activeTab == "Formats") {
+            this.refreshFormats();
+        }
+
         if (Math.trunc(now/250) % 2) {
             this.dumpLine();
             this.dumpFastLine(20);
@@ -315,6 +1131,11 @@ class DiagPanel {
             this.dumpFastLine(32);      // MZ
         }
 
+        this.watchHit.textContent = p.watchpointHit?.text ?? "\xA0";
+        this.historyCount.textContent = (p.history.recording ? `${p.history.length} cmds` : "\xA0");
+        this.breakHit.textContent = p.breakpointHit ?
+                `${p.breakpointHit.text} (${p.breakpointHit.hits})` : "\xA0";
+
         if (this.bpSetLoc) {
             const word = drum.line[this.bpSetLoc.line][this.bpSetLoc.word];
             this.$$("BPSetDisasm").textContent = this.disassembleCommand(word);
@@ -332,6 +1153,9 @@ class DiagPanel {
         this.panel = this.$$("DiagPanel");
         this.runTime = this.$$("RunTime");
         this.wordTimes = this.$$("WordTimes");
+        this.watchHit = this.$$("WatchHit");
+        this.breakHit = this.$$("BreakHit");
+        this.historyCount = this.$$("HistoryCount");
 
         this.drumLoc = new DiagRegister(this.$$("DrumLocBox"), 7, false, 0b0000, "DrumL_", "Drum L");
         this.CDReg = new DiagRegister(this.$$("CDBox"), 3, false, 0b0100, "CDReg_", "CD");
@@ -386,9 +1210,42 @@ class DiagPanel {
         this.$$("BPSetWord").addEventListener("change", this.boundBPSetChange);
         this.$$("BPSetCheck").addEventListener("click", this.boundBPSetChange);
         this.$$("StepBtn").addEventListener("click", this.boundProcStep);
+        this.$$("BackBtn").addEventListener("click", this.boundProcBack);
+        this.$$("HistoryDiv").addEventListener("click", this.boundHistoryClick);
         this.$$("BPBtn").addEventListener("click", this.boundProcBP);
         this.$$("GoBtn").addEventListener("click", this.boundProcGo);
         this.$$("StopBtn").addEventListener("click", this.boundProcStop);
+        this.$$("SaveStateBtn").addEventListener("click", this.boundSaveState);
+        this.$$("RestoreStateBtn").addEventListener("click", this.boundRestoreStateClick);
+        this.$$("StateFileSelector").addEventListener("change", this.boundRestoreState);
+        this.$$("WatchLine").addEventListener("focus", this.boundFocusHandler);
+        this.$$("WatchWord").addEventListener("focus", this.boundFocusHandler);
+        this.$$("WatchValue").addEventListener("focus", this.boundFocusHandler);
+        this.$$("WatchDiv").addEventListener("click", this.boundWatchClick);
+        this.$$("BreakLine").addEventListener("focus", this.boundFocusHandler);
+        this.$$("BreakWord").addEventListener("focus", this.boundFocusHandler);
+        this.$$("BreakCount").addEventListener("focus", this.boundFocusHandler);
+        this.$$("BreakDiv").addEventListener("click", this.boundBreakClick);
+        this.$$("TabCell").addEventListener("click", this.boundTabClick);
+        this.$$("TraceControlsDiv").addEventListener("click", this.boundTraceClick);
+        this.$$("TraceFilter").addEventListener("focus", this.boundFocusHandler);
+        this.$$("TraceFilter").addEventListener("change", this.boundRefreshTrace);
+        this.$$("ListingLine").addEventListener("focus", this.boundFocusHandler);
+        this.$$("ListingLine").addEventListener("change", this.boundRefreshListing);
+        this.$$("ListingEntries").addEventListener("focus", this.boundFocusHandler);
+        this.$$("ListingEntries").addEventListener("change", this.boundRefreshListing);
+        this.$$("ListingRefreshBtn").addEventListener("click", this.boundRefreshListing);
+        this.$$("SymbolDiv").addEventListener("click", this.boundSymbolClick);
+        this.$$("SymbolFileSelector").addEventListener("change", this.boundLoadSymbols);
+        this.$$("EditDiv").addEventListener("click", this.boundEditClick);
+        this.$$("EditDiv").addEventListener("change", this.boundEditChange);
+        this.$$("EditLine").addEventListener("focus", this.boundFocusHandler);
+        this.$$("EditWord").addEventListener("focus", this.boundFocusHandler);
+        this.$$("EditValue").addEventListener("focus", this.boundFocusHandler);
+        this.$$("ProfileControlsDiv").addEventListener("click", this.boundProfileClick);
+        this.$$("ProfileMap").addEventListener("mousemove", this.boundProfileMouseMove);
+        this.$$("ValuesLine").addEventListener("focus", this.boundFocusHandler);
+        this.$$("ValuesLine").addEventListener("change", this.boundRefreshValues);
         this.$$("AudioLines").addEventListener("keyup", this.boundSetAudioLines);
         this.window.addEventListener("unload", this.boundShutDown);
 
@@ -399,6 +1256,16 @@ class DiagPanel {
             this.$$("RPM").addEventListener("change", this.boundChangeRPM);
         }
 
+        this.updateWatchList();
+        this.updateBreakList();
+        this.$$("TraceRecordCheck").checked = this.context.processor.traceRecorder.recording;
+        this.$$("HistoryCheck").checked = this.context.processor.history.recording;
+        this.$$("ProfileCheck").checked = this.context.processor.profiler.profiling;
+        this.updateSymbolCount();
+        for (const cond in Processor.breakpointConditions) {
+            this.$$("BreakCond").add(new Option(cond));
+        }
+
         // Recalculate scaling and offsets after initial window resize.
         this.config.restoreWindowGeometry(this.window,
                 this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop);
@@ -424,9 +1291,42 @@ class DiagPanel {
         this.$$("BPSetWord").removeEventListener("change", this.boundBPSetChange);
         this.$$("BPSetCheck").removeEventListener("click", this.boundBPSetChange);
         this.$$("StepBtn").removeEventListener("click", this.boundProcStep);
+        this.$$("BackBtn").removeEventListener("click", this.boundProcBack);
+        this.$$("HistoryDiv").removeEventListener("click", this.boundHistoryClick);
         this.$$("BPBtn").removeEventListener("click", this.boundProcBP);
         this.$$("GoBtn").removeEventListener("click", this.boundProcGo);
         this.$$("StopBtn").removeEventListener("click", this.boundProcStop);
+        this.$$("SaveStateBtn").removeEventListener("click", this.boundSaveState);
+        this.$$("RestoreStateBtn").removeEventListener("click", this.boundRestoreStateClick);
+        this.$$("StateFileSelector").removeEventListener("change", this.boundRestoreState);
+        this.$$("WatchLine").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("WatchWord").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("WatchValue").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("WatchDiv").removeEventListener("click", this.boundWatchClick);
+        this.$$("BreakLine").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("BreakWord").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("BreakCount").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("BreakDiv").removeEventListener("click", this.boundBreakClick);
+        this.$$("TabCell").removeEventListener("click", this.boundTabClick);
+        this.$$("TraceControlsDiv").removeEventListener("click", this.boundTraceClick);
+        this.$$("TraceFilter").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("TraceFilter").removeEventListener("change", this.boundRefreshTrace);
+        this.$$("ListingLine").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("ListingLine").removeEventListener("change", this.boundRefreshListing);
+        this.$$("ListingEntries").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("ListingEntries").removeEventListener("change", this.boundRefreshListing);
+        this.$$("ListingRefreshBtn").removeEventListener("click", this.boundRefreshListing);
+        this.$$("SymbolDiv").removeEventListener("click", this.boundSymbolClick);
+        this.$$("SymbolFileSelector").removeEventListener("change", this.boundLoadSymbols);
+        this.$$("EditDiv").removeEventListener("click", this.boundEditClick);
+        this.$$("EditDiv").removeEventListener("change", this.boundEditChange);
+        this.$$("EditLine").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("EditWord").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("EditValue").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("ProfileControlsDiv").removeEventListener("click", this.boundProfileClick);
+        this.$$("ProfileMap").removeEventListener("mousemove", this.boundProfileMouseMove);
+        this.$$("ValuesLine").removeEventListener("focus", this.boundFocusHandler);
+        this.$$("ValuesLine").removeEventListener("change", this.boundRefreshValues);
         this.$$("RPMDiv").style.display = "none";
         this.$$("RPM").removeEventListener("change", this.boundChangeRPM);
         this.$$("AudioLines").removeEventListener("keyup", this.boundSetAudioLines);
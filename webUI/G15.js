@@ -18,6 +18,10 @@ import {ControlPanel} from "./ControlPanel.js";
 import {DiagPanel} from "./DiagPanel.js";
 import {Processor} from "../emulator/Processor.js";
 
+import {MagTape} from "./MagTape.js";
+import {CardReader} from "./CardReader.js";
+import {CardPunch} from "./CardPunch.js";
+import {DAPanel} from "./DAPanel.js";
 import {PaperTapeReader} from "./PaperTapeReader.js";
 import {PaperTapePunch} from "./PaperTapePunch.js";
 import {Plotter} from "./Plotter.js";
@@ -128,6 +132,22 @@ let globalLoad = (ev) => {
             context.devices.plotter = new Plotter(context);
         }
 
+        if (config.getNode("MagTape.hasMagTape")) {
+            context.devices.magTape = new MagTape(context);
+        }
+
+        if (config.getNode("CardReader.hasCardReader")) {
+            context.devices.cardReader = new CardReader(context);
+        }
+
+        if (config.getNode("CardPunch.hasCardPunch")) {
+            context.devices.cardPunch = new CardPunch(context);
+        }
+
+        if (config.getNode("DA1.hasDA1")) {
+            context.devices.daPanel = new DAPanel(context);
+        }
+
         context.devices.paperTapeReader.preload();      // preload the PPR image
         context.processor.powerUp();
         context.controlPanel.enablePanel();
@@ -193,6 +213,11 @@ let globalLoad = (ev) => {
                 val = parseInt(val, 10) ?? 0;
                 Util.enableNonStandardTiming(val);
                 break;
+            case "SPEED":
+                if (val == "MAX") {
+                    Util.setUnrestrictedSpeed(true);
+                }
+                break;
             } // switch key
         }
 
@@ -0,0 +1,745 @@
+/***********************************************************************
+* retro-g15/webUI MagTape.js
+************************************************************************
+* Copyright (c) 2026, Paul Kimpel.
+* Licensed under the MIT License, see
+*       http://www.opensource.org/licenses/mit-license.php
+************************************************************************
+* Bendix G-15 MTA-2 Magnetic Tape unit.
+*
+* Defines a single magnetic tape unit. The MTA-2 recorded data on tape
+* using the same 5-bit codes and Slow-In/Slow-Out logic as the paper tape
+* reader and punch, so a block written from line 19 under control of a
+* format in line 2 can be read back into line 19 through line 23 exactly
+* as if it had been punched and read on paper tape.
+*
+* Internally, the tape is represented as an array of blocks. Each data
+* block is a Uint8Array of G-15 I/O codes terminated by a Stop code. A
+* file code (tape mark) written by D=31, S=30 is represented by a null
+* entry in the array. The tape position, this.blockNr, is the index of the
+* next block to be read or written, so zero is the load point and
+* this.blocks.length is the end of recorded data.
+*
+* Writing a block or file code at any position discards all blocks beyond
+* that position, as writing on a real tape would have done. Reading past
+* the end of recorded data or searching past either end of the tape leaves
+* the I/O hanging, the same as the paper tape reader does.
+*
+* Tapes are mounted by loading an image file in either of the formats
+* described in software/G-15-MTI-Mag-Tape-Image-Spec.html (.mti text or
+* .mtb binary), by loading a paper tape image (.pti) file, which is divided
+* into blocks at its Stop codes, or by mounting a blank tape. The tape
+* currently mounted can be saved in either of the magnetic tape formats.
+*
+************************************************************************
+* 2026-10-19  P.Kimpel
+*   Original version, from PaperTapeReader.js.
+*   Add getState() and setState() for machine-state snapshots.
+*   Use Util.btoaUint8() to encode saved binary images.
+***********************************************************************/
+
+export {MagTape};
+
+import * as Util from "../emulator/Util.js";
+import * as IOCodes from "../emulator/IOCodes.js";
+import {openPopup} from "./PopupUtil.js";
+
+class MagTape {
+
+    // Static properties
+
+    static charPeriod = 1000/430;       // nominal ms per character on tape
+    static gapChars = 40;               // inter-block gap, expressed in character times
+    static startStopTime = 15;          // tape start/stop time, ms
+    static fileCodeChars = 8;           // length of a file code on tape, in character times
+    static windowHeight = 136;          // window innerHeight, pixels
+    static windowWidth = 480;           // window innerWidth, pixels
+
+    static mtbFileCode = 0x80;          // .mtb image file code byte
+    static mtbEndOfTape = 0xFF;         // .mtb image end-of-tape byte
+    static tapeCodes = [                // .mti image characters
+        " ", "-", "C", "T", "S", "/", ".", "H", "I", "J", "K", "L", "M", "N", "O", "P",
+        "0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "u", "v", "w", "x", "y", "z"];
+
+    static commentRex = /#[^\x0D\x0A]*/g;
+    static newLineRex = /[\x0D\x0A\x0C]+/g;
+
+    // Public Instance Properties
+
+    doc = null;                         // window document object
+    window = null;                      // window object
+
+    blocks = [];                        // tape blocks: Uint8Array of codes, or null for a file code
+    blockNr = 0;                        // current tape position (index into this.blocks)
+    busy = false;                       // an I/O is in progress
+    canceled = false;                   // current I/O canceled
+    nextStartStamp = 0;                 // earliest time the next tape motion can start
+    ready = false;                      // a tape has been mounted on the unit
+    rewinding = false;                  // tape is currently rewinding
+    tapeName = "";                      // name of the mounted tape image
+    timer = new Util.Timer(true);       // delay management timer
+    writeBuffer = [];                   // codes accumulated for the block being written
+    writeEnabled = true;                // write-enable ring is in place
+    writing = false;                    // a block write is in progress
+
+
+    constructor(context) {
+        /* Initializes the magnetic tape unit and opens its window. "context"
+        is an object passing other objects and callback functions from the
+        global script:
+            config is the SystemConfig object
+            processor is the Processor object
+        */
+
+        this.context = context;
+        this.config = context.config;
+        this.processor = context.processor;
+
+        this.boundFileSelectorChange = this.fileSelectorChange.bind(this);
+        this.boundControlClick = this.controlClick.bind(this);
+        this.boundWriteEnableChange = this.writeEnableChange.bind(this);
+
+        // Create the MagTape window
+        let geometry = this.config.formatWindowGeometry("MagTape");
+        if (geometry.length) {
+            [this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop] =
+                    this.config.getWindowGeometry("MagTape");
+        } else {
+            this.innerWidth  = MagTape.windowWidth;
+            this.innerHeight = MagTape.windowHeight;
+            this.windowLeft =  screen.availWidth - MagTape.windowWidth - 8;
+            this.windowTop =   8;
+            geometry = `,left=${this.windowLeft},top=${this.windowTop}` +
+                       `,innerWidth=${this.innerWidth},innerHeight=${this.innerHeight}`;
+        }
+
+        openPopup(window, "../webUI/MagTape.html", "retro-g15.MagTape",
+                "location=no,scrollbars=no,resizable" + geometry,
+                this, this.magTapeOnLoad);
+    }
+
+    /**************************************/
+    $$(id) {
+        /* Returns a DOM element from its id property. Must not be called until
+        magTapeOnLoad is called */
+
+        return this.doc.getElementById(id);
+    }
+
+    /**************************************/
+    magTapeOnLoad(ev) {
+        /* Initializes the MagTape window and user interface */
+
+        this.doc = ev.target;           // now we can use this.$$()
+        this.doc.title = "retro-g15 MTA-2 Magnetic Tape";
+        this.window = this.doc.defaultView;
+
+        this.tapeBar = this.$$("MTTapeBar");
+
+        this.window.addEventListener("beforeunload", this.beforeUnload);
+        this.$$("MTFileSelector").addEventListener("change", this.boundFileSelectorChange);
+        this.$$("MTControlsDiv").addEventListener("click", this.boundControlClick);
+        this.$$("MTWriteEnable").addEventListener("change", this.boundWriteEnableChange);
+
+        this.$$("MTWriteEnable").checked = this.writeEnabled;
+        this.config.restoreWindowGeometry(this.window,
+                this.innerWidth, this.innerHeight, this.windowLeft, this.windowTop);
+        this.makeBusy(this.busy);
+        this.updateStatus();
+    }
+
+    /**************************************/
+    beforeUnload(ev) {
+        /* Handles the beforeunload event to warn the user that closing the
+        window is not a good idea */
+        const msg = "Closing this window will make the device unusable.\n" +
+                    "Suggest you stay on the page and minimize this window instead";
+
+        ev.preventDefault();
+        ev.returnValue = msg;
+        return msg;
+    }
+
+    /**************************************/
+    updateStatus() {
+        /* Updates the tape position annunciators in the window, if it is open */
+        let fileNr = 0;
+
+        if (this.doc) {
+            for (let x=0; x<this.blockNr; ++x) {
+                if (this.blocks[x] === null) {
+                    ++fileNr;
+                }
+            }
+
+            this.tapeBar.max = Math.max(this.blocks.length, 1);
+            this.tapeBar.value = this.blocks.length - this.blockNr;
+            this.$$("MTBlockNr").textContent = this.blockNr;
+            this.$$("MTFileNr").textContent = fileNr;
+            this.$$("MTTapeName").textContent = (this.ready ? this.tapeName : "(no tape)");
+            if (this.ready) {
+                this.$$("MTReadyLamp").classList.add("greenLit");
+            } else {
+                this.$$("MTReadyLamp").classList.remove("greenLit");
+            }
+        }
+    }
+
+    /**************************************/
+    makeBusy(busy) {
+        /* Makes the unit busy (I/O in progress) or not busy (idle) */
+
+        this.busy = busy;
+        if (this.doc) {
+            if (busy) {
+                this.$$("MTCaption").classList.add("active");
+            } else {
+                this.$$("MTCaption").classList.remove("active");
+            }
+        }
+    }
+
+    /**************************************/
+    setTapeEmpty() {
+        /* Unloads the tape from the unit and sets it not ready */
+
+        this.ready = false;
+        this.blocks = [];
+        this.blockNr = 0;
+        this.tapeName = "";
+        if (this.doc) {
+            this.$$("MTFileSelector").value = null;     // reset the control so the same file can be reloaded
+            this.$$("MTFormatSelect").selectedIndex = 0;// default to Auto
+        }
+
+        this.updateStatus();
+    }
+
+    /**************************************/
+    mountBlankTape() {
+        /* Mounts a blank (scratch) tape on the unit */
+
+        this.blocks = [];
+        this.blockNr = 0;
+        this.tapeName = "(blank)";
+        this.ready = true;
+        this.updateStatus();
+    }
+
+    /**************************************/
+    controlClick(ev) {
+        /* Handles click events for the controls in the window */
+
+        switch (ev.target.id) {
+        case "MTBlankBtn":
+            if (!this.busy && !this.rewinding) {
+                if (!this.ready || this.window.confirm("Replace the mounted tape with a blank one?")) {
+                    this.mountBlankTape();
+                }
+            }
+            break;
+        case "MTRewindBtn":
+        case "MTRewindCaption":
+            if (this.ready && !this.busy) {
+                this.rewind();
+            }
+            break;
+        case "MTUnloadBtn":
+        case "MTUnloadCaption":
+            if (this.ready && !this.busy && !this.rewinding) {
+                this.setTapeEmpty();
+            }
+            break;
+        case "MTSaveMTIBtn":
+            if (this.ready && !this.busy) {
+                this.saveAsMTI();
+            }
+            break;
+        case "MTSaveMTBBtn":
+            if (this.ready && !this.busy) {
+                this.saveAsMTB();
+            }
+            break;
+        }
+    }
+
+    /**************************************/
+    writeEnableChange(ev) {
+        /* Handles a change in state of the write-enable checkbox */
+
+        this.writeEnabled = ev.target.checked;
+    }
+
+    /**************************************/
+    stripComments(buf) {
+        /* Strips "#" comments from a text buffer, returning a new buffer */
+
+        return buf.replace(MagTape.commentRex, "").replace(MagTape.newLineRex, "");
+    }
+
+    /**************************************/
+    isStopCode(code) {
+        /* Returns true if "code" is a Stop code (00100 or 01100) */
+
+        return (code & 0b10111) == IOCodes.ioCodeStop;
+    }
+
+    /**************************************/
+    loadAsMTI(image) {
+        /* Loads a magnetic tape image file in the .mti text format as the
+        contents of the tape. Since .pti paper tape images are a subset of that
+        format, they are also loaded by this routine, each paper tape block
+        becoming one tape block. Invalid image characters and comments are
+        bypassed as if they did not exist. See
+        software/G-15-MTI-Mag-Tape-Image-Spec.html */
+        const text = this.stripComments(image);
+        let block = [];
+        let code = 0;
+
+        const endBlock = () => {
+            // Terminate any codes not followed by a Stop code, unless they are
+            // just blank tape.
+            if (block.some((code) => code != IOCodes.ioCodeSpace)) {
+                block.push(IOCodes.ioCodeStop);
+                this.blocks.push(Uint8Array.from(block));
+            }
+
+            block = [];
+        };
+
+        this.blocks = [];
+        for (const char of text) {
+            code = IOCodes.ioCodeFilter[char.charCodeAt(0) & 0x7F];
+            if (code < 0xFF) {          // not an ignored character
+                block.push(code);
+                if (this.isStopCode(code)) {
+                    this.blocks.push(Uint8Array.from(block));
+                    block = [];
+                }
+            } else if (char == "F" || char == "f") {
+                endBlock();
+                this.blocks.push(null);
+            } else if (char == "E" || char == "e") {
+                break;                  // end of tape: ignore the rest of the image
+            }
+        }
+
+        endBlock();
+    }
+
+    /**************************************/
+    loadAsMTB(arrayBuffer) {
+        /* Loads a magnetic tape image file in the .mtb binary format as the
+        contents of the tape. Reserved byte values are ignored */
+        const image = new Uint8Array(arrayBuffer);
+        let block = [];
+
+        this.blocks = [];
+        for (const byte of image) {
+            if (byte < 0x20) {
+                block.push(byte);
+                if (this.isStopCode(byte)) {
+                    this.blocks.push(Uint8Array.from(block));
+                    block = [];
+                }
+            } else if (byte == MagTape.mtbFileCode) {
+                if (block.some((code) => code != IOCodes.ioCodeSpace)) {
+                    block.push(IOCodes.ioCodeStop);
+                    this.blocks.push(Uint8Array.from(block));
+                }
+
+                block = [];
+                this.blocks.push(null);
+            } else if (byte == MagTape.mtbEndOfTape) {
+                break;                  // end of tape: ignore the rest of the image
+            }
+        }
+
+        if (block.some((code) => code != IOCodes.ioCodeSpace)) {
+            block.push(IOCodes.ioCodeStop);
+            this.blocks.push(Uint8Array.from(block));
+        }
+    }
+
+    /**************************************/
+    async fileSelectorChange(ev) {
+        /* Handle the <input type=file> onchange event when a file is selected.
+        Loads the file as the tape image and positions the tape at its load
+        point */
+        const file = ev.target.files[0];
+        const formatSelect = this.$$("MTFormatSelect");
+        const formatIndex = formatSelect.selectedIndex;
+        let readAs = "Auto";
+
+        if (formatIndex > 0) {
+            readAs = formatSelect.options[formatIndex].value;
+        }
+
+        if (file && !this.busy && !this.rewinding) {
+            if (readAs == "Auto") {
+                const x = file.name.lastIndexOf(".");
+                readAs = x < 0 ? ".mti" : file.name.substring(x).toLowerCase();
+            }
+
+            switch (readAs) {
+            case ".mtb":
+                this.loadAsMTB(await file.arrayBuffer());
+                break;
+            default:                    // .mti, .pti, and anything else
+                this.loadAsMTI(await file.text());
+                break;
+            }
+
+            this.blockNr = 0;
+            this.tapeName = file.name;
+            this.ready = true;
+            this.updateStatus();
+        }
+    }
+
+
+    /**************************************/
+    saveFileName(ext) {
+        /* Constructs a file name for saving the tape image with the extension
+        "ext", based on the name of the mounted tape, if any */
+        let name = this.tapeName;
+        const x = name.lastIndexOf(".");
+
+        if (x > 0) {
+            name = name.substring(0, x);
+        }
+
+        if (!name || name.startsWith("(")) {
+            name = "retro-g15-Mag-Tape";
+        }
+
+        return name + ext;
+    }
+
+    /**************************************/
+    saveAsMTI() {
+        /* Converts the tape to the .mti text format, builds a DataURL, and
+        constructs a link to cause the URL to be "downloaded" to the local
+        device */
+        let fileNr = 0;
+        let text = "# retro-g15 magnetic tape image\n# File 0\n";
+
+        for (const block of this.blocks) {
+            if (block === null) {
+                text += "F\n";
+                ++fileNr;
+                text += `# File ${fileNr}\n`;
+            } else {
+                for (const code of block) {
+                    text += MagTape.tapeCodes[code];
+                    if ((code & 0b10111) == IOCodes.ioCodeReload) {
+                        text += "\n";
+                    }
+                }
+
+                if (!text.endsWith("\n")) {
+                    text += "\n";
+                }
+            }
+        }
+
+        text += "E\n";
+        const url = `data:text/plain,${encodeURIComponent(text)}`;
+        const hiddenLink = this.doc.createElement("a");
+        hiddenLink.setAttribute("download", this.saveFileName(".mti"));
+        hiddenLink.setAttribute("href", url);
+        hiddenLink.click();
+    }
+
+    /**************************************/
+    saveAsMTB() {
+        /* Converts the tape to the .mtb binary format, builds a DataURL, and
+        constructs a link to cause the URL to be "downloaded" to the local
+        device */
+        let len = 1;                    // allow for the end-of-tape byte
+
+        for (const block of this.blocks) {
+            len += (block === null ? 1 : block.length);
+        }
+
+        const image = new Uint8Array(len);
+        let x = 0;
+        for (const block of this.blocks) {
+            if (block === null) {
+                image[x++] = MagTape.mtbFileCode;
+            } else {
+                image.set(block, x);
+                x += block.length;
+            }
+        }
+
+        image[x] = MagTape.mtbEndOfTape;
+        const url = "data:application/octet-stream;base64," +
+                    Util.btoaUint8(image, 0, len);
+        const hiddenLink = this.doc.createElement("a");
+        hiddenLink.setAttribute("download", this.saveFileName(".mtb"));
+        hiddenLink.setAttribute("href", url);
+        hiddenLink.click();
+    }
+
+    /**************************************/
+    getState() {
+        /* Returns the tape position for machine-state snapshots */
+
+        return {blockNr: this.blockNr};
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the tape position from an object created by getState().
+        The tape must already be mounted; the position is limited to its length */
+
+        if (this.ready && !this.busy && !this.rewinding) {
+            this.blockNr = Math.min(state.blockNr, this.blocks.length);
+            this.updateStatus();
+        }
+    }
+
+    /**************************************/
+    cancel() {
+        /* Cancels the I/O currently in process */
+
+        if (this.busy) {
+            this.canceled = true;
+        }
+    }
+
+    /**************************************/
+    async moveTape(chars) {
+        /* Simulates tape motion over "chars" character positions plus an
+        inter-block gap, including any start time still in effect from the
+        prior motion */
+        const now = performance.now();
+        let stamp = Math.max(now, this.nextStartStamp - MagTape.startStopTime);
+
+        stamp += (chars + MagTape.gapChars)*MagTape.charPeriod*Util.timingFactor;
+        await this.timer.delayUntil(stamp);
+        this.nextStartStamp = performance.now() + MagTape.startStopTime;
+    }
+
+    /**************************************/
+    async read() {
+        /* Reads the next block from tape, sending its frame codes to the
+        Processor's I/O subsystem until a Stop code is encountered. If the next
+        block is a file code, passes over it and terminates the read without
+        sending any codes. Returns true if no tape is mounted or an attempt is
+        made to read past the end of recorded data, leaving the I/O hanging */
+        let code = 0;                   // current G-15 tape code
+        let nextFrameStamp = performance.now();         // time of next character frame
+        let precessionComplete = Promise.resolve();     // signals drum is ready for next char
+
+        if (!this.ready || this.rewinding || this.blockNr >= this.blocks.length) {
+            return true;                // just quit and leave the I/O hanging
+        }
+
+        this.canceled = false;
+        this.makeBusy(true);
+        const block = this.blocks[this.blockNr];
+        if (block === null) {           // file code: pass over it
+            await this.moveTape(MagTape.fileCodeChars);
+        } else {
+            // Simulate the tape start time.
+            nextFrameStamp = Math.max(nextFrameStamp, this.nextStartStamp) + MagTape.startStopTime;
+            for (let x=0; x<block.length; ++x) {
+                code = block[x];
+                await this.timer.delayUntil(nextFrameStamp);
+                nextFrameStamp += MagTape.charPeriod*Util.timingFactor;
+
+                // Wait for any line 23 precession to complete.
+                if (this.canceled) {
+                    await precessionComplete;
+                    break;
+                } else if (await precessionComplete) {
+                    break;              // some error detected by Processor -- quit
+                } else {
+                    // Send the tape code to the Processor.
+                    precessionComplete = this.processor.receiveInputCode(code);
+                    if (this.isStopCode(code)) {
+                        await precessionComplete;
+                        break;          // end of block -- quit
+                    }
+                }
+            }
+
+            this.nextStartStamp = nextFrameStamp + MagTape.startStopTime;
+        }
+
+        ++this.blockNr;                 // the tape is now past this block
+        this.canceled = false;
+        this.makeBusy(false);
+        this.updateStatus();
+        return false;
+    }
+
+    /**************************************/
+    startWrite() {
+        /* Prepares to write a block to tape at the current position. Returns
+        true if no tape is mounted or the tape is not write-enabled, leaving
+        the I/O hanging */
+
+        if (!this.ready || this.rewinding || !this.writeEnabled) {
+            return true;
+        }
+
+        this.canceled = false;
+        this.writing = true;
+        this.writeBuffer = [];
+        this.blocks.length = this.blockNr;      // writing erases the rest of the tape
+        this.makeBusy(true);
+        this.updateStatus();
+        return false;
+    }
+
+    /**************************************/
+    write(code) {
+        /* Records one frame code in the block being written */
+
+        if (this.writing) {
+            this.writeBuffer.push(code);
+        }
+    }
+
+    /**************************************/
+    finishWrite() {
+        /* Terminates the block being written, recording it on tape. If the
+        write was canceled before any codes were written, nothing is recorded */
+        const buf = this.writeBuffer;
+
+        if (this.writing) {
+            this.writing = false;
+            if (buf.length > 0) {
+                if (!this.isStopCode(buf[buf.length-1])) {
+                    buf.push(IOCodes.ioCodeStop);
+                }
+
+                this.blocks.push(Uint8Array.from(buf));
+                ++this.blockNr;
+                this.nextStartStamp = performance.now() + MagTape.startStopTime;
+            }
+
+            this.writeBuffer = [];
+            this.canceled = false;
+            this.makeBusy(false);
+            this.updateStatus();
+        }
+    }
+
+    /**************************************/
+    async writeFileCode() {
+        /* Records a file code (tape mark) at the current position. Returns
+        true if no tape is mounted or the tape is not write-enabled, leaving
+        the I/O hanging */
+
+        if (!this.ready || this.rewinding || !this.writeEnabled) {
+            return true;
+        }
+
+        this.makeBusy(true);
+        this.blocks.length = this.blockNr;      // writing erases the rest of the tape
+        await this.moveTape(MagTape.fileCodeChars);
+        this.blocks.push(null);
+        ++this.blockNr;
+        this.makeBusy(false);
+        this.updateStatus();
+        return false;
+    }
+
+    /**************************************/
+    async search(count, reverse) {
+        /* Moves the tape forward or reverse over "count" blocks without
+        transferring any data. If "count" is zero, the search continues until
+        a file code is passed. In either case, a forward search stops after
+        passing a file code, leaving the tape positioned at the beginning of
+        the next file. A reverse search stops in front of a file code, so that
+        the next forward read will pass over it. Returns true if the search
+        runs off either end of the tape, leaving the I/O hanging */
+        let passed = 0;                 // blocks passed so far
+        let result = false;
+
+        if (!this.ready || this.rewinding) {
+            return true;
+        }
+
+        this.canceled = false;
+        this.makeBusy(true);
+        do {
+            if (this.canceled) {
+                break;
+            } else if (reverse) {
+                if (this.blockNr <= 0) {
+                    result = true;      // ran into the load point
+                    break;
+                }
+
+                const block = this.blocks[this.blockNr-1];
+                await this.moveTape(block === null ? MagTape.fileCodeChars : block.length);
+                --this.blockNr;
+                ++passed;
+                this.updateStatus();
+                if (block === null) {
+                    break;              // stop in front of the file code
+                }
+            } else {
+                if (this.blockNr >= this.blocks.length) {
+                    result = true;      // ran off the end of recorded data
+                    break;
+                }
+
+                const block = this.blocks[this.blockNr];
+                await this.moveTape(block === null ? MagTape.fileCodeChars : block.length);
+                ++this.blockNr;
+                ++passed;
+                this.updateStatus();
+                if (block === null) {
+                    break;              // stop after the file code
+                }
+            }
+        } while (count == 0 || passed < count);
+
+        this.canceled = false;
+        this.makeBusy(false);
+        return result;
+    }
+
+    /**************************************/
+    async rewind() {
+        /* Rewinds the tape to its load point */
+
+        if (!this.rewinding) {
+            this.rewinding = true;
+            this.makeBusy(true);
+            while (this.blockNr > 0) {
+                --this.blockNr;
+                this.updateStatus();
+                await this.timer.set(MagTape.startStopTime);
+            }
+
+            this.makeBusy(false);
+            this.rewinding = false;
+            this.updateStatus();
+        }
+    }
+
+    /**************************************/
+    shutDown() {
+        /* Shuts down the device. If the window open failed and onLoad didn't
+        run, do nothing because this.window, etc., didn't get initialized */
+
+        this.timer.clear();
+        if (this.window) {
+            this.$$("MTFileSelector").removeEventListener("change", this.boundFileSelectorChange);
+            this.$$("MTControlsDiv").removeEventListener("click", this.boundControlClick);
+            this.$$("MTWriteEnable").removeEventListener("change", this.boundWriteEnableChange);
+
+            this.config.putWindowGeometry(this.window, "MagTape");
+            this.window.removeEventListener("beforeunload", this.beforeUnload);
+            this.window.close();
+        }
+    }
+
+} // class MagTape
@@ -13,23 +13,28 @@
 ************************************************************************
 * 2022-03-24  P.Kimpel
 *   Original version, from retro-205 D205ConsoleInput.js.
+* 2026-10-19  P.Kimpel
+*   Fix Reload/Stop line breaks in .pti output; correct the leader frame
+*   period comment.
+*   Encode tape images with emulator/TapeCodec.js, which punches the wait
+*   code as "H" in .pti output.
+*   Use Util.btoaUint8() to encode saved binary images.
+*   Take the buffer limit from emulator/TapeCodec.js.
 ***********************************************************************/
 
 export {PaperTapePunch};
 
 import * as Util from "../emulator/Util.js";
 import * as IOCodes from "../emulator/IOCodes.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+
 import {openPopup} from "./PopupUtil.js";
 
 class PaperTapePunch {
 
-    static bufferLimit = 0x3FFFF;       // maximum output that will be buffered (about 4 hours worth)
     static viewMax = 60;                // characters retained in the tape view (originally 90)
     static punchLeaderCount = 75;       // blank frames in a tape leader
     static interpunct = "\u00B7";       // middle-dot for blank frames in the PTView box
-    static tapeCodes = [
-        " ", "-", "C", "T", "S", "/", ".", "~", " ", "-", "C", "T", "S", "/", ".", "~",
-        "0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "u", "v", "w", "x", "y", "z"];
 
     constructor(context) {
         /* Initializes and wires up events for the Paper Tape punch.
@@ -45,7 +50,7 @@ class PaperTapePunch {
         this.doc = this.window.document;
         this.tapeView = $$("PTView");
         this.boundMenuClick = this.menuClick.bind(this);
-        this.buffer = new Uint8Array(PaperTapePunch.bufferLimit+1);
+        this.buffer = new Uint8Array(TapeCodec.punchBufferLimit+1);
 
         this.clear();
 
@@ -75,10 +80,11 @@ class PaperTapePunch {
 
     /**************************************/
     async punchLeaderFrames() {
-        /* Initiates and terminates punching tape-feed frames */
+        /* Initiates and terminates punching tape-feed frames for the punch's
+        manual feed button */
         const buf = this.buffer;
-        const timer = new Util.Timer();
-        const framePeriod = Util.drumCycleTime*2;       // about 17.2ms at 1800 RPM
+        const timer = new Util.Timer(true);
+        const framePeriod = Util.drumCycleTime*2;       // about 58ms at 1800 RPM
         let len = this.bufLength;
         let nextFrameStamp = performance.now();
 
@@ -86,7 +92,7 @@ class PaperTapePunch {
         for (let x=PaperTapePunch.punchLeaderCount; x>0; --x) {
             nextFrameStamp += framePeriod;
             await timer.delayUntil(nextFrameStamp);
-            if (len >= PaperTapePunch.bufferLimit) {
+            if (len >= TapeCodec.punchBufferLimit) {
                 break;
             } else {
                 this.buffer[len] = IOCodes.ioCodeSpace;
@@ -107,50 +113,6 @@ class PaperTapePunch {
         this.bufLength = len;
     }
 
-    /**************************************/
-    btoaUint8(bytes, start, end) {
-        /* Converts a Uint8Array directly to base-64 encoding without using
-        window.btoa and returns the base-64 string. "start" is the 0-relative
-        index to the first byte; "end" is the 0-relative index to the ending
-        byte + 1. Adapted from https://gist.github.com/jonleighton/958841 */
-        let b64 = "";
-        const byteLength = end - start;
-        const remainderLength = byteLength % 3;
-        const mainLength = byteLength - remainderLength;
-
-        const encoding = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
-
-        // Main loop deals with bytes in chunks of 3.
-        for (let i=start; i<mainLength; i+=3) {
-            // Combine the three bytes into a single integer.
-            const chunk = (((bytes[i] << 8) | bytes[i+1]) << 8) | bytes[i+2];
-
-            // Extract 6-bit segments from the triplet and convert to the ASCII encoding.
-            b64 += encoding[(chunk & 0xFC0000) >> 18] +
-                   encoding[(chunk &  0x3F000) >> 12] +
-                   encoding[(chunk &    0xFC0) >>  6] +
-                   encoding[chunk &      0x3F];
-        }
-
-        // Deal with any remaining bytes and padding.
-        if (remainderLength == 1) {
-           // Encode the high-order 6 and low-order 2 bits, and add padding.
-           const chunk = bytes[mainLength];
-           b64 += encoding[(chunk & 0xFC) >> 2] +
-                  encoding[(chunk & 0x03) << 4] + "==";
-        } else if (remainderLength == 2) {
-           // Encode the high-order 6 bits of the first byte, plus the low-order
-           // 2 bits of the first byte with the high-order 4 bits of the second
-           // byte, and add padding.
-           const chunk = (bytes[mainLength] << 8) | bytes[mainLength+1];
-           b64 += encoding[(chunk & 0xFC00) >> 10] +
-                  encoding[(chunk &  0x3F0) >> 4] +
-                  encoding[(chunk &    0xF) << 2] + "=";
-        }
-
-        return b64;
-    }
-
     /**************************************/
     extractTape() {
         /* Copies the text contents of the "paper" area of the device, opens a new
@@ -162,22 +124,7 @@ class PaperTapePunch {
                 this, (ev) => {
             const doc = ev.target;
             const win = doc.defaultView;
-            const buf = this.buffer;
-            const len = this.bufLength;
-            let text = "";
-
-            for (let x=0; x<len; ++x) {
-                const code = buf[x];
-                text += PaperTapePunch.tapeCodes[code];
-                switch (code) {
-                case IOCodes.IOCodeReload:
-                    text += "\n";
-                    break;
-                case IOCodes.IOCodeStop:
-                    text += "\n\n";
-                    break;
-                }
-            }
+            const text = TapeCodec.encodePTI(this.buffer.subarray(0, this.bufLength));
 
             doc.title = "retro-g15 Paper Tape Punch Output";
             win.moveTo((screen.availWidth-win.outerWidth)/2, (screen.availHeight-win.outerHeight)/2);
@@ -190,27 +137,7 @@ class PaperTapePunch {
         /* Converts the punch buffer to PTI format, builds a DataURL, and
         constructs a link to cause the URL to be "downloaded" to the local
         device */
-        const buf = this.buffer;
-        const len = this.bufLength;
-        let text = "";
-
-        for (let x=0; x<len; ++x) {
-            const code = buf[x];
-            text += PaperTapePunch.tapeCodes[code];
-            switch (code) {
-            case IOCodes.IOCodeReload:
-                text += "\n";
-                break;
-            case IOCodes.IOCodeStop:
-                text += "\n\n";
-                break;
-            }
-        }
-
-        if (!text.endsWith("\n")) {     // make sure there's a final new-line
-            text += "\n";
-        }
-
+        const text = TapeCodec.encodePTI(this.buffer.subarray(0, this.bufLength));
         const url = `data:text/plain,${encodeURIComponent(text)}`;
         const hiddenLink = this.doc.createElement("a");
         hiddenLink.setAttribute("download", "retro-g15-Paper-Tape.pti");
@@ -223,9 +150,9 @@ class PaperTapePunch {
         /* Converts the punch buffer to PT format, builds a DataURL, and
         constructs a link to cause the URL to be "downloaded" to the local
         device */
-
+        const image = TapeCodec.encodePT(this.buffer.subarray(0, this.bufLength));
         const url = "data:application/octet-stream;base64," +
-                    this.btoaUint8(this.buffer, 0, this.bufLength);
+                    Util.btoaUint8(image, 0, image.length);
         const hiddenLink = this.doc.createElement("a");
         hiddenLink.setAttribute("download", "retro-g15-Paper-Tape.pt");
         hiddenLink.setAttribute("href", url);
@@ -237,16 +164,9 @@ class PaperTapePunch {
         /* Converts the punch buffer to PTR format, builds a DataURL, and
         constructs a link to cause the URL to be "downloaded" to the local
         device */
-        const buf = this.buffer;
-        const len = this.bufLength;
-        const image = new Uint8Array(len);
-
-        for (let x=0; x<len; ++x) {     // reverse channel bits in each byte
-            image[x] = IOCodes.rev5Bits[buf[x]];
-        }
-
+        const image = TapeCodec.encodePTR(this.buffer.subarray(0, this.bufLength));
         const url = "data:application/octet-stream;base64," +
-                    this.btoaUint8(image, 0, len);
+                    Util.btoaUint8(image, 0, image.length);
         const hiddenLink = this.doc.createElement("a");
         hiddenLink.setAttribute("download", "retro-g15-Paper-Tape.ptr");
         hiddenLink.setAttribute("href", url);
@@ -331,7 +251,7 @@ class PaperTapePunch {
 
         if (this.busy) {
             this.makeBusy(false);
-            this.canceled = true;       // currently affects nothing
+            this.canceled = true;       // Processor stops its output loop via canceledIO
         }
     }
 
@@ -342,9 +262,9 @@ class PaperTapePunch {
         characters per second, but the timing was controlled by the Processor,
         which sent codes to the device at a rate of one every two drum cycles,
         about 17.2 characters per second */
-        let char = PaperTapePunch.tapeCodes[code];
+        let char = TapeCodec.ptiCodes[code];
 
-        if (this.bufLength < PaperTapePunch.bufferLimit) {
+        if (this.bufLength < TapeCodec.punchBufferLimit) {
             this.buffer[this.bufLength] = code;
             ++this.bufLength;
             if (code == IOCodes.ioCodeSpace) {
@@ -51,35 +51,33 @@
 ************************************************************************
 * 2022-03-15  P.Kimpel
 *   Original version, from retro-205 D205ConsoleInput.js.
+* 2026-10-19  P.Kimpel
+*   Add getState() and setState() for machine-state snapshots.
+*   Load ".sym" and ".lst" files into the Processor's symbol table instead
+*   of mounting them as tapes.
+*   Decode tape images with emulator/TapeCodec.js.
+*   Validate tape images as they are mounted and show the check report.
+*   Index the blocks on the tape and position it to a block selected from
+*   the index.
+*   Queue multiple tape images in a magazine, mounting the next one when
+*   the current tape is read to its end.
+*   Keep the tapes read from the magazine, change tapes only between
+*   blocks, and reverse and rewind across the tapes in the magazine.
+*   Move the tape transport to emulator/PaperTapeTransport.js, shared with
+*   the headless reader, and the PPR tape image to emulator/.
 ***********************************************************************/
 
 export {PaperTapeReader};
 
 import * as Util from "../emulator/Util.js";
 import * as IOCodes from "../emulator/IOCodes.js";
-import * as PPRTapeImage from "./resources/PPRTapeImage.js";
+import * as TapeCodec from "../emulator/TapeCodec.js";
+import * as PaperTapeTransport from "../emulator/PaperTapeTransport.js";
+import * as PPRTapeImage from "../emulator/PPRTapeImage.js";
 
-class PaperTapeReader {
-
-    // Static properties
-
-    static averageSpeed = 250;          // frames/sec
-    static framesPerInch = 10;          // frame pitch on the tape
-    static midpointDiameter = 3.6;      // spool diameter at midpoint of max-length tape, in
-    static startStopFrames = 35;        // 3.5 inches of tape
-    static tapeThickness = 0.1/25.4;    // 0.100mm = 0.003937in
-    static hubDiameter = 1.0            // diameter of take-up reel hub, inch
-    static hubCircumference = PaperTapeReader.hubDiameter*Math.PI;
-    static hubRPS =                     // take-up hub speed, rev/sec
-             PaperTapeReader.averageSpeed/PaperTapeReader.hubCircumference/PaperTapeReader.framesPerInch;
+import {TapeValidator} from "../emulator/TapeValidator.js";
 
-    static tapeWords = 2500;            // max words in a tape cartridge, about 170 feet of tape
-                                        // (see https://en.wikipedia.org/wiki/Bendix_G-15)
-    static spoolAlpha = Math.PI*(1 + 2*PaperTapeReader.tapeThickness);  // spool diameter growth factor
-    static tapeFrames = PaperTapeReader.tapeWords*Util.wordBits/4; // max frames in a tape cartridge
-
-    static commentRex = /#[^\x0D\x0A]*/g;
-    static newLineRex = /[\x0D\x0A\x0C]+/g;
+class PaperTapeReader {
 
     constructor(context) {
         /* Initializes and wires up events for the Paper Tape Reader.
@@ -91,10 +89,15 @@ class PaperTapeReader {
         let $$ = this.$$ = context.$$;
         this.processor = context.processor;
         this.tapeSupplyBar = $$("PRTapeSupplyBar");
-        this.timer = new Util.Timer();
+        this.timer = new Util.Timer(true);
         this.boundFileSelectorChange = this.fileSelectorChange.bind(this);
         this.boundRewindButtonClick = this.rewindButtonClick.bind(this);
         this.boundUnloadButtonClick = this.unloadButtonClick.bind(this);
+        this.boundReportClick = this.reportClick.bind(this);
+        this.boundBlockPanelClick = this.blockPanelClick.bind(this);
+        this.boundMagazinePanelClick = this.magazinePanelClick.bind(this);
+        this.boundReaderDragOver = this.readerDragOver.bind(this);
+        this.boundReaderDrop = this.readerDrop.bind(this);
 
         this.framePeriod = 0;                           // reader speed, ms/frame
         this.startStopTime = 0;                         // reader start/stop time, ms
@@ -105,6 +108,11 @@ class PaperTapeReader {
         $$("PRRewindBtn").addEventListener("click", this.boundRewindButtonClick);
         $$("PRUnloadBtn").addEventListener("click", this.boundUnloadButtonClick);
         $$("PRUnloadCaption").addEventListener("click", this.boundUnloadButtonClick);
+        $$("PRCheckDiv").addEventListener("click", this.boundReportClick);
+        $$("PRBlockNrDiv").addEventListener("click", this.boundBlockPanelClick);
+        $$("PRMagazineDiv").addEventListener("click", this.boundMagazinePanelClick);
+        $$("PaperTapeReader").addEventListener("dragover", this.boundReaderDragOver);
+        $$("PaperTapeReader").addEventListener("drop", this.boundReaderDrop);
     }
 
     /**************************************/
@@ -115,6 +123,8 @@ class PaperTapeReader {
         this.busy = false;              // an I/O is in progress
         this.canceled = false;          // current I/O canceled
         this.rewinding = false;         // tape is currently rewinding
+        this.magazine = [];             // tapes loaded into the reader, in reading order
+        this.tapeNr = -1;               // index in this.magazine of the mounted tape
 
         this.blockNr = 0;               // current tape image block number
         this.buffer = null;             // reader input buffer (paper-tape reel)
@@ -127,31 +137,27 @@ class PaperTapeReader {
         this.setReaderEmpty();
     }
 
-    /**************************************/
-    setReaderSpeed(bufIndex) {
-        /* Configures the reader to match the current drum rotational speed and
-        length of tape wound on the take-up hub. "bufIndex" is the offset into
-        the tape buffer */
-        const tapeLen = bufIndex/PaperTapeReader.framesPerInch;                 // in
-        const spoolDiameter = tapeLen/PaperTapeReader.spoolAlpha*2*PaperTapeReader.tapeThickness +
-                PaperTapeReader.hubDiameter;                                    // in
-        const tapeSpeed = Math.PI*spoolDiameter*PaperTapeReader.hubRPS*PaperTapeReader.framesPerInch; // frames/sec
-
-        this.speed = Math.min(tapeSpeed*Util.timingFactor, 2500);               // frames/sec
-        this.framePeriod = 1000/this.speed;                                     // ms/frame
-        this.startStopTime = this.framePeriod*PaperTapeReader.startStopFrames;  // ms
-    }
-
     /**************************************/
     setReaderEmpty() {
-        /* Sets the reader to a not-ready status and empties the buffer */
+        /* Sets the reader to a not-ready status, empties the buffer, and
+        discards any tapes queued in the magazine */
 
         this.ready = false;
         this.tapeSupplyBar.value = 0;
         this.buffer = "";                   // discard the input buffer
         this.bufLength = 0;
         this.bufIndex = 0;
+        this.dataEnd = 0;                   // index after the last non-blank frame in the buffer
+        this.tapeName = "";                 // file name of the mounted tape
+        this.tapeComments = [];             // .pti comments, by frame index in the buffer
+        this.blockIndex = [];               // blocks detected on the tape
+        this.magazine = [];
+        this.tapeNr = -1;
         this.setBlockNr(0);
+        this.clearCheckReport();
+        this.blockPanelClose();
+        this.magazinePanelClose();
+        this.setMagazineStatus();
         this.$$("PRFileSelector").value = null; // reset the control so the same file can be reloaded
         this.$$("PRFormatSelect").selectedIndex = 0     // default to Auto
     }
@@ -167,7 +173,8 @@ class PaperTapeReader {
 
     /**************************************/
     unloadButtonClick(ev) {
-        /* Clears the internal tape buffer in response to the UNLOAD button */
+        /* Clears the internal tape buffer and the magazine in response to the
+        UNLOAD button */
 
         if (this.ready && !this.busy) {
             this.setReaderEmpty();
@@ -175,114 +182,393 @@ class PaperTapeReader {
     }
 
     /**************************************/
-    stripComments(buf) {
-        /* Strips "#" comments from a text buffer, returning a new buffer */
+    mountTape(tapeNr, atEnd=false) {
+        /* Mounts tape "tapeNr" of the magazine in the reader in place of the
+        current one. Each tape in the magazine is an object with properties:
+            name        file name of the tape image
+            frames      Uint8Array of G-15 binary hole patterns decoded from
+                        the image
+            comments    array of the image's .pti comments as returned by
+                        TapeCodec.ptiComments()
+        Positions the tape at its beginning, or at its end if "atEnd" is true,
+        indexes its blocks, and sets the reader ready */
+        const tape = this.magazine[tapeNr];
+
+        this.tapeNr = tapeNr;
+        this.tapeName = tape.name;
+        this.buffer = tape.frames;
+        this.bufLength = tape.frames.length;
+        this.dataEnd = this.bufLength;
+        while (this.dataEnd > 0 && this.buffer[this.dataEnd-1] == IOCodes.ioCodeSpace) {
+            --this.dataEnd;
+        }
 
-        return buf.replace(PaperTapeReader.commentRex, "").replace(PaperTapeReader.newLineRex, "");
+        this.tapeComments = tape.comments;
+        this.blockPanelClose();
+        this.indexBlocks();
+        this.bufIndex = (atEnd ? this.bufLength : 0);
+        this.setBlockNr(atEnd ? this.blockIndex.length : 0);
+        this.tapeSupplyBar.max = this.bufLength;
+        this.tapeSupplyBar.value = this.bufLength - this.bufIndex;
+        this.ready = true;
+        this.setMagazineStatus();
+    }
+
+    /**************************************/
+    queueTape(name, frames, comments=[]) {
+        /* Adds a tape decoded from an image file to the end of the magazine.
+        If the reader is empty and idle, the tape is mounted immediately;
+        otherwise the reader will mount it when it reaches the end of the
+        tapes ahead of it */
+
+        this.magazine.push({name, frames, comments});
+        if (!this.ready && !this.busy && !this.rewinding) {
+            this.mountTape(this.magazine.length-1);
+        } else {
+            this.setMagazineStatus();
+        }
     }
 
     /**************************************/
-    prepareBuffer(imageLength) {
-        /* Prepares this.buffer for more image data by assuring that there is
-        sufficient room, resizing it if necessary. If any existing buffer has
-        been read to its end, the buffer is treated as empty and its existing
-        image data is discarded */
-        let bufIndex = this.bufIndex;
-        let bufLength = this.bufLength;
+    nextTape() {
+        /* Mounts the tape following the current one in the magazine, at its
+        beginning. Returns true if there was a tape to mount */
 
-        if (!this.buffer) {
-            this.buffer = new Uint8Array(imageLength);
-            bufIndex = bufLength = 0;
+        if (this.tapeNr+1 < this.magazine.length) {
+            this.mountTape(this.tapeNr+1);
+            return true;
+        } else {
+            return false;
         }
+    }
+
+    /**************************************/
+    priorTape() {
+        /* Mounts the tape preceding the current one in the magazine, at its
+        end. Returns true if there was a tape to mount */
 
-        if (this.buffer.length - bufLength < imageLength) {
-            // Not enough room in the current buffer, so resize it
-            const oldBuf = this.buffer;
-            this.buffer = new Uint8Array(bufLength + imageLength);
-            this.buffer.set(oldBuf, 0);
-            bufLength += imageLength;
+        if (this.tapeNr > 0) {
+            this.mountTape(this.tapeNr-1, true);
+            return true;
+        } else {
+            return false;
         }
+    }
 
-        this.bufIndex = bufIndex;
-        this.bufLength = bufLength;
+    /**************************************/
+    indexBlocks() {
+        /* Builds this.blockIndex, the array of blocks on the tape in the
+        buffer as detected by TapeCodec.readBlocks(), labeled by the .pti
+        comments that precede them */
+        const frames = this.buffer.subarray(0, this.bufLength);
+
+        this.blockIndex = TapeCodec.labelBlocks(TapeCodec.readBlocks(frames),
+                frames, this.tapeComments).map((block) => {
+            return {start: block.start, length: block.length, label: block.label};
+        });
     }
 
     /**************************************/
-    loadAsPTR(arrayBuffer) {
+    loadAsPTR(arrayBuffer, name="") {
         /* Load the image file as binary in .ptr format, which yields G-15
         binary hole patterns after reversing the low-order five bits in each
         byte */
-        const image = new Uint8Array(arrayBuffer);
-        const imageLength = image.length;
-        let bufLength = this.bufLength;
 
-        console.debug("loadAsPT");
-        this.prepareBuffer(imageLength);
-        bufLength = this.bufLength;
+        this.queueTape(name, TapeCodec.decodePTR(arrayBuffer));
+    }
+
+    /**************************************/
+    loadAsPT(arrayBuffer, name="") {
+        /* Load the image file as binary in .pt format, which directly yields
+        G-15 binary hole patterns */
+
+        this.queueTape(name, TapeCodec.decodePT(arrayBuffer));
+    }
+
+    /**************************************/
+    loadAsPTI(image, name="") {
+        /* Load the image file as ASCII text in .pti format and converts it to
+        G-15 binary hole patterns. Simply bypasses any invalid tape image
+        characters and comments as if they did not exist. */
+
+        this.queueTape(name, TapeCodec.decodePTI(image), TapeCodec.ptiComments(image));
+    }
+
+    /**************************************/
+    clearCheckReport() {
+        /* Discards the check report for the tape in the reader */
+
+        this.checkReport = "";          // text of the check report
+        this.checkWarnings = 0;         // number of warnings in the check report
+        this.reportClose();
+        this.setCheckStatus();
+    }
+
+    /**************************************/
+    checkTape(fileName, image, format) {
+        /* Validates a tape image being mounted in "format" and adds its
+        analysis to the check report for the tape in the reader */
+        const report = TapeValidator.validate(image, format);
+
+        this.checkReport += TapeValidator.formatReport(report, fileName) + "\n";
+        this.checkWarnings += report.warnings.length;
+        this.setCheckStatus();
+    }
+
+    /**************************************/
+    setCheckStatus() {
+        /* Updates the check status indicator in the reader panel */
+        const div = this.$$("PRCheckDiv");
 
-        for (let x=0; x<imageLength; ++x) {
-            this.buffer[bufLength++] = IOCodes.rev5Bits[image[x] & 0b11111];
+        if (this.checkWarnings) {
+            div.textContent = `${this.checkWarnings} WARNING${this.checkWarnings > 1 ? "S" : ""}`;
+            div.classList.add("warning");
+        } else {
+            div.textContent = (this.checkReport ? "Check OK" : "");
+            div.classList.remove("warning");
         }
+    }
 
-        this.bufLength = bufLength;
-        this.$$("PRTapeSupplyBar").max = bufLength;
-        this.$$("PRTapeSupplyBar").value = bufLength - this.bufIndex;
-        this.ready = true;
+    /**************************************/
+    reportOpen() {
+        /* Opens the check report panel and wires up events */
+
+        this.$$("PRReportText").textContent = this.checkReport;
+        this.$$("PRReport").style.display = "block";
+        this.$$("PRReportCloseBtn").addEventListener("click", this.boundReportClick);
     }
 
     /**************************************/
-    loadAsPT(arrayBuffer) {
-        /* Load the image file as binary in .pt format, which directly yields
-        G-15 binary hole patterns */
-        const image = new Uint8Array(arrayBuffer);
-        const imageLength = image.length;
-        let bufLength = this.bufLength;
+    reportClose() {
+        /* Closes the check report panel and disconnects events */
 
-        console.debug("loadAsPTR");
-        this.prepareBuffer(imageLength);
-        bufLength = this.bufLength;
+        this.$$("PRReportCloseBtn").removeEventListener("click", this.boundReportClick);
+        this.$$("PRReport").style.display = "none";
+    }
 
-        for (let x=0; x<imageLength; ++x) {
-            this.buffer[bufLength++] = image[x] & 0b11111;
+    /**************************************/
+    reportClick(ev) {
+        /* Event handler for the check status indicator and the report's
+        Close button */
+
+        switch (ev.target.id) {
+        case "PRCheckDiv":
+            if (this.checkReport) {
+                this.reportOpen();
+            }
+            break;
+        case "PRReportCloseBtn":
+            this.reportClose();
+            break;
         }
+    }
 
-        this.bufLength = bufLength;
-        this.$$("PRTapeSupplyBar").max = bufLength;
-        this.$$("PRTapeSupplyBar").value = bufLength - this.bufIndex;
-        this.ready = true;
+    /**************************************/
+    positionToBlock(blockNr) {
+        /* Positions the tape at the beginning of block "blockNr" (1-relative)
+        in this.blockIndex, so that it will be the next block read */
+        const block = this.blockIndex[blockNr-1];
+
+        if (block && this.ready && !this.busy && !this.rewinding) {
+            this.bufIndex = block.start;
+            this.setBlockNr(blockNr-1);
+            this.tapeSupplyBar.value = this.bufLength - this.bufIndex;
+        }
     }
 
     /**************************************/
-    loadAsPTI(image) {
-        /* Load the image file as ASCII text in .pti format and converts it to
-        G-15 binary hole patterns. Simply bypasses any invalid tape image
-        characters and comments as if they did not exist. */
-        const text = this.stripComments(image);
-        const imageLength = text.length;
-        let code = 0;
-
-        console.debug("loadAsPTI");
-        this.prepareBuffer(imageLength);
-        let bufLength = this.bufLength;
-
-        for (const char of text) {
-            code = IOCodes.ioCodeFilter[char.charCodeAt(0) & 0x7F];
-            if (code < 0xFF) {          // not an ignored character
-                this.buffer[bufLength++] = code;
+    blockPanelOpen() {
+        /* Opens the block index panel, listing the blocks on the tape with
+        the next block to be read selected, and wires up events */
+        const list = this.$$("PRBlockList");
+
+        list.textContent = "";
+        for (let x=0; x<this.blockIndex.length; ++x) {
+            const block = this.blockIndex[x];
+            const option = document.createElement("option");
+            option.value = x+1;
+            option.textContent = `${(x+1).toString().padStart(3, "\u00A0")}: ` +
+                    `${block.length.toString().padStart(3, "\u00A0")} words` +
+                    (block.label ? `\u00A0\u00A0${block.label}` : "");
+            list.appendChild(option);
+        }
+
+        list.selectedIndex = Math.min(this.blockNr, this.blockIndex.length-1);
+        this.$$("PRBlockPanel").style.display = "block";
+        this.$$("PRBlockPanel").addEventListener("click", this.boundBlockPanelClick);
+        list.addEventListener("dblclick", this.boundBlockPanelClick);
+    }
+
+    /**************************************/
+    blockPanelClose() {
+        /* Closes the block index panel and disconnects events */
+
+        this.$$("PRBlockList").removeEventListener("dblclick", this.boundBlockPanelClick);
+        this.$$("PRBlockPanel").removeEventListener("click", this.boundBlockPanelClick);
+        this.$$("PRBlockPanel").style.display = "none";
+    }
+
+    /**************************************/
+    blockPanelClick(ev) {
+        /* Event handler for the block number annunciator and the controls of
+        the block index panel. A double-click on a block in the list positions
+        the tape to it, as does the Position button */
+
+        switch (ev.target.id) {
+        case "PRBlockNrDiv":
+        case "PRBlockNr":
+            if (this.ready && !this.busy && !this.rewinding && this.blockIndex.length) {
+                this.blockPanelOpen();
+            }
+            break;
+        case "PRBlockPositionBtn":
+            this.positionToBlock(this.$$("PRBlockList").selectedIndex+1);
+            this.blockPanelClose();
+            break;
+        case "PRBlockCloseBtn":
+            this.blockPanelClose();
+            break;
+        default:
+            if (ev.type == "dblclick") {
+                this.positionToBlock(this.$$("PRBlockList").selectedIndex+1);
+                this.blockPanelClose();
             }
+            break;
         }
+    }
 
-        this.bufLength = bufLength;
-        this.$$("PRTapeSupplyBar").max = bufLength;
-        this.$$("PRTapeSupplyBar").value = bufLength - this.bufIndex;
-        this.ready = true;
+    /**************************************/
+    setMagazineStatus() {
+        /* Updates the magazine annunciator in the reader panel with the name
+        of the mounted tape and its position in the magazine, and refreshes
+        the magazine panel if it is open */
+        const tapes = this.magazine.length;
+
+        this.$$("PRMagazineDiv").textContent = this.tapeName +
+                (tapes > 1 ? ` (tape ${this.tapeNr+1} of ${tapes})` : "");
+        if (this.$$("PRMagazinePanel").style.display == "block") {
+            this.fillMagazineList();
+        }
+    }
+
+    /**************************************/
+    fillMagazineList() {
+        /* Lists the tapes in the magazine in the order they will be read,
+        marking the mounted tape, in the magazine panel */
+        const list = this.$$("PRMagazineList");
+        const selected = list.selectedIndex;
+
+        this.$$("PRMagazineTape").textContent = this.ready ?
+                `Mounted: ${this.tapeName || "(unnamed)"}, block ${this.blockNr} of ${this.blockIndex.length}` :
+                "No tape mounted";
+        list.textContent = "";
+        for (let x=0; x<this.magazine.length; ++x) {
+            const tape = this.magazine[x];
+            const option = document.createElement("option");
+            option.value = x;
+            option.textContent = `${x == this.tapeNr ? "*" : "\u00A0"}${(x+1).toString().padStart(2, "\u00A0")}: ` +
+                    `${tape.name || "(unnamed)"}, ${tape.frames.length} frames`;
+            list.appendChild(option);
+        }
+
+        list.selectedIndex = Math.min(selected, this.magazine.length-1);
+    }
+
+    /**************************************/
+    magazinePanelOpen() {
+        /* Opens the magazine panel and wires up events */
+
+        this.$$("PRMagazinePanel").style.display = "block";
+        this.fillMagazineList();
+        this.$$("PRMagazinePanel").addEventListener("click", this.boundMagazinePanelClick);
+    }
+
+    /**************************************/
+    magazinePanelClose() {
+        /* Closes the magazine panel and disconnects events */
+
+        this.$$("PRMagazinePanel").removeEventListener("click", this.boundMagazinePanelClick);
+        this.$$("PRMagazinePanel").style.display = "none";
+    }
+
+    /**************************************/
+    magazinePanelClick(ev) {
+        /* Event handler for the magazine annunciator and the controls of the
+        magazine panel. Next Tape skips the rest of the mounted tape and
+        mounts the next one in the magazine; Move Up and Remove act on the
+        tape selected in the list, which may not be the mounted one */
+        const x = this.$$("PRMagazineList").selectedIndex;
+        const t = this.tapeNr;
+
+        switch (ev.target.id) {
+        case "PRMagazineDiv":
+            if (this.ready) {
+                this.magazinePanelOpen();
+            }
+            break;
+        case "PRMagazineNextBtn":
+            if (!this.busy && !this.rewinding) {
+                this.nextTape();
+            }
+            break;
+        case "PRMagazineUpBtn":
+            if (x > 0 && x != t && x-1 != t) {
+                this.magazine.splice(x-1, 0, ...this.magazine.splice(x, 1));
+                this.$$("PRMagazineList").selectedIndex = x-1;
+                this.setMagazineStatus();
+            }
+            break;
+        case "PRMagazineRemoveBtn":
+            if (x >= 0 && x != t) {
+                this.magazine.splice(x, 1);
+                if (x < t) {
+                    --this.tapeNr;
+                }
+
+                this.setMagazineStatus();
+            }
+            break;
+        case "PRMagazineCloseBtn":
+            this.magazinePanelClose();
+            break;
+        }
     }
 
     /**************************************/
     async fileSelectorChange(ev) {
-        /* Handle the <input type=file> onchange event when files are selected.
-        For each file, load it and add it to the input buffer of the reader */
-        const fileList = ev.target.files;
+        /* Handle the <input type=file> onchange event when files are selected */
+
+        await this.loadFiles(ev.target.files);
+    }
+
+    /**************************************/
+    readerDragOver(ev) {
+        /* Handle the dragover event for the reader panel, allowing files to
+        be dropped on it */
+
+        if (ev.dataTransfer.types.includes("Files")) {
+            ev.preventDefault();
+            ev.dataTransfer.dropEffect = "copy";
+        }
+    }
+
+    /**************************************/
+    async readerDrop(ev) {
+        /* Handle the drop event for files dropped on the reader panel */
+
+        if (ev.dataTransfer.files.length) {
+            ev.preventDefault();
+            await this.loadFiles(ev.dataTransfer.files);
+        }
+    }
+
+    /**************************************/
+    async loadFiles(fileList) {
+        /* Loads the files in "fileList" in order. Each tape image is mounted
+        in the reader if it is empty, otherwise it is queued in the magazine.
+        Symbol files and assembler listings are loaded into the Processor's
+        symbol table instead. Tape images are validated as they are loaded,
+        and the check report is opened if there are any warnings */
         const formatSelect = this.$$("PRFormatSelect");
         const formatIndex = formatSelect.selectedIndex;
         let tapeFormat = "Auto";
@@ -292,29 +578,46 @@ class PaperTapeReader {
             tapeFormat = formatSelect.options[formatIndex].value;
         }
 
-        if (!this.busy && !this.rewinding) {
-            for (const file of fileList) {
-                let readAs = tapeFormat;
-                if (tapeFormat == "Auto") {
-                    const fileName = file.name;
-                    let x = fileName.lastIndexOf(".");
-                    readAs = x < 0 ? ".pti" : fileName.substring(x).toLowerCase();
-                }
+        for (const file of fileList) {
+            let image = null;
+            let readAs = tapeFormat;
+            if (tapeFormat == "Auto") {
+                const fileName = file.name;
+                let x = fileName.lastIndexOf(".");
+                readAs = x < 0 ? ".pti" : fileName.substring(x).toLowerCase();
+            }
 
-                console.debug(`readAs ${readAs}`);
-                switch (readAs) {
-                case ".pt":
-                    this.loadAsPT(await file.arrayBuffer());
-                    break;
-                case ".ptr":
-                    this.loadAsPTR(await file.arrayBuffer());
-                    break;
-                default:
-                    this.loadAsPTI(await file.text());
-                    break;
+            console.debug(`readAs ${readAs}`);
+            switch (readAs) {
+            case ".sym":
+            case ".lst":
+                try {
+                    this.processor.symbols.loadFile(file.name, await file.text());
+                } catch (e) {
+                    alert(`${file.name}: ${e.message}`);
                 }
+                break;
+            case ".pt":
+                image = await file.arrayBuffer();
+                this.loadAsPT(image, file.name);
+                this.checkTape(file.name, image, readAs);
+                break;
+            case ".ptr":
+                image = await file.arrayBuffer();
+                this.loadAsPTR(image, file.name);
+                this.checkTape(file.name, image, readAs);
+                break;
+            default:
+                image = await file.text();
+                this.loadAsPTI(image, file.name);
+                this.checkTape(file.name, image, ".pti");
+                break;
             }
         }
+
+        if (this.checkWarnings) {
+            this.reportOpen();
+        }
     }
 
     /**************************************/
@@ -335,6 +638,32 @@ class PaperTapeReader {
 
        this.blockNr = blockNr;
        this.$$("PRBlockNr").textContent = blockNr;
+       if (this.$$("PRMagazinePanel").style.display == "block") {
+           this.fillMagazineList();
+       }
+    }
+
+    /**************************************/
+    getState() {
+        /* Returns the tape position for machine-state snapshots */
+
+        return {tapeNr: this.tapeNr, blockNr: this.blockNr, bufIndex: this.bufIndex};
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the tape position from an object created by getState().
+        The tapes must already be loaded; the position is limited to its length */
+
+        if (!this.busy && !this.rewinding) {
+            if (state.tapeNr >= 0 && state.tapeNr < this.magazine.length && state.tapeNr != this.tapeNr) {
+                this.mountTape(state.tapeNr);
+            }
+
+            this.bufIndex = Math.min(state.bufIndex, this.bufLength);
+            this.setBlockNr(state.blockNr);
+            this.tapeSupplyBar.value = this.bufLength - this.bufIndex;
+        }
     }
 
     /**************************************/
@@ -346,77 +675,22 @@ class PaperTapeReader {
         }
     }
 
+    /**************************************/
+    showPosition(x) {
+        /* Updates the tape supply bar for the tape at buffer offset "x" */
+
+        this.tapeSupplyBar.value = this.bufLength - x;
+    }
+
     /**************************************/
     async read() {
         /* Initiates the Paper Tape Reader to begin sending frame codes to the
         Processor's I/O subsystem. Reads until a STOP code or the end of the
-        tape buffer is encountered. Returns true if an attempt is made to read
-        past the end of the buffer, leaving the I/O hanging. Delays for the
-        reader startup time, but not for the stop time, so that the I/O can
-        finish as soon as possible. Takes the stop time into account at the
-        beginning of the next read, if necessary */
-        let bufLength = this.bufLength; // current buffer length
-        let code = 0;                   // current G-15 tape code
-        let eob = false;                // end-of-block flag
-        let nextFrameStamp = performance.now();         // time of next character frame
-        let precessionComplete = Promise.resolve();     // signals drum is ready for next char
-        let result = false;             // true if reader left hung at end-of-buffer
-        let x = this.bufIndex;          // current buffer index
-
-        this.canceled = false;
-        this.makeBusy(true);
-        this.setBlockNr(this.blockNr+1);
-        this.setReaderSpeed(x);
-
-        // Simulate the reader start/stop time.
-        if (this.nextStartStamp > nextFrameStamp) {
-            nextFrameStamp = this.nextStartStamp + this.startStopTime;  // reader is still stopping
-        } else {
-            nextFrameStamp += this.startStopTime;                       // reader is ready to start
-        }
-
-        // Read the next block.
-        do {
-            this.tapeSupplyBar.value = bufLength-x;
-            if (x >= bufLength) {       // end of buffer
-                this.canceled = false;
-                result = eob = true;    // just quit and leave the I/O hanging
-                break;
-            } else {
-                code = this.buffer[x];
-                ++x;
-
-                // Wait for the next frame time.
-                await this.timer.delayUntil(nextFrameStamp);
-                nextFrameStamp += this.framePeriod;
-
-                // Wait for any line 23 precession to complete.
-                if (this.canceled) {
-                    await precessionComplete;
-                    this.canceled = false;
-                    eob = true;         // definitely canceled -- quit
-                } else if (await precessionComplete) {
-                    eob = true;         // some error detected by Processor -- quit
-                } else {
-                    // Send the tape code to the Processor.
-                    precessionComplete = this.processor.receiveInputCode(code);
-                    switch (code) {
-                    case IOCodes.ioCodeReload:
-                        this.setReaderSpeed(x);
-                        break;
-                    case IOCodes.ioCodeStop:
-                        await precessionComplete;
-                        eob = true;     // end of block -- quit
-                        break;
-                    }
-                }
-            }
-        } while (!eob);
+        tape buffer is encountered, changing tapes in the magazine between
+        blocks. Returns true if an attempt is made to read past the end of the
+        buffer, leaving the I/O hanging. See emulator/PaperTapeTransport.js */
 
-        this.bufIndex = x;
-        this.makeBusy(false);
-        this.nextStartStamp = this.startStopTime + nextFrameStamp;      // simulate reader stop time
-        return result;
+        return PaperTapeTransport.read(this);
     }
 
     /**************************************/
@@ -424,66 +698,30 @@ class PaperTapeReader {
         /* Preloads the tape buffer with the PPR tape image and sets the reader
         ready, as if the image had been loaded by the user from a file */
 
-        this.prepareBuffer(PPRTapeImage.pprTapeImage.length);
-        this.loadAsPTI(PPRTapeImage.pprTapeImage);
-        this.bufIndex = 0;
-        this.bufLength = PPRTapeImage.pprTapeImage.length;
-        this.setBlockNr(0);
-        this.$$("PRTapeSupplyBar").value = this.bufLength;
-        this.$$("PRTapeSupplyBar").max = this.bufLength;
-        this.ready = true;
+        this.loadAsPTI(PPRTapeImage.pprTapeImage, "PPR");
     }
 
     /**************************************/
     async reverseBlock() {
-        /* Reverses the tape until the prior stop code is detected and exits.
-        If we encounter the beginning of tape, just exit with the buffer index
-        pointing to the beginning of the buffer. Returns true if an attempt is made
-        to reverse past the beginning of the buffer, leaving the I/O hanging */
-        let bufLength = this.bufLength; // current buffer length
-        let nextFrameStamp = performance.now() + this.startStopTime;    // simulate startup time
-        let x = this.bufIndex;          // point to current buffer position
-
-        this.canceled = false;
-        this.makeBusy(true);
-        this.setReaderSpeed(bufLength-x);
-
-        do {
-            if (x <= 0) {
-                this.bufIndex = 0;      // reset the buffer index to beginning
-                this.setBlockNr(0);
-                this.makeBusy(false);
-                this.canceled = false;
-                return true;            // and just quit, leaving the I/O hanging
-            } else {
-                --x;                    // examine prior character
-                if (this.buffer[x] == IOCodes.ioCodeStop) {
-                    break;              // out of do loop
-                } else {
-                    this.tapeSupplyBar.value = bufLength-x;
-                    await this.timer.delayUntil(nextFrameStamp);
-                    nextFrameStamp += this.framePeriod;
-                    if (this.canceled) {
-                        this.canceled = false;
-                        break; // out of do loop
-                    }
-                }
-            }
-        } while (true);
+        /* Reverses the tape until the prior stop code is detected and exits,
+        continuing on the end of the prior tape in the magazine at the
+        beginning of a tape. Returns true if an attempt is made to reverse past
+        the beginning of the first tape, leaving the I/O hanging. See
+        emulator/PaperTapeTransport.js */
 
-        this.bufIndex = x;
-        this.makeBusy(false);
-        await this.timer.set(this.startStopTime);       // simulate stop time
-        this.setBlockNr(x > 0 ? this.blockNr-1 : 0);
-
-        return false;
+        return PaperTapeTransport.reverseBlock(this);
     }
 
     /**************************************/
     fastRewind() {
-        /* Rewinds the tape image instantaineously */
+        /* Rewinds the tape image instantaineously, back to the beginning of
+        the first tape in the magazine */
 
         if (!this.busy && !this.rewinding) {
+            if (this.tapeNr > 0) {
+                this.mountTape(0);
+            }
+
             this.bufIndex = 0;
             this.setBlockNr(0);
             this.$$("PRTapeSupplyBar").value = this.bufLength;
@@ -496,11 +734,13 @@ class PaperTapeReader {
 
     /**************************************/
     async rewind() {
-        /* Rewinds the tape to its beginning or until the REWIND switch is turned off */
+        /* Rewinds the tape to its beginning or until the REWIND switch is turned
+        off. Rewinding continues through the prior tapes in the magazine to the
+        beginning of the first one, as if they were spliced together */
 
         if (!this.rewinding) {
             this.rewinding = true;
-            while (this.bufIndex > 0 && this.processor.punchSwitch == 2) {
+            while ((this.bufIndex > 0 || this.tapeNr > 0) && this.processor.punchSwitch == 2) {
                 if (await this.reverseBlock()) {
                     break;
                 }
@@ -529,5 +769,13 @@ class PaperTapeReader {
         this.$$("PRRewindBtn").removeEventListener("click", this.boundRewindButtonClick);
         this.$$("PRUnloadBtn").removeEventListener("click", this.boundUnloadButtonClick);
         this.$$("PRUnloadCaption").removeEventListener("click", this.boundUnloadButtonClick);
+        this.$$("PRCheckDiv").removeEventListener("click", this.boundReportClick);
+        this.$$("PRBlockNrDiv").removeEventListener("click", this.boundBlockPanelClick);
+        this.$$("PRMagazineDiv").removeEventListener("click", this.boundMagazinePanelClick);
+        this.$$("PaperTapeReader").removeEventListener("dragover", this.boundReaderDragOver);
+        this.$$("PaperTapeReader").removeEventListener("drop", this.boundReaderDrop);
+        this.reportClose();
+        this.blockPanelClose();
+        this.magazinePanelClose();
     }
 }
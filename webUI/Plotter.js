@@ -73,6 +73,8 @@
 ************************************************************************
 * 2026-02-08  P.Kimpel
 *   Original version, from retro-1620 Plotter.js.
+* 2026-10-19  P.Kimpel
+*   Add getState() and setState() for machine-state snapshots.
 ***********************************************************************/
 
 export {Plotter};
@@ -125,7 +127,7 @@ class Plotter {
     stepCacheTop = 0;                   // current length of this.stepCache
     stepXLast = 0;                      // last cached X canvas pixel coord
     stepYLast = 0;                      // last cached Y canvas pixel coord
-    timer = new Util.Timer();           // delay management timer
+    timer = new Util.Timer(true);       // delay management timer
     vCursorBottom = 0;                  // current bottom cursor scrolling boundary offset, css pixels
     vCursorOffset = 0;                  // current offset of the vertical-coordinate cursor, css pixels
     vCursorTop = 0;                     // current top cursor scrolling boundary offset, css pixels
@@ -270,6 +272,34 @@ class Plotter {
         this.outputReadyStamp = 0;      // timestamp when ready for output
     }
 
+    /**************************************/
+    getState() {
+        /* Returns the pen position and state for machine-state snapshots */
+
+        return {x: this.x, y: this.y, penDown: this.penDown};
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the pen position and state from an object created by
+        getState(). Nothing is drawn */
+
+        if (this.doc) {
+            this.x = state.x;
+            this.y = state.y;
+            const [cx, cy] = this.toCanvasCoord(this.x, this.y);
+            this.cxLast = this.stepXLast = cx;
+            this.cyLast = this.stepYLast = cy;
+            if (state.penDown) {
+                this.lowerPen();
+            } else {
+                this.raisePen();
+            }
+
+            this.positionCursor(cx, cy, true);
+        }
+    }
+
     /**************************************/
     cancel() {
         /* Cancels the I/O currently in process. This routine does nothing
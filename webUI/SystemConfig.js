@@ -13,10 +13,15 @@
 ************************************************************************
 * 2026-02-08  P.Kimpel
 *   Original version, from retro-1620 webUI/SystemConfig.js.
+* 2026-10-19  P.Kimpel
+*   Move the default configuration and node management to
+*   emulator/ConfigData.js so headless operation can share them.
 ***********************************************************************/
 
 export {SystemConfig};
 
+import * as ConfigData from "../emulator/ConfigData.js";
+
 import {openPopup} from "./PopupUtil.js";
 
 class SystemConfig {
@@ -24,48 +29,8 @@ class SystemConfig {
     // Static Properties
 
     static configStorageName = "retro-g15-Config";
-    static configVersion = 1;
     static flushDelay = 30000;          // flush timer setting, ms
 
-    static defaultConfig = {
-        configName: "Default",
-        version: SystemConfig.configVersion,
-        persistentWindows: 0,
-        multiScreen: 0,
-
-        ControlPanel: {
-        },
-
-        Typewriter: {
-            marginLeft: 0,
-            columns: 132,
-            tabs: "6,11,16,21,26,31,36,41,46,51,56,61,66,71,76,81,86,91,96,101,106,111,116,121,126"
-        },
-
-        Plotter: {
-            hasPlotter: 0,
-            plotterModel : 0,
-            scale: 1,
-            maxHeight: 4096,
-            visibleCarriage: 1
-        },
-
-        WindowConfig: {
-            mode: "Auto",
-            modes: {
-                Auto: {
-                    ControlPanel: {
-                        screenX: 0,             // dummy initial values
-                        screenY: 0,
-                        innerWidth: 400,
-                        innerHeight: 250
-                    }
-                }
-            }
-        }
-
-    };
-
     constructor() {
         /* Constructor for the SystemConfig configuration management object */
 
@@ -114,45 +79,10 @@ class SystemConfig {
         /* Creates and initializes a new configuration data object and stores it in
         localStorage */
 
-        this.configData = SystemConfig.defaultConfig;
+        this.configData = ConfigData.createConfig();
         this.flushHandler();
     }
 
-    /**************************************/
-    sortaDeepMerge(destNode, sourceNode) {
-        /* Both destNode and sourceNode must be non-null Objects and not
-        Functions. Recursively merges into destNode any properties of
-        sourceNode missing in destNode. Does not alter any existing elementary
-        properties of destNode or its sub-objects. If either parameter is not
-        an Object or Array, does nothing. This isn't a complete recursive merge,
-        but it's good enough for SystemConfig data */
-
-        for (let key in sourceNode) {
-            if (!(key in destNode)) {
-                destNode[key] = structuredClone(sourceNode[key]);
-            } else {
-                let d = destNode[key];
-                let s = sourceNode[key];
-                if (Array.isArray(s) && Array.isArray(d)) {
-                    for (let i=0; i<s.length; ++i) {
-                        if (s[i] !== undefined) {
-                            if (d[i] === undefined) {
-                                d[i] = structuredClone(s[i]);
-                            } else {
-                                this.sortaDeepMerge(d[i], s[i]);
-                            }
-                        }
-                    }
-                } else if (d !== null && typeof d == "object" && !Array.isArray(d) &&
-                        Object.isExtensible(d) && !(Object.isSealed(d) || Object.isFrozen(d))) {
-                    if (s !== null && typeof s == "object" && !Array.isArray(s)) {
-                        this.sortaDeepMerge(d, s);
-                    }
-                }
-            }
-        }
-    }
-
     /**************************************/
     loadConfigData(jsonConfig) {
         /* Attempts to parse the JSON configuration data string and store it in
@@ -168,7 +98,7 @@ class SystemConfig {
         }
 
         // Apply structural updates if necessary.
-        if (SystemConfig.configVersion != this.configData.version) {
+        if (ConfigData.configVersion != this.configData.version) {
             // Reserved for future use
         }
 
@@ -176,7 +106,7 @@ class SystemConfig {
             // (RFE)
 
         // Recursively merge any new properties from the defaults.
-        this.sortaDeepMerge(this.configData, SystemConfig.defaultConfig);
+        ConfigData.mergeDefaults(this.configData);
     }
 
     /**************************************/
@@ -251,67 +181,21 @@ class SystemConfig {
     /**************************************/
     getNode(nodeName, index) {
         /* Retrieves a specified node of the configuration data object tree.
-        "nodeName" specifies the node using dotted-path format. A blank name
-        retrieves the entire tree. If the "index" parameter is specified, the
-        final node in the path is assumed to be an array or object, and "index"
-        used to return that element of the array or object. If a node does not
-        exist, returns undefined */
-        let node = this.configData;
-
-        const name = nodeName.trim();
-        if (name.length > 0) {
-            const names = name.split(".");
-            for (let name of names) {
-                if (name in node) {
-                    node = node[name];
-                } else {
-                    node = undefined;
-                    break; // out of for loop
-                }
-            }
-        }
+        See ConfigData.getNode() for the meaning of the parameters */
 
-        if (index === undefined) {
-            return node;
-        } else {
-            return node[index];
-        }
+        return ConfigData.getNode(this.configData, nodeName, index);
     }
 
     /**************************************/
     putNode(nodeName, data, index) {
-        /* Creates or replaces a specified node of the configuration data object tree.
-        "nodeName" specifies the node using dotted.path format. A blank name
-        results in nothing being set. If a node does not exist, it and any necessary
-        parent nodes are created. If the "index" parameter is specified, the final
-        node in the path is assumed to be an array, and "index" is used to access
-        that element of the array. Setting the value of a node starts a timer  (if it
-        is not already started). When that timer expires, the configuration data will
-        be flushed to the localStorage object. This delayed storage is done so that
+        /* Creates or replaces a specified node of the configuration data object
+        tree. See ConfigData.putNode() for the meaning of the parameters.
+        Setting the value of a node starts a timer (if it is not already
+        started). When that timer expires, the configuration data will be
+        flushed to the localStorage object. This delayed storage is done so that
         several configuration changes in short order can be grouped in one flush */
-        let node = this.configData;
-
-        const name = nodeName.trim();
-        if (name.length > 0) {
-            let lastName = name;
-            let lastNode = node;
-            const names = name.split(".");
-            for (let name of names) {
-                lastName = name;
-                lastNode = node;
-                if (name in node) {
-                    node = node[name];
-                } else {
-                    node = node[name] = {};
-                }
-            } // for x
-
-            if (index === undefined) {
-                lastNode[lastName] = data;
-            } else {
-                lastNode[lastName][index] = data;
-            }
 
+        if (ConfigData.putNode(this.configData, nodeName, data, index)) {
             if (!this.flushTimerToken) {
                 this.flushTimerToken = setTimeout(this.boundFlushHandler, SystemConfig.flushDelay);
             }
@@ -453,6 +337,18 @@ class SystemConfig {
         this.setListValue("PlotterMaxHeight", cd.Plotter.maxHeight);
         this.$$("PlotterVisibleCarriage").checked = cd.Plotter.visibleCarriage;
 
+        // Magnetic Tape
+        this.setListValue("MagTapeModel", cd.MagTape.hasMagTape);
+
+        // Card Reader
+        this.setListValue("CardReaderModel", cd.CardReader.hasCardReader);
+
+        // Card Punch
+        this.setListValue("CardPunchModel", cd.CardPunch.hasCardPunch);
+
+        // DA-1 Differential Analyzer
+        this.setListValue("DA1Model", cd.DA1.hasDA1);
+
         this.$$("MessageArea").textContent = "G-15 System Configuration loaded.";
         this.window.focus();
     }
@@ -581,6 +477,22 @@ class SystemConfig {
         e = this.$$("PlotterVisibleCarriage");
         cd.Plotter.visibleCarriage = (e.checked ? 1 : 0);
 
+        // Magnetic Tape
+        e = this.$$("MagTapeModel");
+        cd.MagTape.hasMagTape = (e.selectedIndex > 0 ? 1 : 0);
+
+        // Card Reader
+        e = this.$$("CardReaderModel");
+        cd.CardReader.hasCardReader = (e.selectedIndex > 0 ? 1 : 0);
+
+        // Card Punch
+        e = this.$$("CardPunchModel");
+        cd.CardPunch.hasCardPunch = (e.selectedIndex > 0 ? 1 : 0);
+
+        // DA-1 Differential Analyzer
+        e = this.$$("DA1Model");
+        cd.DA1.hasDA1 = (e.selectedIndex > 0 ? 1 : 0);
+
         this.determineWindowConfigMode().then((msg) => {
             this.flushHandler();        // store the configuration
             this.$$("MessageArea").textContent = msg;
@@ -12,6 +12,9 @@
 ************************************************************************
 * 2022-03-24  P.Kimpel
 *   Original version, from retro-g15 PhotoTapePunch.js and ControlPanel.js.
+* 2026-10-19  P.Kimpel
+*   Add getState() and setState() for machine-state snapshots.
+*   Move the print characters and Type-O-Matic rate to emulator/IOCodes.js.
 ***********************************************************************/
 
 export {Typewriter};
@@ -28,15 +31,10 @@ class Typewriter {
     static invKeyFlashTime = 150;       // keyboard lock flash time, ms
     static maxScrollLines = 10000;      // max lines retained in "paper" area
     static maxCols = 255;               // maximum number of columns per line
-    static defaultTOMRate = 8.6*10;     // default max Type-O-Matic input rate
 
     static commentRex = /#[^\x0D\x0A]*/g;
     static newLineRex = /[\x0D\x0A\x0C]+/g;
 
-    static printCodes = [
-        " ", "-", "\n", "\t", "$", "!", ".", "~", " ", "-", "\n", "\t", "$", "!", ".", "~",
-        "0", "1",  "2",  "3", "4", "5", "6", "7", "8", "9",  "u",  "v", "w", "x", "y", "z"];
-
     constructor(context) {
         /* Initializes and wires up events for the console typewriter device.
         "context" is an object passing other objects and callback functions from
@@ -59,7 +57,7 @@ class Typewriter {
         this.columns = 132;
         this.tabStops = [5,10,15,20,25,30,35,40,45,50,55,60,65,70,75,80,85,
                         90,95,100,105,110,115,120,125]; // default in case config is bad
-        this.timer = new Util.Timer();
+        this.timer = new Util.Timer(true);
 
         this.boundMenuClick = this.menuClick.bind(this);
         this.boundPanelKeydown = this.panelKeydown.bind(this);
@@ -111,6 +109,27 @@ class Typewriter {
         this.setPaperEmpty();
     }
 
+    /**************************************/
+    getState() {
+        /* Returns the carriage position for machine-state snapshots */
+
+        return {printerCol: this.printerCol};
+    }
+
+    /**************************************/
+    setState(state) {
+        /* Restores the carriage position from an object created by getState().
+        If the carriage is not already there, starts a new line and spaces
+        over to the saved column */
+
+        if (this.printerCol != state.printerCol) {
+            this.printNewLine();
+            while (this.printerCol < Math.min(state.printerCol, this.columns)) {
+                this.printChar(" ");
+            }
+        }
+    }
+
     /**************************************/
     cancel() {
         /* Cancels any TypeIn I/O currently in process */
@@ -344,7 +363,7 @@ class Typewriter {
             return;
         }
 
-        const tomPeriod = 1000/Math.min(Typewriter.defaultTOMRate*Util.timingFactor, 2500); // ms
+        const tomPeriod = 1000/Math.min(IOCodes.typeOMaticRate*Util.timingFactor, 2500); // ms
         let nextKeystrokeStamp = performance.now();
         this.openTypeOMaticPanel();
 
@@ -564,7 +583,7 @@ class Typewriter {
             //}
             /****** end TEMP *****/
 
-            this.printChar(Typewriter.printCodes[code]);
+            this.printChar(IOCodes.printCodes[code]);
             break;
         }
     }